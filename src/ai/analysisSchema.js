@@ -0,0 +1,75 @@
+import { z } from 'zod';
+
+export const ANALYSIS_CATEGORIES = ['support', 'sales', 'billing', 'feedback', 'meeting', 'spam', 'personal', 'other'];
+export const ANALYSIS_SENTIMENTS = ['positive', 'neutral', 'negative'];
+export const ANALYSIS_URGENCIES = ['low', 'normal', 'high', 'critical'];
+export const ANALYSIS_ENTITY_TYPES = ['dates', 'orderNumbers', 'amounts'];
+
+/**
+ * The result of analyzeEmail, as validated after every LLM call
+ */
+export const analysisSchema = z
+  .object({
+    category: z.enum(ANALYSIS_CATEGORIES),
+    sentiment: z.enum(ANALYSIS_SENTIMENTS),
+    urgency: z.enum(ANALYSIS_URGENCIES),
+    language: z
+      .string()
+      .regex(/^[a-z]{2}$/i, 'Expected a two-letter ISO 639-1 code')
+      .transform((code) => code.toLowerCase()),
+    intent: z.string().min(1),
+    requiresHuman: z.boolean(),
+    entities: z
+      .object({
+        dates: z.array(z.string()),
+        orderNumbers: z.array(z.string()),
+        amounts: z.array(z.object({ value: z.number(), currency: z.string().nullable() }).strict()),
+      })
+      .strict(),
+  })
+  .strict();
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+/**
+ * The same shape as a JSON schema for structured output. Every property is
+ * required and no others are allowed, as OpenAI's strict mode demands.
+ */
+export const analysisJsonSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['category', 'sentiment', 'urgency', 'language', 'intent', 'requiresHuman', 'entities'],
+  properties: {
+    category: { type: 'string', enum: ANALYSIS_CATEGORIES },
+    sentiment: { type: 'string', enum: ANALYSIS_SENTIMENTS },
+    urgency: { type: 'string', enum: ANALYSIS_URGENCIES },
+    language: { type: 'string', description: 'Two-letter ISO 639-1 code of the language the email is written in' },
+    intent: { type: 'string', description: 'What the sender wants, in a few words (e.g. "refund request")' },
+    requiresHuman: {
+      type: 'boolean',
+      description: 'True if an automated reply would be inappropriate (legal threats, complaints, sensitive topics)',
+    },
+    entities: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['dates', 'orderNumbers', 'amounts'],
+      properties: {
+        dates: { ...stringArray, description: 'Dates and times mentioned, as ISO 8601 where possible' },
+        orderNumbers: { ...stringArray, description: 'Order, invoice, ticket or reference numbers' },
+        amounts: {
+          type: 'array',
+          description: 'Money amounts mentioned',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['value', 'currency'],
+            properties: {
+              value: { type: 'number' },
+              currency: { type: ['string', 'null'], description: 'ISO 4217 code, e.g. USD' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
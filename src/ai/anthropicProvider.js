@@ -0,0 +1,60 @@
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic provider, calling the Messages API directly. Errors carry the
+ * HTTP status so callApi retries rate limits and server errors. Structured
+ * output is a forced call to a tool whose input schema is the JSON schema.
+ */
+export const anthropicProvider = {
+  name: 'anthropic',
+
+  defaultModel() {
+    return process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+  },
+
+  async complete({ model, system, messages, maxTokens, temperature, schema, timeout }) {
+    if (!process.env.ANTHROPIC_API_KEY) {
+      throw new Error('ANTHROPIC_API_KEY must be set to use the anthropic LLM provider');
+    }
+
+    const baseUrl = (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+    const response = await fetch(`${baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': API_VERSION,
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        ...(system && { system }),
+        ...(temperature !== undefined && { temperature }),
+        ...(schema && {
+          tools: [{ name: schema.name, description: 'Record the result', input_schema: schema.schema }],
+          tool_choice: { type: 'tool', name: schema.name },
+        }),
+        messages,
+      }),
+      signal: AbortSignal.timeout(timeout),
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`Anthropic API error ${response.status}: ${body.error?.message || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    if (schema) {
+      const toolUse = (body.content || []).find((block) => block.type === 'tool_use');
+      return toolUse ? JSON.stringify(toolUse.input) : null;
+    }
+
+    const text = (body.content || [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+    return text || null;
+  },
+};
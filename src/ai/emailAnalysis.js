@@ -0,0 +1,120 @@
+import { complete, resolveLlmConfig } from './llmProvider.js';
+import { analysisSchema, analysisJsonSchema } from './analysisSchema.js';
+import { getEmailDetails } from '../mail/mailProvider.js';
+import { withAttachmentText } from '../mail/attachments.js';
+import { readJsonFile, writeJsonFile } from '../utils/dataStore.js';
+
+const CACHE_FILE = 'email_analysis.json';
+
+// Oldest entries are dropped beyond this many cached analyses
+const MAX_CACHED_ANALYSES = 1000;
+
+const SYSTEM_PROMPT = `You classify incoming emails for an automated email assistant.
+Report the category, the sender's sentiment, how urgent a response is, the language the email is written in,
+the sender's intent, whether a human should handle it instead of an automated reply, and the dates,
+order/reference numbers and money amounts it mentions. Use empty lists when there are none.`;
+
+/**
+ * Load the analysis cache from disk
+ */
+function loadCache() {
+  return readJsonFile(CACHE_FILE, { entries: {} });
+}
+
+/**
+ * Save the cache, keeping only the most recent entries
+ */
+function saveCache(cache) {
+  const entries = Object.values(cache.entries)
+    .sort((a, b) => Date.parse(b.analyzedAt) - Date.parse(a.analyzedAt))
+    .slice(0, MAX_CACHED_ANALYSES);
+  writeJsonFile(CACHE_FILE, { entries: Object.fromEntries(entries.map((entry) => [entry.messageId, entry])) });
+}
+
+/**
+ * Parse and validate the LLM's answer, throwing if it doesn't match the schema
+ */
+export function parseAnalysis(text) {
+  if (!text) {
+    throw new Error('analysis_failed: empty response');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('analysis_failed: response is not valid JSON');
+  }
+
+  const result = analysisSchema.safeParse(data);
+  if (!result.success) {
+    const problems = result.error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    throw new Error(`analysis_failed: ${problems.join('; ')}`);
+  }
+  return result.data;
+}
+
+/**
+ * Classify an email with the default LLM using structured output.
+ * Resolves to { analysis, provider, model }; throws if the LLM fails or
+ * its answer doesn't validate.
+ */
+export async function analyzeEmail(email) {
+  // Only the provider and model: reply-oriented temperature and token limits don't apply
+  const { provider, model } = resolveLlmConfig();
+  const attachments = email.attachmentText ? `\nAttachments:\n${email.attachmentText}\n` : '';
+
+  const text = await complete(
+    {
+      system: SYSTEM_PROMPT,
+      maxTokens: 500,
+      temperature: 0,
+      schema: { name: 'email_analysis', schema: analysisJsonSchema },
+      messages: [
+        {
+          role: 'user',
+          content: `Subject: ${email.subject}
+From: ${email.from}
+Body: ${email.cleanBody || email.body}
+${attachments}`,
+        },
+      ],
+    },
+    { provider, model }
+  );
+
+  return { analysis: parseAnalysis(text), provider, model };
+}
+
+/**
+ * Get the cached analysis of a message, or null
+ */
+export function getCachedAnalysis(messageId) {
+  return loadCache().entries[messageId] || null;
+}
+
+/**
+ * Get the analysis of an email, from the cache unless refresh is set.
+ * Resolves to { messageId, analysis, provider, model, analyzedAt, cached }.
+ */
+export async function getEmailAnalysis(email, { refresh = false } = {}) {
+  const cached = refresh ? null : getCachedAnalysis(email.id);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const entry = { messageId: email.id, ...(await analyzeEmail(email)), analyzedAt: new Date().toISOString() };
+  const cache = loadCache();
+  cache.entries[email.id] = entry;
+  saveCache(cache);
+
+  return { ...entry, cached: false };
+}
+
+/**
+ * Fetch a message and get its analysis (for the analyze_email tool)
+ */
+export async function analyzeMessage(messageId, options) {
+  const email = await withAttachmentText(await getEmailDetails(messageId));
+  return getEmailAnalysis(email, options);
+}
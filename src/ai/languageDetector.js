@@ -0,0 +1,71 @@
+// Frequent words of each supported language, mostly function words that rarely occur in the others
+const LANGUAGE_WORDS = {
+  en: 'the and is are you your to of for with this that have not please thanks thank would could can my we our will it be on what when hello hi regards was from about',
+  es: 'el la los las de que y en un una por para con no es mi su pero como gracias hola pedido favor está estoy quiero saludos cuando muy también tengo puede usted nuestro este esta del al se lo',
+  fr: 'le la les de des et est je vous nous une un pour pas que qui dans sur avec mon ma mes votre merci bonjour commande ce cette il elle sont au aux du cordialement mais ne suis',
+  de: 'der die das und ist ich sie nicht mit ein eine zu den von für auf es wir bitte danke hallo meine mein ihre ihr haben habe wie noch bestellung gruß grüße freundlichen dem auch aber oder sind wird',
+  it: 'il la di che e è un una per non con sono mi ho grazie ciao buongiorno del della ordine mio mia vostro questo questa come anche ma gli le al alla cordiali saluti',
+  pt: 'o a os as de que e é um uma para com não meu minha obrigado obrigada olá pedido você está estou por favor mas do da dos das no na seu sua também tenho em',
+  nl: 'de het een en is ik je u niet van met voor op dat die zijn wij we mijn uw bedankt dank hallo bestelling graag groeten maar ook heb kunt wel er naar',
+};
+
+export const DETECTABLE_LANGUAGES = Object.keys(LANGUAGE_WORDS);
+
+const WORD_SETS = Object.fromEntries(
+  Object.entries(LANGUAGE_WORDS).map(([code, words]) => [code, new Set(words.split(' '))])
+);
+
+// Words of a message looked at; the start of an email says enough
+const MAX_WORDS = 300;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Detect the language of a text from its frequent words. Returns a
+ * two-letter ISO 639-1 code, or null when the text is too short or too
+ * mixed to tell.
+ */
+export function detectLanguage(text) {
+  const words = (text.toLowerCase().match(/\p{L}+/gu) || []).slice(0, MAX_WORDS);
+  const scores = DETECTABLE_LANGUAGES.map((code) => ({
+    code,
+    hits: words.filter((word) => WORD_SETS[code].has(word)).length,
+  })).sort((a, b) => b.hits - a.hits);
+
+  const [best, second] = scores;
+  return best.hits >= 2 && best.hits > second.hits * 1.2 ? best.code : null;
+}
+
+/**
+ * The language an email is written in: the one from its AI analysis when
+ * it has one, else detected from the subject and body
+ */
+export function detectEmailLanguage(email) {
+  if (email.analysis?.language) {
+    return email.analysis.language;
+  }
+  return detectLanguage(`${email.subject || ''}\n${email.cleanBody || email.body || ''}`);
+}
+
+/**
+ * The email with its language (see detectEmailLanguage) as email.language
+ */
+export function withLanguage(email) {
+  return { ...email, language: detectEmailLanguage(email) };
+}
+
+/**
+ * The language to reply to an email in: the rule's language if it forces
+ * one, else the language the email is written in, else the sender's
+ * preferred language from their contact profile. Null when none is known.
+ */
+export function getReplyLanguage(email, rule, contact) {
+  return rule?.language?.toLowerCase() || email.language || contact?.language || null;
+}
+
+/**
+ * English name of a language code ("Spanish" for "es")
+ */
+export function getLanguageName(code) {
+  return languageNames.of(code);
+}
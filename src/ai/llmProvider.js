@@ -0,0 +1,84 @@
+import { getConfig } from '../config/configManager.js';
+import { getSettings } from '../config/settings.js';
+import { callApi } from '../utils/apiLimits.js';
+import { openaiProvider, azureProvider, compatibleProvider } from './openaiProvider.js';
+import { anthropicProvider } from './anthropicProvider.js';
+
+/**
+ * The LLM provider layer. Text generation goes through complete(), which
+ * sends the request to the provider chosen for the rule: the rule's own
+ * `llm.provider`, else the global `llm.provider` in rules.json, else openai.
+ *
+ * A provider is an object with a name, defaultModel() and
+ * complete({ model, system, messages, maxTokens, temperature, schema, timeout })
+ * resolving to the generated text (or null). messages are
+ * { role: 'user' | 'assistant', content } objects. With schema
+ * ({ name, schema } holding a JSON schema) the text is a JSON document
+ * matching it.
+ */
+const PROVIDERS = {
+  openai: openaiProvider,
+  azure: azureProvider,
+  anthropic: anthropicProvider,
+  compatible: compatibleProvider,
+};
+
+/**
+ * Get a provider by name
+ */
+export function getLlmProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve the provider, model, temperature and max tokens for a rule (or
+ * the global defaults without one). Rule settings win over the provider's
+ * entry in llm.providers, which wins over the provider's default model.
+ */
+export function resolveLlmConfig(rule) {
+  const llm = getConfig('rules').llm || {};
+  const { provider: ruleProvider, ...ruleOptions } = rule?.llm || {};
+  const provider = ruleProvider || llm.provider || 'openai';
+
+  return {
+    provider,
+    model: getLlmProvider(provider).defaultModel(),
+    ...(llm.providers || {})[provider],
+    ...ruleOptions,
+  };
+}
+
+/**
+ * Every provider the rules may use: the global one and those named by enabled rules
+ */
+export function getConfiguredLlmProviders() {
+  const rules = getConfig('rules').rules.filter((rule) => rule.enabled);
+  return [...new Set([resolveLlmConfig().provider, ...rules.map((rule) => resolveLlmConfig(rule).provider)])];
+}
+
+/**
+ * Generate text through the shared rate limiter and retry policy.
+ * request is { system, messages, maxTokens, temperature, schema }; a maxTokens or
+ * temperature in llmConfig (see resolveLlmConfig) overrides the request's.
+ */
+export async function complete(request, llmConfig = resolveLlmConfig()) {
+  const { provider: name, model, temperature, maxTokens } = llmConfig;
+  if (!model) {
+    throw new Error(`No model configured for LLM provider "${name}"`);
+  }
+
+  const provider = getLlmProvider(name);
+  return callApi(() =>
+    provider.complete({
+      ...request,
+      model,
+      maxTokens: maxTokens ?? request.maxTokens,
+      temperature: temperature ?? request.temperature,
+      timeout: getSettings().responseTimeout,
+    })
+  );
+}
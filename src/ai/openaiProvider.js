@@ -0,0 +1,99 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+
+/**
+ * Create a provider for an API that speaks OpenAI's chat completions:
+ * OpenAI itself, Azure OpenAI and OpenAI-compatible local servers (Ollama,
+ * llama.cpp server, vLLM). createClient builds the SDK client on first use.
+ */
+function createChatCompletionsProvider({ name, createClient, defaultModel }) {
+  let client = null;
+
+  return {
+    name,
+    defaultModel,
+
+    /**
+     * Replace the client (e.g. with a fake in tests); null restores the
+     * default client on next use
+     */
+    setClient(replacement) {
+      client = replacement;
+    },
+
+    async complete({ model, system, messages, maxTokens, temperature, schema, timeout }) {
+      if (!client) {
+        client = createClient();
+      }
+
+      const response = await client.chat.completions.create(
+        {
+          model,
+          max_tokens: maxTokens,
+          ...(temperature !== undefined && { temperature }),
+          ...(schema && {
+            response_format: {
+              type: 'json_schema',
+              json_schema: { name: schema.name, schema: schema.schema, strict: true },
+            },
+          }),
+          messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages],
+        },
+        { timeout }
+      );
+
+      if (response.choices && response.choices.length > 0) {
+        return response.choices[0].message.content;
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Throw if any of the named environment variables is unset
+ */
+function requireEnv(provider, names) {
+  const missing = names.filter((name) => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(', ')} must be set to use the ${provider} LLM provider`);
+  }
+}
+
+// Retries are handled by callApi so they share the settings.json policy
+export const openaiProvider = createChatCompletionsProvider({
+  name: 'openai',
+  defaultModel: () => process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  createClient() {
+    requireEnv('openai', ['OPENAI_API_KEY']);
+    return new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+  },
+});
+
+// The model name is the Azure deployment name
+export const azureProvider = createChatCompletionsProvider({
+  name: 'azure',
+  defaultModel: () => process.env.AZURE_OPENAI_DEPLOYMENT,
+  createClient() {
+    requireEnv('azure', ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT']);
+    return new AzureOpenAI({
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      maxRetries: 0,
+    });
+  },
+});
+
+// Local servers usually ignore the API key, but the SDK requires one
+export const compatibleProvider = createChatCompletionsProvider({
+  name: 'compatible',
+  defaultModel: () => process.env.OPENAI_COMPATIBLE_MODEL,
+  createClient() {
+    requireEnv('compatible', ['OPENAI_COMPATIBLE_BASE_URL']);
+    return new OpenAI({
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+      maxRetries: 0,
+    });
+  },
+});
@@ -0,0 +1,216 @@
+import { getConfig } from '../config/configManager.js';
+import { readJsonFile, writeJsonFile } from '../utils/dataStore.js';
+
+const TEMPLATES_FILE = 'prompt_templates.json';
+
+// Variables a template may use as {{name}}
+export const TEMPLATE_VARIABLES = [
+  'senderName',
+  'senderEmail',
+  'company',
+  'subject',
+  'context',
+  'signature',
+  'businessHours',
+  'language',
+];
+
+// Used by rules without a prompt template; saving it adds versions on top
+const DEFAULT_TEMPLATE = {
+  id: 'default',
+  description: 'Short, warm and professional reply',
+  versions: [
+    {
+      version: 1,
+      system: `You are a professional email assistant. Generate a warm, personalized email response.
+Requirements:
+- Address the sender by their name ({{senderName}})
+- Keep the response concise (2-3 sentences)
+- Be professional but friendly
+- Acknowledge their email topic
+- Context: {{context}}`,
+      createdAt: null,
+    },
+  ],
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function templateError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Load every template, including the built-in default unless it was saved
+ */
+function loadTemplates() {
+  const { templates } = readJsonFile(TEMPLATES_FILE, { templates: {} });
+  return { default: DEFAULT_TEMPLATE, ...templates };
+}
+
+/**
+ * Persist templates to disk
+ */
+function saveTemplates(templates) {
+  writeJsonFile(TEMPLATES_FILE, { templates });
+}
+
+/**
+ * Ids of the rules that use a template
+ */
+function getRulesUsingTemplate(templateId) {
+  return getConfig('rules')
+    .rules.filter((rule) => rule.prompt?.template === templateId)
+    .map((rule) => rule.id);
+}
+
+/**
+ * Throw a 400 error if a template uses placeholders that aren't variables
+ */
+function validatePlaceholders(text) {
+  const unknown = [...text.matchAll(PLACEHOLDER)]
+    .map(([, name]) => name)
+    .filter((name) => !TEMPLATE_VARIABLES.includes(name));
+
+  if (unknown.length > 0) {
+    throw templateError(
+      `Unknown template variables: ${[...new Set(unknown)].map((name) => `{{${name}}}`).join(', ')} ` +
+        `(expected ${TEMPLATE_VARIABLES.join(', ')})`,
+      400
+    );
+  }
+}
+
+/**
+ * Summaries of every template: latest version and the rules using it
+ */
+export function listTemplates() {
+  return Object.values(loadTemplates()).map((template) => {
+    const latest = template.versions[template.versions.length - 1];
+    return {
+      id: template.id,
+      description: template.description,
+      latestVersion: latest.version,
+      updatedAt: latest.createdAt,
+      usedBy: getRulesUsingTemplate(template.id),
+    };
+  });
+}
+
+/**
+ * Get one version of a template (the latest by default), with the list of
+ * its versions. Throws a 404 error if the template or version is missing.
+ */
+export function getTemplate(templateId, version) {
+  const template = loadTemplates()[templateId];
+  if (!template) {
+    throw templateError(`Prompt template "${templateId}" not found`, 404);
+  }
+
+  const selected =
+    version === undefined
+      ? template.versions[template.versions.length - 1]
+      : template.versions.find((v) => v.version === version);
+  if (!selected) {
+    throw templateError(`Prompt template "${templateId}" has no version ${version}`, 404);
+  }
+
+  return {
+    id: template.id,
+    description: template.description,
+    ...selected,
+    versions: template.versions.map((v) => ({ version: v.version, createdAt: v.createdAt })),
+  };
+}
+
+/**
+ * Save a template as its next version, creating it if it doesn't exist.
+ * Earlier versions are kept so rules can stay pinned to them.
+ */
+export function saveTemplate({ id, system, description }) {
+  if (!/^[a-z0-9_-]+$/i.test(id || '')) {
+    throw templateError('Template id may only contain letters, digits, "_" and "-"', 400);
+  }
+  if (!system || !system.trim()) {
+    throw templateError('Template text (system) is required', 400);
+  }
+  validatePlaceholders(system);
+
+  const templates = loadTemplates();
+  const existing = templates[id];
+  const versions = existing ? existing.versions : [];
+  const version = {
+    version: versions.length > 0 ? versions[versions.length - 1].version + 1 : 1,
+    system,
+    createdAt: new Date().toISOString(),
+  };
+
+  templates[id] = {
+    id,
+    description: description ?? existing?.description ?? '',
+    versions: [...versions, version],
+  };
+  saveTemplates(templates);
+
+  return getTemplate(id);
+}
+
+/**
+ * Delete a template and all its versions. The default template and
+ * templates still used by a rule can't be deleted.
+ */
+export function deleteTemplate(templateId) {
+  const templates = loadTemplates();
+  if (!templates[templateId]) {
+    throw templateError(`Prompt template "${templateId}" not found`, 404);
+  }
+  if (templateId === 'default') {
+    throw templateError('The default prompt template cannot be deleted', 400);
+  }
+
+  const usedBy = getRulesUsingTemplate(templateId);
+  if (usedBy.length > 0) {
+    throw templateError(`Prompt template "${templateId}" is used by rules: ${usedBy.join(', ')}`, 400);
+  }
+
+  delete templates[templateId];
+  saveTemplates(templates);
+}
+
+/**
+ * Why a rule's prompt (see getRuleTemplate) can't be used, e.g. its template
+ * doesn't exist, or null if it can
+ */
+export function getRulePromptProblem(prompt) {
+  try {
+    getTemplate(prompt.template, prompt.version);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * The template a rule replies with: its prompt.template (pinned to
+ * prompt.version if set), else the default. When replying in a language
+ * with a localized variant of the template ("<id>-<language>", e.g.
+ * "default-es"), the latest version of that variant is used instead,
+ * unless the rule pins a version: the pinned prompt is always used.
+ */
+export function getRuleTemplate(rule, language) {
+  const { template = 'default', version } = rule?.prompt || {};
+  const localized = language && version === undefined ? loadTemplates()[`${template}-${language}`] : undefined;
+  return localized ? getTemplate(localized.id) : getTemplate(template, version);
+}
+
+/**
+ * Fill {{name}} placeholders with variables (missing ones become empty)
+ */
+export function renderTemplate(text, variables) {
+  return text.replace(PLACEHOLDER, (match, name) => variables[name] ?? '');
+}
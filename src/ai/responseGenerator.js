@@ -0,0 +1,226 @@
+import { complete } from './llmProvider.js';
+import { getRuleTemplate, getTemplate, renderTemplate } from './promptTemplates.js';
+import { getConfig } from '../config/configManager.js';
+import { getSettings } from '../config/settings.js';
+import { getWinningRule, buildContextFromRules } from '../filters/engine.js';
+import { buildTestEmail, loadTestEmail } from '../filters/ruleTester.js';
+import { getRelevantPassages } from '../knowledge/knowledgeBase.js';
+import { formatTranscript, getConversation } from '../mail/conversation.js';
+import { findContact } from '../contacts/contactStore.js';
+import { getLanguageName, getReplyLanguage } from './languageDetector.js';
+
+/**
+ * Extract sender name from email "From" field
+ */
+export function extractSenderName(fromField) {
+  const match = fromField.match(/^([^<]+?)\s*</);
+  if (match && match[1].replace(/"/g, '').trim()) {
+    return match[1].trim().replace(/"/g, '');
+  }
+  const address = (fromField.match(/<(.+?)>/) || [null, fromField.trim()])[1];
+  return address.includes('@') ? address.split('@')[0] : 'there';
+}
+
+/**
+ * Extract company domain from email address
+ */
+function extractCompanyDomain(fromField) {
+  const emailMatch = fromField.match(/<(.+?)>/) || fromField.match(/(.+?)$/);
+  if (emailMatch) {
+    const domain = emailMatch[1].split('@')[1] || '';
+    return domain.replace('www.', '').split('.')[0];
+  }
+  return '';
+}
+
+/**
+ * Template variables for replying to an email (see TEMPLATE_VARIABLES).
+ * The sender's contact profile, if any, provides the name and company, and
+ * the reply language picks the signature (from signatures, else signature).
+ */
+export function buildTemplateVariables(email, context, contact = null, language = null) {
+  const { signature, signatures, businessHours } = getSettings();
+  const address = (email.from.match(/<(.+?)>/) || [null, email.from.trim()])[1];
+
+  return {
+    senderName: contact?.name || extractSenderName(email.from),
+    senderEmail: address.includes('@') ? address : '',
+    company: contact?.company || extractCompanyDomain(email.from),
+    subject: email.subject,
+    context,
+    signature: (language && signatures[language]) ?? signature,
+    businessHours,
+    language: language ? getLanguageName(language) : '',
+  };
+}
+
+/**
+ * Format knowledge base passages for the prompt, numbered with their source
+ */
+function formatPassages(passages) {
+  if (passages.length === 0) {
+    return '';
+  }
+
+  const sources = passages.map((passage, i) => `[${i + 1}] ${passage.title} (${passage.document})\n${passage.text}`);
+  return `
+Knowledge base passages (use them for facts such as prices, policies and procedures; don't state facts they don't \
+cover, offer to follow up instead):
+${sources.join('\n\n')}
+`;
+}
+
+/**
+ * Format the earlier messages of the email's thread for the prompt
+ */
+function formatConversation(conversation) {
+  const transcript = formatTranscript(conversation);
+  if (!transcript) {
+    return '';
+  }
+
+  return `Earlier messages in this conversation, oldest first ("You" are replies already sent; don't repeat what \
+they said and stay consistent with them):
+${transcript}
+
+`;
+}
+
+/**
+ * Format what the contact profile says about the sender for the prompt
+ */
+function formatContact(contact) {
+  if (!contact) {
+    return '';
+  }
+
+  const lines = [
+    contact.name && `- Name: ${contact.name}`,
+    contact.company && `- Company: ${contact.company}`,
+    contact.interactions > 0 && `- Earlier emails from them: ${contact.interactions}`,
+    contact.lastReplyAt && `- Our last reply: ${contact.lastReplyAt.slice(0, 10)}`,
+    contact.topics.length > 0 && `- Earlier topics: ${contact.topics.join('; ')}`,
+    contact.language && `- Preferred language: ${contact.language}`,
+    contact.vip && '- VIP: give their request priority and extra care',
+    contact.notes && `- Notes: ${contact.notes}`,
+  ].filter(Boolean);
+  if (lines.length === 0) {
+    return '';
+  }
+
+  return `
+About the sender (from our contact records; use it to personalize the reply, don't quote it):
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Build the system and user prompts for a reply from a prompt template
+ * (see getTemplate), the knowledge base passages found for the email, the
+ * conversation it belongs to (see getConversation), the sender's contact
+ * profile and the language to reply in
+ */
+export function buildReplyPrompt(
+  email,
+  context,
+  template,
+  { passages = [], conversation = null, contact = null, language = null } = {}
+) {
+  const variables = buildTemplateVariables(email, context, contact, language);
+  const instruction = language ? `\nWrite the reply in ${variables.language}.` : '';
+  const attachments = email.attachmentText ? `\nAttachments:\n${email.attachmentText}\n` : '';
+
+  return {
+    template: { id: template.id, version: template.version },
+    variables,
+    passages,
+    threadMessages: conversation ? conversation.messages.map((message) => message.id) : [],
+    contact,
+    language,
+    system: renderTemplate(template.system, variables),
+    user: `${formatConversation(conversation)}Original email:
+Subject: ${email.subject}
+From: ${email.from}
+Body: ${email.cleanBody || email.body}
+${attachments}${formatContact(contact)}${formatPassages(passages)}
+Please generate a professional response that is personalized and relevant to their email.${instruction}`,
+  };
+}
+
+/**
+ * Generate a personalized response with the LLM chosen for the rule
+ * (llmConfig from resolveLlmConfig; the global default without one), the
+ * rule's prompt template (the default template without one), the
+ * knowledge base passages to ground it in, the earlier messages of the
+ * conversation, the sender's contact profile and the language to reply in
+ */
+export async function generatePersonalizedResponse(
+  email,
+  context,
+  llmConfig,
+  { template = getRuleTemplate(), passages = [], conversation = null, contact = null, language = null } = {}
+) {
+  try {
+    const prompt = buildReplyPrompt(email, context, template, { passages, conversation, contact, language });
+
+    return await complete(
+      {
+        system: prompt.system,
+        maxTokens: 300,
+        messages: [
+          {
+            role: 'user',
+            content: prompt.user,
+          },
+        ],
+      },
+      llmConfig
+    );
+  } catch (error) {
+    console.error('Error generating response:', error.message);
+    throw error;
+  }
+}
+
+// Used by previewReplyPrompt when neither a message nor an email is given
+const SAMPLE_EMAIL = {
+  from: 'Jane Doe <jane@example.com>',
+  subject: 'Question about your services',
+  body: 'Hi, could you tell me more about what you offer? Thanks, Jane',
+};
+
+/**
+ * Render the prompts a reply would be generated from, without calling the
+ * LLM. The template and knowledge collections default to those of the rule
+ * (rule_id, else the rule the email matches) and the context to what
+ * processing would send. A message's earlier conversation, the sender's
+ * contact profile and the reply language are included.
+ */
+export async function previewReplyPrompt({ template_id, version, rule_id, message_id, email: input, context }) {
+  const email = message_id ? await loadTestEmail(message_id) : buildTestEmail(input || SAMPLE_EMAIL);
+
+  let rule = null;
+  if (rule_id) {
+    rule = getConfig('rules').rules.find((r) => r.id === rule_id);
+    if (!rule) {
+      const error = new Error(`Rule "${rule_id}" not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+  } else {
+    rule = getWinningRule(email);
+  }
+
+  const contact = findContact(email.from);
+  const language = getReplyLanguage(email, rule, contact);
+  const template = template_id ? getTemplate(template_id, version) : getRuleTemplate(rule, language);
+  const replyContext = context ?? (rule_id ? rule.context : buildContextFromRules(email));
+
+  const passages = getRelevantPassages(email, rule);
+  const conversation = message_id ? await getConversation(email) : null;
+
+  return {
+    rule: rule ? rule.id : null,
+    ...buildReplyPrompt(email, replyContext, template, { passages, conversation, contact, language }),
+  };
+}
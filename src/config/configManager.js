@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { validateRulesConfig } from '../filters/schema.js';
+import { validateSettings } from './settingsSchema.js';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_DIR = process.env.CONFIG_DIR || path.resolve(__dirname, '../../config');
+
+const CONFIG_FILES = {
+  rules: { fileName: 'rules.json', validate: validateRulesConfig },
+  settings: { fileName: 'settings.json', validate: validateSettings },
+};
+
+// Emits 'change' with { name, config } after a new config has been swapped in
+export const configEvents = new EventEmitter();
+
+// Last good validated config and the raw text it came from, per config name
+const current = {};
+const lastText = {};
+
+let watcher = null;
+const debounceTimers = {};
+
+/**
+ * Absolute path of a config file
+ */
+export function getConfigPath(name) {
+  return path.join(CONFIG_DIR, CONFIG_FILES[name].fileName);
+}
+
+/**
+ * Read a config file as written (no validation or defaults applied)
+ */
+export function readConfigFile(name) {
+  const filePath = getConfigPath(name);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate raw config data and swap it in, emitting a change event
+ */
+function applyConfig(name, data, text) {
+  const config = CONFIG_FILES[name].validate(data, getConfigPath(name));
+  const isReload = current[name] !== undefined;
+
+  current[name] = config;
+  lastText[name] = text;
+
+  if (isReload) {
+    configEvents.emit('change', { name, config });
+  }
+  return config;
+}
+
+/**
+ * Load and validate one config file, replacing the current version.
+ * Throws (and keeps the previous version) if the file is invalid.
+ */
+export function reloadConfig(name) {
+  const filePath = getConfigPath(name);
+  const text = fs.readFileSync(filePath, 'utf-8');
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+
+  return applyConfig(name, data, text);
+}
+
+/**
+ * Load and validate every config file. Called once at startup.
+ */
+export function loadConfig() {
+  for (const name of Object.keys(CONFIG_FILES)) {
+    reloadConfig(name);
+  }
+  return { ...current };
+}
+
+/**
+ * Get the current validated config, loading it on first use
+ */
+export function getConfig(name) {
+  if (current[name] === undefined) {
+    reloadConfig(name);
+  }
+  return current[name];
+}
+
+/**
+ * Validate and atomically write a config file, then swap it in.
+ * Invalid data is rejected and nothing is written.
+ */
+export function writeConfig(name, data) {
+  CONFIG_FILES[name].validate(data, name);
+
+  const filePath = getConfigPath(name);
+  const text = JSON.stringify(data, null, 2);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, text);
+  fs.renameSync(tempPath, filePath);
+
+  return applyConfig(name, data, text);
+}
+
+/**
+ * Register a listener for changes to one config
+ */
+export function onConfigChange(name, listener) {
+  configEvents.on('change', (event) => {
+    if (event.name === name) {
+      listener(event.config);
+    }
+  });
+}
+
+/**
+ * Reload a file the watcher saw change. Invalid edits are logged and the
+ * last good version stays active.
+ */
+function handleFileChange(name) {
+  let text;
+  try {
+    text = fs.readFileSync(getConfigPath(name), 'utf-8');
+  } catch {
+    // File is mid-rename or was removed; the next event will pick it up
+    return;
+  }
+
+  if (text === lastText[name]) {
+    return;
+  }
+
+  try {
+    reloadConfig(name);
+    logger.info(`Reloaded ${CONFIG_FILES[name].fileName}`);
+  } catch (error) {
+    logger.error(`Rejected change to ${CONFIG_FILES[name].fileName}, keeping the last good version. ${error.message}`);
+  }
+}
+
+/**
+ * Watch the config directory and hot-reload changed files
+ */
+export function watchConfig() {
+  if (watcher) return watcher;
+
+  watcher = fs.watch(CONFIG_DIR, (eventType, fileName) => {
+    const name = Object.keys(CONFIG_FILES).find((key) => CONFIG_FILES[key].fileName === fileName);
+    if (!name) return;
+
+    // Editors often write a file in several steps; wait for them to finish
+    clearTimeout(debounceTimers[name]);
+    debounceTimers[name] = setTimeout(() => handleFileChange(name), 200);
+  });
+
+  logger.info(`Watching ${CONFIG_DIR} for config changes`);
+  return watcher;
+}
+
+/**
+ * Stop watching the config directory
+ */
+export function stopWatchingConfig() {
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+  Object.values(debounceTimers).forEach(clearTimeout);
+}
@@ -0,0 +1,33 @@
+import { getConfig, readConfigFile, writeConfig } from './configManager.js';
+
+/**
+ * Current validated settings.json
+ */
+export function getSettings() {
+  return getConfig('settings');
+}
+
+/**
+ * Whether to mark emails as read after replying. The
+ * MARK_AS_READ_AFTER_REPLY env var overrides settings.json when set.
+ */
+export function shouldMarkAsReadAfterReply() {
+  if (process.env.MARK_AS_READ_AFTER_REPLY !== undefined) {
+    return process.env.MARK_AS_READ_AFTER_REPLY === 'true';
+  }
+  return getSettings().markAsReadAfterReply;
+}
+
+/**
+ * Merge changes into settings.json and save it. Invalid values are
+ * rejected with a 400 error and nothing is written.
+ */
+export function updateSettings(changes) {
+  const settings = { ...readConfigFile('settings'), ...changes };
+  try {
+    return writeConfig('settings', settings);
+  } catch (error) {
+    error.statusCode = 400;
+    throw error;
+  }
+}
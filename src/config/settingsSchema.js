@@ -0,0 +1,45 @@
+import { z } from 'zod';
+
+// Lower-cased, as detected languages are
+const languageCode = z
+  .string()
+  .regex(/^[a-z]{2}$/i, 'Expected a two-letter ISO 639-1 code')
+  .transform((code) => code.toLowerCase());
+
+export const settingsSchema = z
+  .object({
+    processingInterval: z.number().int().min(1).max(59),
+    maxRetries: z.number().int().min(0),
+    retryDelayMs: z.number().int().min(0),
+    maxProcessingAttempts: z.number().int().min(1).default(5),
+    retryBackoffMinutes: z.number().min(0).default(5),
+    emailBatchSize: z.number().int().min(1).max(500),
+    apiRateLimitPerMinute: z.number().int().min(1),
+    markAsReadAfterReply: z.boolean(),
+    useLabel: z.string().min(1),
+    excludeLabels: z.array(z.string().min(1)),
+    responseTimeout: z.number().int().min(1000),
+    maxAttachmentBytes: z.number().int().min(1).default(5 * 1024 * 1024),
+    attachmentTextLimit: z.number().int().min(0).default(10000),
+    knowledgeMaxPassages: z.number().int().min(0).max(20).default(3),
+    threadTokenBudget: z.number().int().min(0).max(20000).default(1500),
+    signature: z.string().default(''),
+    signatures: z.record(languageCode, z.string()).default({}),
+    businessHours: z.string().default(''),
+    logLevel: z.enum(['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly']),
+  })
+  .strict();
+
+/**
+ * Validate parsed settings.json contents, throwing an error listing every problem
+ */
+export function validateSettings(data, source = 'settings.json') {
+  const result = settingsSchema.safeParse(data);
+  if (!result.success) {
+    const problems = result.error.issues
+      .map((issue) => `  - ${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('\n');
+    throw new Error(`Invalid ${source}:\n${problems}`);
+  }
+  return result.data;
+}
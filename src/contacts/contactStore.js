@@ -0,0 +1,274 @@
+import { z } from 'zod';
+import { readJsonFile, writeJsonFile } from '../utils/dataStore.js';
+
+const CONTACTS_FILE = 'contacts.json';
+
+// Most recent distinct subjects kept per contact
+const MAX_TOPICS = 10;
+
+// Message ids remembered per contact so an email seen again isn't counted twice
+const MAX_MESSAGE_IDS = 50;
+
+// Domains of personal mailboxes, which say nothing about the sender's company
+const FREE_MAIL_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'yahoo.com',
+  'icloud.com',
+  'me.com',
+  'aol.com',
+  'gmx.de',
+  'gmx.net',
+  'web.de',
+  'proton.me',
+  'protonmail.com',
+];
+
+// Fields that can be edited with update_contact
+const contactChangesSchema = z
+  .object({
+    name: z.string(),
+    company: z.string(),
+    language: z
+      .string()
+      .regex(/^([a-z]{2})?$/i, 'Expected a two-letter ISO 639-1 code (or "" to clear it)')
+      .transform((code) => code.toLowerCase()),
+    vip: z.boolean(),
+    blocked: z.boolean(),
+    notes: z.string(),
+  })
+  .partial()
+  .strict();
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function contactError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Load the contacts from disk
+ */
+function loadContacts() {
+  return readJsonFile(CONTACTS_FILE, { contacts: {} });
+}
+
+/**
+ * Persist the contacts to disk
+ */
+function saveContacts(store) {
+  writeJsonFile(CONTACTS_FILE, store);
+}
+
+/**
+ * Extract the bare, lower-cased address from a "From" header (or an address)
+ */
+function extractAddress(fromField = '') {
+  const match = fromField.match(/<(.+?)>/);
+  return (match ? match[1] : fromField).trim().toLowerCase();
+}
+
+/**
+ * The display name of a "From" header, or '' when it only has an address
+ */
+function extractDisplayName(fromField = '') {
+  const match = fromField.match(/^([^<]+?)\s*</);
+  return match ? match[1].replace(/"/g, '').trim() : '';
+}
+
+/**
+ * A company name guessed from the address domain ("acme" for
+ * jane@mail.acme.com), or '' for personal mailbox providers
+ */
+function guessCompany(address) {
+  const domain = address.split('@')[1] || '';
+  if (!domain || FREE_MAIL_DOMAINS.includes(domain)) {
+    return '';
+  }
+  const labels = domain.replace(/^www\./, '').split('.');
+  return labels.length > 1 ? labels[labels.length - 2] : labels[0];
+}
+
+/**
+ * A subject without reply and forward prefixes
+ */
+function toTopic(subject = '') {
+  const topic = subject.replace(/^\s*((re|fwd?|aw|wg|sv)\s*:\s*)+/i, '').trim();
+  return topic === '(No Subject)' ? '' : topic;
+}
+
+/**
+ * A new contact with nothing known about it yet
+ */
+function emptyContact(address) {
+  return {
+    email: address,
+    name: '',
+    company: '',
+    language: '',
+    vip: false,
+    blocked: false,
+    notes: '',
+    topics: [],
+    interactions: 0,
+    firstSeenAt: null,
+    lastSeenAt: null,
+    lastReplyAt: null,
+    messageIds: [],
+  };
+}
+
+/**
+ * A contact as shown to tools and prompts, without bookkeeping fields
+ */
+function toProfile(contact) {
+  const { messageIds, ...profile } = contact;
+  return profile;
+}
+
+/**
+ * Throw a 400 error unless address looks like an email address
+ */
+function checkAddress(address) {
+  if (!/^[^@\s]+@[^@\s]+$/.test(address)) {
+    throw contactError(`Invalid email address: ${address || '(empty)'}`, 400);
+  }
+}
+
+/**
+ * The profile of the sender of a "From" header, or null if unknown
+ */
+export function findContact(fromField) {
+  const contact = loadContacts().contacts[extractAddress(fromField)];
+  return contact ? toProfile(contact) : null;
+}
+
+/**
+ * Check if the sender of a "From" header is blocked
+ */
+export function isContactBlocked(fromField) {
+  return Boolean(findContact(fromField)?.blocked);
+}
+
+/**
+ * Update the sender's contact after an email was processed: count the
+ * interaction (once per message), add its subject to the topics, and fill
+ * in the name, company and language (detected or from the analysis) when
+ * they aren't known yet
+ */
+export function recordContactEmail(email, { analysis, language } = {}) {
+  const address = extractAddress(email.from);
+  if (!address.includes('@')) {
+    return;
+  }
+
+  const store = loadContacts();
+  const contact = store.contacts[address] || emptyContact(address);
+  if (contact.messageIds.includes(email.id)) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const topic = toTopic(email.subject);
+  store.contacts[address] = {
+    ...contact,
+    name: contact.name || extractDisplayName(email.from),
+    company: contact.company || guessCompany(address),
+    language: contact.language || language || analysis?.language || '',
+    topics: topic
+      ? [topic, ...contact.topics.filter((t) => t.toLowerCase() !== topic.toLowerCase())].slice(0, MAX_TOPICS)
+      : contact.topics,
+    interactions: contact.interactions + 1,
+    firstSeenAt: contact.firstSeenAt || now,
+    lastSeenAt: now,
+    messageIds: [...contact.messageIds, email.id].slice(-MAX_MESSAGE_IDS),
+  };
+  saveContacts(store);
+}
+
+/**
+ * Note that a reply was sent to the sender of a "From" header
+ */
+export function recordContactReply(fromField) {
+  const address = extractAddress(fromField);
+  if (!address.includes('@')) {
+    return;
+  }
+
+  const store = loadContacts();
+  store.contacts[address] = {
+    ...(store.contacts[address] || emptyContact(address)),
+    lastReplyAt: new Date().toISOString(),
+  };
+  saveContacts(store);
+}
+
+/**
+ * List contacts, most recently seen first. query matches the address,
+ * name or company; vip and blocked filter on the flags.
+ */
+export function listContacts({ query, vip, blocked } = {}) {
+  const needle = query?.toLowerCase();
+  return Object.values(loadContacts().contacts)
+    .map(toProfile)
+    .filter(
+      (contact) =>
+        (!needle || [contact.email, contact.name, contact.company].some((v) => v.toLowerCase().includes(needle))) &&
+        (vip === undefined || contact.vip === vip) &&
+        (blocked === undefined || contact.blocked === blocked)
+    )
+    .sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''));
+}
+
+/**
+ * Get a contact by email address. Throws a 404 error if it is unknown.
+ */
+export function getContact(address) {
+  const contact = loadContacts().contacts[extractAddress(address)];
+  if (!contact) {
+    throw contactError(`Contact "${address}" not found`, 404);
+  }
+  return toProfile(contact);
+}
+
+/**
+ * Edit a contact's name, company, language, flags or notes, creating it
+ * if it doesn't exist (e.g. to mark a sender as VIP in advance). Invalid
+ * changes are rejected with a 400 error.
+ */
+export function updateContact(address, changes) {
+  const key = extractAddress(address);
+  checkAddress(key);
+
+  const result = contactChangesSchema.safeParse(changes);
+  if (!result.success) {
+    const problems = result.error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    throw contactError(`Invalid contact changes: ${problems.join('; ')}`, 400);
+  }
+
+  const store = loadContacts();
+  store.contacts[key] = { ...(store.contacts[key] || emptyContact(key)), ...result.data };
+  saveContacts(store);
+
+  return toProfile(store.contacts[key]);
+}
+
+/**
+ * Forget everything about a contact. Throws a 404 error if it is unknown.
+ */
+export function deleteContact(address) {
+  const store = loadContacts();
+  const key = extractAddress(address);
+  if (!store.contacts[key]) {
+    throw contactError(`Contact "${address}" not found`, 404);
+  }
+
+  delete store.contacts[key];
+  saveContacts(store);
+}
@@ -0,0 +1,218 @@
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Get the text a keyword/regex condition looks at
+ */
+function getFieldText(email, field = 'any') {
+  if (field === 'subject') return email.subject || '';
+  if (field === 'body') return email.body || '';
+  if (field === 'attachments') return email.attachmentText || '';
+  return `${email.subject || ''} ${email.body || ''}`;
+}
+
+/**
+ * Get the keywords found in text, case-insensitively
+ */
+function findKeywords(text, keywords) {
+  const lowerText = text.toLowerCase();
+  return keywords.filter((keyword) => lowerText.includes(keyword.toLowerCase()));
+}
+
+/**
+ * Extract the domain of the sender address
+ */
+function getSenderDomain(fromField = '') {
+  const match = fromField.match(/<(.+?)>/);
+  const address = (match ? match[1] : fromField).trim().toLowerCase();
+  return address.split('@')[1] || '';
+}
+
+/**
+ * Get the listed domains the sender's domain is (or is a subdomain of)
+ */
+function findDomains(fromField, domains) {
+  const domain = getSenderDomain(fromField);
+  return domains.filter((d) => {
+    const wanted = d.toLowerCase().replace(/^@/, '');
+    return domain === wanted || domain.endsWith(`.${wanted}`);
+  });
+}
+
+/**
+ * Get weekday and minutes-since-midnight of a date in a time zone
+ */
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return {
+    day: get('weekday').toLowerCase().slice(0, 3),
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10),
+  };
+}
+
+/**
+ * Check if the email was received inside a day/time window.
+ * Windows whose end is before their start wrap past midnight.
+ */
+function inTimeWindow(email, window) {
+  const received = email.timestamp ? new Date(Number(email.timestamp)) : new Date();
+  const { day, minutes } = window.timezone
+    ? getLocalTime(received, window.timezone)
+    : { day: DAY_NAMES[received.getDay()], minutes: received.getHours() * 60 + received.getMinutes() };
+
+  if (window.days && !window.days.includes(day)) {
+    return false;
+  }
+
+  if (window.start && window.end) {
+    const toMinutes = (time) => {
+      const [h, m] = time.split(':').map(Number);
+      return h * 60 + m;
+    };
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  return true;
+}
+
+/**
+ * Check an email's AI analysis against an analysis condition, recording
+ * the values that matched. Emails without an analysis never match.
+ */
+function matchAnalysis(analysis, condition, matches) {
+  if (!analysis) {
+    return false;
+  }
+
+  const hits = [];
+  const oneOf = (key) => {
+    const value = String(analysis[key] ?? '').toLowerCase();
+    const ok = condition[key].some((wanted) => wanted.toLowerCase() === value);
+    if (ok) hits.push({ condition: `analysis.${key}`, value });
+    return ok;
+  };
+
+  const checks = [];
+  for (const key of ['category', 'sentiment', 'urgency', 'language']) {
+    if (condition[key]) checks.push(() => oneOf(key));
+  }
+  if (condition.intent) {
+    checks.push(() => {
+      const intents = findKeywords(analysis.intent || '', condition.intent);
+      hits.push(...intents.map((value) => ({ condition: 'analysis.intent', value })));
+      return intents.length > 0;
+    });
+  }
+  if (condition.requiresHuman !== undefined) {
+    checks.push(() => analysis.requiresHuman === condition.requiresHuman);
+  }
+  if (condition.entities) {
+    checks.push(() => {
+      const present = condition.entities.filter((type) => (analysis.entities?.[type] || []).length > 0);
+      hits.push(...present.map((value) => ({ condition: 'analysis.entities', value })));
+      return present.length === condition.entities.length;
+    });
+  }
+
+  const ok = checks.every((check) => check());
+  if (ok) matches.push(...hits);
+  return ok;
+}
+
+/**
+ * Record matched terms for one condition key and report whether it held
+ */
+function found(matches, condition, values, field) {
+  for (const value of values) {
+    matches.push(field ? { condition, field, value } : { condition, value });
+  }
+  return values.length > 0;
+}
+
+/**
+ * Evaluate a (validated) condition against an email.
+ * All keys present in the condition must hold. When a matches array is
+ * given and the condition holds, the terms that made each key hold are
+ * pushed onto it.
+ */
+export function evaluateCondition(condition, email, matches = []) {
+  const checks = [];
+  const terms = [];
+  const field = condition.field || 'any';
+  const text = () => getFieldText(email, field);
+
+  if (condition.keywords) {
+    checks.push(() => {
+      const hits = findKeywords(text(), condition.keywords);
+      const ok = condition.mustMatch === 'all' ? hits.length === condition.keywords.length : hits.length > 0;
+      return ok && found(terms, 'keywords', hits, field);
+    });
+  }
+  if (condition.excludeKeywords) {
+    checks.push(() => findKeywords(text(), condition.excludeKeywords).length === 0);
+  }
+  if (condition.regex) {
+    checks.push(() => {
+      const hit = text().match(new RegExp(condition.regex.pattern, condition.regex.flags));
+      return found(terms, 'regex', hit ? [hit[0]] : [], field);
+    });
+  }
+  if (condition.from) {
+    checks.push(() => found(terms, 'from', findKeywords(email.from || '', condition.from)));
+  }
+  if (condition.fromDomain) {
+    checks.push(() => found(terms, 'fromDomain', findDomains(email.from, condition.fromDomain)));
+  }
+  if (condition.to) {
+    checks.push(() => found(terms, 'to', findKeywords(email.to || '', condition.to)));
+  }
+  if (condition.cc) {
+    checks.push(() => found(terms, 'cc', findKeywords(email.cc || '', condition.cc)));
+  }
+  if (condition.labels) {
+    // Label ids (INBOX, Label_12) or, where the provider resolves them, names
+    const labels = [...(email.labelIds || []), ...(email.labelNames || [])].map((l) => l.toLowerCase());
+    checks.push(() =>
+      found(terms, 'labels', condition.labels.filter((label) => labels.includes(label.toLowerCase())))
+    );
+  }
+  if (condition.hasAttachment !== undefined) {
+    checks.push(() => Boolean(email.hasAttachments) === condition.hasAttachment);
+  }
+  if (condition.timeWindow) {
+    checks.push(() => inTimeWindow(email, condition.timeWindow));
+  }
+  if (condition.analysis) {
+    checks.push(() => matchAnalysis(email.analysis, condition.analysis, terms));
+  }
+  if (condition.language) {
+    const language = email.language || '';
+    checks.push(() => found(terms, 'language', condition.language.filter((wanted) => wanted === language)));
+  }
+  if (condition.all) {
+    checks.push(() => condition.all.every((c) => evaluateCondition(c, email, terms)));
+  }
+  if (condition.any) {
+    checks.push(() => condition.any.some((c) => evaluateCondition(c, email, terms)));
+  }
+  if (condition.not) {
+    // Terms inside a negated group never explain a match
+    checks.push(() => !evaluateCondition(condition.not, email, []));
+  }
+
+  const ok = checks.length > 0 && checks.every((check) => check());
+  if (ok) matches.push(...terms);
+  return ok;
+}
@@ -1,21 +1,37 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const RULES_PATH = path.join(__dirname, '../../config/rules.json');
+import { getConfig, readConfigFile, reloadConfig, writeConfig, onConfigChange } from '../config/configManager.js';
+import { evaluateCondition } from './conditions.js';
+import { logger } from '../utils/logger.js';
 
 let rulesCache = null;
 
+// Swap in new rules whenever rules.json changes (file edit or API write)
+onConfigChange('rules', (rules) => {
+  rulesCache = rules;
+  logger.info(`Filter engine now using ${rules.rules.length} rule(s)`);
+});
+
+/**
+ * Read rules.json as written (no validation or defaults applied)
+ */
+export function readRulesFile() {
+  return readConfigFile('rules');
+}
+
+/**
+ * Validate and write rules.json; the config-changed event updates the
+ * engine. Invalid data is rejected and not written.
+ */
+export function saveRules(rulesData) {
+  writeConfig('rules', rulesData);
+}
+
 /**
- * Load rules from config file
+ * Get the current validated rules
  */
 function loadRules() {
   if (rulesCache) return rulesCache;
 
-  const rulesData = JSON.parse(fs.readFileSync(RULES_PATH, 'utf-8'));
-  rulesCache = rulesData;
+  rulesCache = getConfig('rules');
   return rulesCache;
 }
 
@@ -28,92 +44,121 @@ function getIgnoreRules() {
 }
 
 /**
- * Check if email should be ignored based on sender
+ * Get the ignore_senders and ignore_subject_contains entries an email hits
  */
-function shouldIgnoreSender(emailFrom) {
+export function getIgnoreMatches(email) {
   const ignoreRules = getIgnoreRules();
-  const ignoreSenders = ignoreRules.ignore_senders || [];
-  
-  const lowerFrom = emailFrom.toLowerCase();
-  return ignoreSenders.some((sender) =>
-    lowerFrom.includes(sender.toLowerCase())
-  );
+  const lowerFrom = (email.from || '').toLowerCase();
+  const lowerSubject = (email.subject || '').toLowerCase();
+
+  return {
+    senders: (ignoreRules.ignore_senders || []).filter((sender) =>
+      lowerFrom.includes(sender.toLowerCase())
+    ),
+    subjects: (ignoreRules.ignore_subject_contains || []).filter((phrase) =>
+      lowerSubject.includes(phrase.toLowerCase())
+    ),
+  };
 }
 
 /**
- * Check if email should be ignored based on subject
+ * Check if email should be ignored overall
  */
-function shouldIgnoreBySubject(emailSubject) {
-  const ignoreRules = getIgnoreRules();
-  const ignoreSubjects = ignoreRules.ignore_subject_contains || [];
-  
-  const lowerSubject = emailSubject.toLowerCase();
-  return ignoreSubjects.some((phrase) =>
-    lowerSubject.includes(phrase.toLowerCase())
-  );
+export function shouldIgnoreEmail(email) {
+  const { senders, subjects } = getIgnoreMatches(email);
+  return senders.length > 0 || subjects.length > 0;
 }
 
 /**
- * Check if email should be ignored overall
+ * Evaluate if an email matches a rule
  */
-export function shouldIgnoreEmail(email) {
-  if (shouldIgnoreSender(email.from)) {
-    return true;
-  }
-  
-  if (shouldIgnoreBySubject(email.subject)) {
-    return true;
+function evaluateRule(rule, email) {
+  if (!rule.enabled) return false;
+
+  return evaluateCondition(rule.conditions, email);
+}
+
+/**
+ * Order rules for evaluation: file order for first-match, otherwise by
+ * descending priority (ties keep file order)
+ */
+function getEvaluationOrder(rules, strategy) {
+  if (strategy === 'first-match') {
+    return rules;
   }
-  
-  return false;
+  return [...rules].sort((a, b) => b.priority - a.priority);
 }
 
 /**
- * Check if email body contains any of the keywords
+ * Get the rules that apply to an email, winning rule first.
+ * Evaluation stops at a matching rule with stopProcessing; the
+ * first-match and highest-priority strategies keep only the winner,
+ * merge keeps every matching rule.
  */
-function checkKeywordMatch(emailBody, keywords, mustMatch = 'any') {
-  const lowerBody = emailBody.toLowerCase();
+export function getMatchingRules(email) {
+  const data = loadRules();
+  const strategy = data.matchStrategy;
+  const matching = [];
+
+  for (const rule of getEvaluationOrder(data.rules || [], strategy)) {
+    if (!evaluateRule(rule, email)) continue;
 
-  if (mustMatch === 'all') {
-    return keywords.every((keyword) =>
-      lowerBody.includes(keyword.toLowerCase())
-    );
+    matching.push(rule);
+    if (rule.stopProcessing || strategy !== 'merge') break;
   }
 
-  // Default: 'any'
-  return keywords.some((keyword) =>
-    lowerBody.includes(keyword.toLowerCase())
-  );
+  return matching;
 }
 
 /**
- * Evaluate if an email matches a rule
+ * Get the single rule that decides how an email is handled, or null
  */
-function evaluateRule(rule, email) {
-  if (!rule.enabled) return false;
+export function getWinningRule(email) {
+  return getMatchingRules(email)[0] || null;
+}
 
-  const { conditions } = rule;
+/**
+ * The conditions nested in a condition's all, any and not
+ */
+function nestedConditions(condition) {
+  return [...(condition.all || []), ...(condition.any || []), ...(condition.not ? [condition.not] : [])];
+}
 
-  // Check keywords in subject and body
-  if (conditions.keywords && conditions.keywords.length > 0) {
-    const emailContent = `${email.subject} ${email.body}`;
-    return checkKeywordMatch(
-      emailContent,
-      conditions.keywords,
-      conditions.mustMatch
-    );
-  }
+/**
+ * Check if a condition, or any condition nested in it, uses the AI analysis
+ */
+function usesAnalysis(condition) {
+  return Boolean(condition.analysis) || nestedConditions(condition).some(usesAnalysis);
+}
 
-  return false;
+/**
+ * Check if a condition, or any condition nested in it, looks at attachment text
+ */
+function usesAttachments(condition) {
+  return condition.field === 'attachments' || nestedConditions(condition).some(usesAttachments);
 }
 
 /**
- * Get matching rules for an email
+ * Check if any enabled rule has an analysis condition, i.e. whether emails
+ * must be analyzed before the rules can be evaluated
  */
-export function getMatchingRules(email) {
-  const data = loadRules();
-  const rules = data.rules || [];
-  return rules.filter((rule) => evaluateRule(rule, email));
+export function rulesUseAnalysis() {
+  return (loadRules().rules || []).some((rule) => rule.enabled && usesAnalysis(rule.conditions));
+}
+
+/**
+ * Check if any enabled rule matches attachment text, i.e. whether it must
+ * be downloaded before the rules can be evaluated
+ */
+export function rulesUseAttachments() {
+  return (loadRules().rules || []).some((rule) => rule.enabled && usesAttachments(rule.conditions));
+}
+
+/**
+ * Labels applied to a message after it has been replied to
+ */
+export function getReplyLabels(ruleId) {
+  return ruleId ? ['AutoReplied', `AutoReplied/${ruleId}`] : ['AutoReplied'];
 }
 
 /**
@@ -129,7 +174,8 @@ export function shouldProcessEmail(email) {
 }
 
 /**
- * Build context string from matching rules
+ * Build context string from the applied rules (only the winner unless the
+ * strategy is merge)
  */
 export function buildContextFromRules(email) {
   const matchingRules = getMatchingRules(email);
@@ -142,10 +188,61 @@ export function buildContextFromRules(email) {
   return contexts;
 }
 
+/**
+ * Check if replies to this email must be approved before sending.
+ * Rules can set requireApproval explicitly; rules that don't fall back to
+ * the REPLY_MODE env var ("auto" or "review"). Any matching rule that
+ * requires approval holds the reply for review.
+ */
+export function requiresApproval(email) {
+  const reviewByDefault = process.env.REPLY_MODE === 'review';
+
+  return getMatchingRules(email).some((rule) =>
+    rule.requireApproval === undefined ? reviewByDefault : rule.requireApproval
+  );
+}
+
+/**
+ * Explain how the rules treat an email without side effects: which ignore
+ * entries fired, which rules matched and on which terms, which rules the
+ * match strategy applies, and the resulting reply context
+ */
+export function explainRules(email) {
+  const data = loadRules();
+  const ignoreMatches = getIgnoreMatches(email);
+  const ignored = ignoreMatches.senders.length > 0 || ignoreMatches.subjects.length > 0;
+
+  const rules = (data.rules || []).map((rule) => {
+    const terms = [];
+    const matched = rule.enabled && evaluateCondition(rule.conditions, email, terms);
+    return {
+      id: rule.id,
+      name: rule.name,
+      enabled: rule.enabled,
+      priority: rule.priority,
+      matched,
+      terms: matched ? terms : [],
+    };
+  });
+
+  const appliedRules = getMatchingRules(email);
+
+  return {
+    ignored,
+    ignore_matches: ignoreMatches,
+    would_process: !ignored && appliedRules.length > 0,
+    match_strategy: data.matchStrategy,
+    rules,
+    applied_rules: appliedRules.map((rule) => rule.id),
+    winning_rule: appliedRules.length > 0 ? appliedRules[0].id : null,
+    context: buildContextFromRules(email),
+  };
+}
+
 /**
  * Reload rules from file (useful for hot-reloading)
  */
 export function reloadRules() {
-  rulesCache = null;
-  return loadRules();
+  rulesCache = reloadConfig('rules');
+  return rulesCache;
 }
@@ -0,0 +1,208 @@
+import { readRulesFile, saveRules } from './engine.js';
+import { logger } from '../utils/logger.js';
+
+const IGNORE_LISTS = {
+  senders: 'ignore_senders',
+  subjects: 'ignore_subject_contains',
+};
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function ruleError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Find a rule in raw rules data, throwing a 404 error if it is missing
+ */
+function findRule(rulesData, ruleId) {
+  const rule = (rulesData.rules || []).find((r) => r.id === ruleId);
+  if (!rule) {
+    throw ruleError(`Rule "${ruleId}" not found`, 404);
+  }
+  return rule;
+}
+
+/**
+ * Validate and save, reporting schema problems as a 400 error
+ */
+function save(rulesData) {
+  try {
+    saveRules(rulesData);
+  } catch (error) {
+    throw ruleError(error.message, 400);
+  }
+}
+
+/**
+ * Map snake_case tool/HTTP parameters to rule fields, dropping unset ones
+ */
+export function ruleFieldsFromParams(params) {
+  const fields = {
+    id: params.new_id,
+    name: params.name,
+    enabled: params.enabled,
+    keywords: params.keywords,
+    mustMatch: params.must_match,
+    conditions: params.conditions,
+    context: params.context,
+    priority: params.priority,
+    stopProcessing: params.stop_processing,
+    requireApproval: params.require_approval,
+    actions: params.actions,
+    prompt: params.prompt,
+    knowledge: params.knowledge,
+    language: params.language,
+  };
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * List all rules together with the match strategy and ignore lists
+ */
+export function listRules() {
+  const rulesData = readRulesFile();
+  return {
+    matchStrategy: rulesData.matchStrategy || 'merge',
+    ignore_rules: rulesData.ignore_rules || {},
+    rules: rulesData.rules || [],
+  };
+}
+
+/**
+ * Add a new rule. `keywords` and `mustMatch` are shorthand for a
+ * keyword condition when `conditions` is not given.
+ */
+export function createRule({ keywords, mustMatch = 'any', conditions, ...rule }) {
+  const rulesData = readRulesFile();
+  rulesData.rules = rulesData.rules || [];
+
+  if (rulesData.rules.some((r) => r.id === rule.id)) {
+    throw ruleError(`Rule "${rule.id}" already exists`, 409);
+  }
+
+  const newRule = {
+    enabled: true,
+    context: '',
+    ...rule,
+    conditions: conditions || (keywords ? { keywords, mustMatch } : undefined),
+  };
+  rulesData.rules.push(newRule);
+  save(rulesData);
+
+  logger.info(`Rule "${rule.id}" created`);
+  return newRule;
+}
+
+/**
+ * Update fields of a rule. `keywords` and `mustMatch` edit the top-level
+ * condition; `conditions` replaces it entirely; `id` renames the rule.
+ */
+export function updateRule(ruleId, changes) {
+  const rulesData = readRulesFile();
+  const rule = findRule(rulesData, ruleId);
+  const { keywords, mustMatch, conditions, ...fields } = changes;
+
+  if (fields.id && fields.id !== ruleId && rulesData.rules.some((r) => r.id === fields.id)) {
+    throw ruleError(`Rule "${fields.id}" already exists`, 409);
+  }
+
+  Object.assign(rule, fields);
+  if (conditions) {
+    rule.conditions = conditions;
+  }
+  if (keywords) {
+    rule.conditions.keywords = keywords;
+  }
+  if (mustMatch) {
+    rule.conditions.mustMatch = mustMatch;
+  }
+
+  save(rulesData);
+  logger.info(`Rule "${ruleId}" updated`);
+  return rule;
+}
+
+/**
+ * Enable or disable a rule
+ */
+export function setRuleEnabled(ruleId, enabled) {
+  return updateRule(ruleId, { enabled });
+}
+
+/**
+ * Delete a rule
+ */
+export function deleteRule(ruleId) {
+  const rulesData = readRulesFile();
+  const rule = findRule(rulesData, ruleId);
+
+  rulesData.rules = rulesData.rules.filter((r) => r !== rule);
+  save(rulesData);
+
+  logger.info(`Rule "${ruleId}" deleted`);
+  return rule;
+}
+
+/**
+ * Resolve "senders" / "subjects" to the ignore_rules key
+ */
+function getIgnoreKey(list) {
+  const key = IGNORE_LISTS[list];
+  if (!key) {
+    throw ruleError(`Unknown ignore list "${list}" (expected "senders" or "subjects")`, 400);
+  }
+  return key;
+}
+
+/**
+ * Throw a 400 error unless an ignore list entry is a non-empty string
+ */
+function checkIgnoreValue(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw ruleError('Ignore list entries must be non-empty strings', 400);
+  }
+}
+
+/**
+ * Add an entry to an ignore list (no-op if it is already there)
+ */
+export function addIgnoreEntry(list, value) {
+  const key = getIgnoreKey(list);
+  checkIgnoreValue(value);
+  const rulesData = readRulesFile();
+  rulesData.ignore_rules = rulesData.ignore_rules || {};
+  const entries = rulesData.ignore_rules[key] || [];
+
+  if (!entries.some((entry) => entry.toLowerCase() === value.toLowerCase())) {
+    rulesData.ignore_rules[key] = [...entries, value];
+    save(rulesData);
+    logger.info(`Added "${value}" to ${key}`);
+  }
+
+  return rulesData.ignore_rules[key];
+}
+
+/**
+ * Remove an entry from an ignore list
+ */
+export function removeIgnoreEntry(list, value) {
+  const key = getIgnoreKey(list);
+  checkIgnoreValue(value);
+  const rulesData = readRulesFile();
+  const entries = (rulesData.ignore_rules || {})[key] || [];
+  const remaining = entries.filter((entry) => entry.toLowerCase() !== value.toLowerCase());
+
+  if (remaining.length === entries.length) {
+    throw ruleError(`"${value}" is not in ${key}`, 404);
+  }
+
+  rulesData.ignore_rules[key] = remaining;
+  save(rulesData);
+  logger.info(`Removed "${value}" from ${key}`);
+  return remaining;
+}
@@ -0,0 +1,73 @@
+import { getEmailDetails } from '../mail/mailProvider.js';
+import { withAttachmentText } from '../mail/attachments.js';
+import { getCachedAnalysis } from '../ai/emailAnalysis.js';
+import { detectEmailLanguage, withLanguage } from '../ai/languageDetector.js';
+import { explainRules } from './engine.js';
+
+/**
+ * Find a header value case-insensitively in a plain { name: value } object
+ */
+function findHeader(headers, name) {
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Build an email object (as returned by getEmailDetails) from test input.
+ * Explicit fields win over the same values given in headers, and the
+ * language is detected unless given.
+ */
+export function buildTestEmail(input) {
+  const headers = input.headers || {};
+
+  const email = {
+    id: 'test',
+    from: input.from ?? findHeader(headers, 'From') ?? '',
+    to: input.to ?? findHeader(headers, 'To') ?? '',
+    cc: input.cc ?? findHeader(headers, 'Cc') ?? '',
+    subject: input.subject ?? findHeader(headers, 'Subject') ?? '',
+    body: input.body || '',
+    attachmentText: input.attachment_text || '',
+    labelIds: input.labels || [],
+    hasAttachments: Boolean(input.has_attachment),
+    analysis: input.analysis,
+    timestamp: String(input.received_at ? Date.parse(input.received_at) : Date.now()),
+  };
+  return { ...email, language: input.language ? input.language.toLowerCase() : detectEmailLanguage(email) };
+}
+
+/**
+ * Fetch a message for testing, with its cached AI analysis if it has one
+ * and its language
+ */
+export async function loadTestEmail(messageId) {
+  const email = await withAttachmentText(await getEmailDetails(messageId));
+  const cached = getCachedAnalysis(messageId);
+  return withLanguage(cached ? { ...email, analysis: cached.analysis } : email);
+}
+
+/**
+ * Evaluate the rules against a supplied email or a message id.
+ * Only reads from the mailbox; never sends, labels or calls the LLM, so
+ * analysis conditions use the supplied or cached analysis (and fail
+ * without one).
+ */
+export async function testRules({ message_id, email }) {
+  if (!message_id && !email) {
+    throw new Error('Either message_id or email is required');
+  }
+
+  const target = message_id ? await loadTestEmail(message_id) : buildTestEmail(email);
+
+  return {
+    email: {
+      id: target.id,
+      from: target.from,
+      to: target.to,
+      subject: target.subject,
+      analysis: target.analysis || null,
+      language: target.language,
+    },
+    ...explainRules(target),
+  };
+}
@@ -0,0 +1,269 @@
+import { z } from 'zod';
+import {
+  ANALYSIS_CATEGORIES,
+  ANALYSIS_SENTIMENTS,
+  ANALYSIS_URGENCIES,
+  ANALYSIS_ENTITY_TYPES,
+} from '../ai/analysisSchema.js';
+import { getRulePromptProblem } from '../ai/promptTemplates.js';
+
+const stringList = z.array(z.string().min(1)).min(1);
+const field = z.enum(['subject', 'body', 'attachments', 'any']);
+const dayName = z.enum(['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']);
+const clockTime = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected HH:MM (24-hour)');
+// Lower-cased, as detected languages are
+const languageCode = z
+  .string()
+  .regex(/^[a-z]{2}$/i, 'Expected a two-letter ISO 639-1 code')
+  .transform((code) => code.toLowerCase());
+
+const regexPattern = z
+  .object({
+    pattern: z.string().min(1),
+    flags: z.string().optional(),
+  })
+  .refine(
+    ({ pattern, flags }) => {
+      try {
+        new RegExp(pattern, flags);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    { message: 'Invalid regular expression' }
+  );
+
+// Matches the AI analysis of the email (see ai/analysisSchema.js); every key present must hold
+const analysisCondition = z
+  .object({
+    category: z.array(z.enum(ANALYSIS_CATEGORIES)).min(1).optional(),
+    sentiment: z.array(z.enum(ANALYSIS_SENTIMENTS)).min(1).optional(),
+    urgency: z.array(z.enum(ANALYSIS_URGENCIES)).min(1).optional(),
+    language: z.array(languageCode).min(1).optional(),
+    intent: stringList.optional(),
+    requiresHuman: z.boolean().optional(),
+    entities: z.array(z.enum(ANALYSIS_ENTITY_TYPES)).min(1).optional(),
+  })
+  .strict()
+  .refine((analysis) => Object.keys(analysis).length > 0, { message: 'analysis condition must not be empty' });
+
+const LEAF_KEYS = [
+  'keywords',
+  'excludeKeywords',
+  'regex',
+  'from',
+  'fromDomain',
+  'to',
+  'cc',
+  'labels',
+  'hasAttachment',
+  'timeWindow',
+  'analysis',
+  'language',
+];
+const GROUP_KEYS = ['all', 'any', 'not'];
+
+/**
+ * A rule condition. Every key present in one object must hold (implicit AND);
+ * all / any / not nest further conditions.
+ */
+export const conditionSchema = z.lazy(() =>
+  z
+    .object({
+      keywords: stringList.optional(),
+      mustMatch: z.enum(['any', 'all']).optional(),
+      excludeKeywords: stringList.optional(),
+      regex: z
+        .union([z.string().min(1).transform((pattern) => ({ pattern })), z.object({}).passthrough()])
+        .pipe(regexPattern)
+        .optional(),
+      field: field.optional(),
+      from: stringList.optional(),
+      fromDomain: stringList.optional(),
+      to: stringList.optional(),
+      cc: stringList.optional(),
+      labels: stringList.optional(),
+      hasAttachment: z.boolean().optional(),
+      timeWindow: z
+        .object({
+          days: z.array(dayName).min(1).optional(),
+          start: clockTime.optional(),
+          end: clockTime.optional(),
+          timezone: z.string().optional(),
+        })
+        .refine(({ start, end }) => (start === undefined) === (end === undefined), {
+          message: 'start and end must be given together',
+        })
+        .optional(),
+      analysis: analysisCondition.optional(),
+      language: z.array(languageCode).min(1).optional(),
+      all: z.array(conditionSchema).min(1).optional(),
+      any: z.array(conditionSchema).min(1).optional(),
+      not: conditionSchema.optional(),
+    })
+    .strict()
+    .refine((condition) => [...LEAF_KEYS, ...GROUP_KEYS].some((key) => condition[key] !== undefined), {
+      message: `Condition must use at least one of: ${[...LEAF_KEYS, ...GROUP_KEYS].join(', ')}`,
+    })
+);
+
+// Options shared by the actions that reply
+const replyOptions = {
+  replyAll: z.boolean().optional(),
+  quoteOriginal: z.boolean().optional(),
+};
+
+export const actionSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('ai_reply'), ...replyOptions }).strict(),
+  z
+    .object({
+      type: z.literal('template_reply'),
+      template: z.string().min(1),
+      // The text to send instead when replying in one of these languages
+      translations: z.record(languageCode, z.string().min(1)).optional(),
+      ...replyOptions,
+    })
+    .strict(),
+  z.object({ type: z.literal('draft'), ...replyOptions }).strict(),
+  z.object({ type: z.literal('label'), labels: stringList }).strict(),
+  z.object({ type: z.literal('archive') }).strict(),
+  z.object({ type: z.literal('star') }).strict(),
+  z.object({ type: z.literal('mark_important') }).strict(),
+  z.object({ type: z.literal('mark_read') }).strict(),
+  z.object({ type: z.literal('forward'), to: z.string().email(), note: z.string().optional() }).strict(),
+  z
+    .object({
+      type: z.literal('webhook'),
+      url: z.string().url(),
+      method: z.enum(['POST', 'PUT']).default('POST'),
+      headers: z.record(z.string()).optional(),
+    })
+    .strict(),
+]);
+
+export const LLM_PROVIDERS = ['openai', 'azure', 'anthropic', 'compatible'];
+
+// Generation settings for one LLM provider
+const llmOptions = {
+  model: z.string().min(1).optional(),
+  temperature: z.number().min(0).max(2).optional(),
+  maxTokens: z.number().int().min(1).optional(),
+};
+
+// A rule's LLM: a provider (the global one if omitted) and settings overriding it
+const ruleLlmSchema = z.object({ provider: z.enum(LLM_PROVIDERS).optional(), ...llmOptions }).strict();
+
+// The global LLM: the default provider and per-provider settings
+const llmSchema = z
+  .object({
+    provider: z.enum(LLM_PROVIDERS).default('openai'),
+    providers: z
+      .object(Object.fromEntries(LLM_PROVIDERS.map((name) => [name, z.object(llmOptions).strict()])))
+      .partial()
+      .strict()
+      .default({}),
+  })
+  .strict();
+
+// The prompt template a rule replies with, pinned to a version or the latest
+const rulePromptSchema = z
+  .object({
+    template: z.string().regex(/^[a-z0-9_-]+$/i, 'Template id may only contain letters, digits, "_" and "-"'),
+    version: z.number().int().min(1).optional(),
+  })
+  .strict();
+
+// The knowledge collections a rule's replies are grounded in (all by default)
+const ruleKnowledgeSchema = z
+  .object({
+    enabled: z.boolean().optional(),
+    collections: z
+      .array(z.string().regex(/^[a-z0-9_-]+$/i, 'Collection names may only contain letters, digits, "_" and "-"'))
+      .min(1)
+      .optional(),
+    maxPassages: z.number().int().min(0).max(20).optional(),
+  })
+  .strict();
+
+export const ruleSchema = z
+  .object({
+    id: z.string().regex(/^[a-z0-9_-]+$/i, 'Rule id may only contain letters, digits, "_" and "-"'),
+    name: z.string().min(1),
+    enabled: z.boolean(),
+    conditions: conditionSchema,
+    context: z.string().default(''),
+    requireApproval: z.boolean().optional(),
+    priority: z.number().int().default(0),
+    stopProcessing: z.boolean().default(false),
+    actions: z.array(actionSchema).min(1).optional(),
+    llm: ruleLlmSchema.optional(),
+    prompt: rulePromptSchema.optional(),
+    knowledge: ruleKnowledgeSchema.optional(),
+    // Reply in this language whatever the email is written in
+    language: languageCode.optional(),
+  })
+  .passthrough();
+
+export const rulesFileSchema = z
+  .object({
+    ignore_rules: z
+      .object({
+        ignore_senders: z.array(z.string().min(1)).default([]),
+        ignore_subject_contains: z.array(z.string().min(1)).default([]),
+      })
+      .passthrough()
+      .default({}),
+    matchStrategy: z.enum(['first-match', 'highest-priority', 'merge']).default('merge'),
+    llm: llmSchema.optional(),
+    rules: z.array(ruleSchema),
+  })
+  .passthrough()
+  .superRefine((data, ctx) => {
+    const seen = new Set();
+    data.rules.forEach((rule, index) => {
+      if (seen.has(rule.id)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['rules', index, 'id'],
+          message: `Duplicate rule id "${rule.id}"`,
+        });
+      }
+      seen.add(rule.id);
+
+      const promptProblem = rule.prompt && getRulePromptProblem(rule.prompt);
+      if (promptProblem) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['rules', index, 'prompt', 'template'],
+          message: promptProblem,
+        });
+      }
+    });
+  });
+
+/**
+ * Format zod issues as "path: message" lines
+ */
+function formatIssues(issues) {
+  return issues
+    .map((issue) => {
+      const location = issue.path
+        .map((part) => (typeof part === 'number' ? `[${part}]` : `.${part}`))
+        .join('')
+        .replace(/^\./, '');
+      return `  - ${location || '(root)'}: ${issue.message}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Validate parsed rules.json contents, throwing an error listing every problem
+ */
+export function validateRulesConfig(data, source = 'rules.json') {
+  const result = rulesFileSchema.safeParse(data);
+  if (!result.success) {
+    throw new Error(`Invalid ${source}:\n${formatIssues(result.error.issues)}`);
+  }
+  return result.data;
+}
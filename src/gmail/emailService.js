@@ -1,7 +1,15 @@
 import { google } from 'googleapis';
 import { getAuthenticatedClient } from './auth.js';
+import { getConfig } from '../config/configManager.js';
+import { callApi } from '../utils/apiLimits.js';
+import { logger } from '../utils/logger.js';
+import { composeReply, composeForward } from '../mail/replyMessage.js';
+import { parseMessagePayload } from '../mail/mimeParser.js';
 
 let gmail;
+let ownAddress = null;
+// Label names by id; reloaded when a message carries an id it doesn't know
+let labelNames = null;
 
 /**
  * Initialize the Gmail service
@@ -13,15 +21,32 @@ export async function initializeGmailService() {
 }
 
 /**
- * Fetch unread emails from inbox
+ * Build the Gmail search query for unread mail from settings.json:
+ * only useLabel, never any of excludeLabels
  */
-export async function getUnreadEmails(maxResults = 10) {
+export function buildUnreadQuery({ useLabel, excludeLabels = [] }) {
+  const toSearchLabel = (label) => label.toLowerCase().replace(/[\s/]+/g, '-');
+
+  return [
+    'is:unread',
+    useLabel ? `label:${toSearchLabel(useLabel)}` : null,
+    ...excludeLabels.map((label) => `-label:${toSearchLabel(label)}`),
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Fetch unread emails (batch size and labels default to settings.json)
+ */
+export async function getUnreadEmails(maxResults) {
   try {
-    const response = await gmail.users.messages.list({
+    const settings = getConfig('settings');
+    const response = await callApi(() => gmail.users.messages.list({
       userId: 'me',
-      q: 'is:unread',
-      maxResults,
-    });
+      q: buildUnreadQuery(settings),
+      maxResults: maxResults || settings.emailBatchSize,
+    }));
 
     if (!response.data.messages) {
       return [];
@@ -39,42 +64,88 @@ export async function getUnreadEmails(maxResults = 10) {
 }
 
 /**
- * Get full email details including headers and body
+ * Email details of a Gmail API message resource (fetched with format 'full')
+ */
+function toEmailDetails(message) {
+  const headers = message.payload.headers;
+  // Header names are case-insensitive ("Message-ID" vs "Message-Id")
+  const getHeader = (name) => headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value;
+  const from = getHeader('From') || 'Unknown';
+  const subject = getHeader('Subject') || '(No Subject)';
+  const to = getHeader('To') || '';
+  const cc = getHeader('Cc') || '';
+
+  const { body, cleanBody, html, attachments, parts } = parseMessagePayload(message.payload);
+
+  return {
+    id: message.id,
+    threadId: message.threadId,
+    from,
+    subject,
+    to,
+    cc,
+    replyTo: getHeader('Reply-To') || '',
+    messageIdHeader: getHeader('Message-ID') || '',
+    inReplyTo: getHeader('In-Reply-To') || '',
+    references: getHeader('References') || '',
+    body,
+    cleanBody,
+    html,
+    attachments,
+    parts,
+    labelIds: message.labelIds || [],
+    hasAttachments: attachments.length > 0,
+    timestamp: message.internalDate,
+  };
+}
+
+/**
+ * Load the mailbox's label names by id
+ */
+function listLabelNames() {
+  const request = callApi(() => gmail.users.labels.list({ userId: 'me' })).then(
+    (response) => new Map((response.data.labels || []).map((label) => [label.id, label.name]))
+  );
+  // A failed listing is retried by the next lookup
+  request.catch(() => {
+    if (labelNames === request) {
+      labelNames = null;
+    }
+  });
+  return request;
+}
+
+/**
+ * The names of label ids ("Label_12" -> "Customers"), so rules can name
+ * user labels the way Gmail shows them
+ */
+async function getLabelNames(labelIds) {
+  if (!labelNames) {
+    labelNames = listLabelNames();
+  }
+  let names = await labelNames;
+  if (labelIds.some((id) => !names.has(id))) {
+    labelNames = listLabelNames();
+    names = await labelNames;
+  }
+  return labelIds.map((id) => names.get(id)).filter(Boolean);
+}
+
+/**
+ * Get full email details: headers, the message text (body, and cleanBody
+ * without quoted history or signature), attachments, the raw parts and the
+ * names of its labels
  */
 export async function getEmailDetails(messageId) {
   try {
-    const response = await gmail.users.messages.get({
+    const response = await callApi(() => gmail.users.messages.get({
       userId: 'me',
       id: messageId,
       format: 'full',
-    });
-
-    const message = response.data;
-    const headers = message.payload.headers;
-    const from = headers.find((h) => h.name === 'From')?.value || 'Unknown';
-    const subject = headers.find((h) => h.name === 'Subject')?.value || '(No Subject)';
-    const to = headers.find((h) => h.name === 'To')?.value || '';
-
-    let body = '';
-    if (message.payload.parts) {
-      const textPart = message.payload.parts.find(
-        (part) => part.mimeType === 'text/plain'
-      );
-      if (textPart && textPart.body.data) {
-        body = Buffer.from(textPart.body.data, 'base64').toString('utf-8');
-      }
-    } else if (message.payload.body.data) {
-      body = Buffer.from(message.payload.body.data, 'base64').toString('utf-8');
-    }
+    }));
 
-    return {
-      id: messageId,
-      from,
-      subject,
-      to,
-      body,
-      timestamp: message.internalDate,
-    };
+    const details = toEmailDetails(response.data);
+    return { ...details, labelNames: await getLabelNames(details.labelIds) };
   } catch (error) {
     console.error(`Error getting email details for ${messageId}:`, error.message);
     throw error;
@@ -82,38 +153,90 @@ export async function getEmailDetails(messageId) {
 }
 
 /**
- * Send a reply to an email
+ * Get every message of a thread, oldest first, including the ones we sent
+ * (labelled SENT)
  */
-export async function sendReply(messageId, replyText) {
+export async function getThread(threadId) {
   try {
-    const originalMessage = await getEmailDetails(messageId);
-    const headers = originalMessage;
-
-    const email = [
-      `From: me`,
-      `To: ${headers.from}`,
-      `Subject: Re: ${headers.subject}`,
-      `In-Reply-To: <${messageId}@mail.gmail.com>`,
-      `References: <${messageId}@mail.gmail.com>`,
-      '',
-      replyText,
-    ].join('\n');
-
-    const encodedMessage = Buffer.from(email)
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
-
-    const response = await gmail.users.messages.send({
+    const response = await callApi(() => gmail.users.threads.get({
       userId: 'me',
-      requestBody: {
-        raw: encodedMessage,
-        threadId: messageId,
-      },
-    });
+      id: threadId,
+      format: 'full',
+    }));
+
+    return (response.data.messages || []).map(toEmailDetails);
+  } catch (error) {
+    console.error(`Error getting thread ${threadId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Download an attachment's contents
+ */
+export async function getAttachmentData(messageId, attachmentId) {
+  try {
+    const response = await callApi(() => gmail.users.messages.attachments.get({
+      userId: 'me',
+      messageId,
+      id: attachmentId,
+    }));
+
+    return Buffer.from(response.data.data, 'base64url');
+  } catch (error) {
+    console.error(`Error getting attachment for ${messageId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Encode a raw MIME message as base64url for the Gmail API
+ */
+function encodeRawMessage(raw) {
+  return Buffer.from(raw).toString('base64url');
+}
+
+/**
+ * Get the authenticated account's email address (cached after the first call)
+ */
+async function getOwnAddress() {
+  if (!ownAddress) {
+    const response = await callApi(() => gmail.users.getProfile({ userId: 'me' }));
+    ownAddress = response.data.emailAddress;
+  }
+  return ownAddress;
+}
 
-    console.log(`Reply sent to ${headers.from}`);
+/**
+ * Build the Gmail API reply message for an email, threaded under the
+ * original (see composeReply for options)
+ */
+async function buildReplyMessage(messageId, replyText, options = {}) {
+  const original = await getEmailDetails(messageId);
+  const { raw, to } = composeReply(original, replyText, await getOwnAddress(), options);
+
+  return {
+    to: to.map((entry) => entry.text).join(', '),
+    message: {
+      raw: encodeRawMessage(raw),
+      threadId: original.threadId,
+    },
+  };
+}
+
+/**
+ * Send a reply to an email (see composeReply for options)
+ */
+export async function sendReply(messageId, replyText, options = {}) {
+  try {
+    const { to, message } = await buildReplyMessage(messageId, replyText, options);
+
+    const response = await callApi(() => gmail.users.messages.send({
+      userId: 'me',
+      requestBody: message,
+    }));
+
+    logger.info(`Reply sent to ${to}`);
     return response.data;
   } catch (error) {
     console.error(`Error sending reply for ${messageId}:`, error.message);
@@ -121,20 +244,112 @@ export async function sendReply(messageId, replyText) {
   }
 }
 
+/**
+ * Forward an email to another address, with an optional note above it
+ */
+export async function forwardEmail(messageId, to, note = '') {
+  try {
+    const original = await getEmailDetails(messageId);
+    const raw = encodeRawMessage(composeForward(original, to, note, await getOwnAddress()));
+
+    const response = await callApi(() => gmail.users.messages.send({
+      userId: 'me',
+      requestBody: { raw },
+    }));
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error forwarding ${messageId} to ${to}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Save a reply to an email as a Gmail draft
+ */
+export async function createReplyDraft(messageId, replyText, options = {}) {
+  try {
+    const { message } = await buildReplyMessage(messageId, replyText, options);
+
+    const response = await callApi(() => gmail.users.drafts.create({
+      userId: 'me',
+      requestBody: { message },
+    }));
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error creating reply draft for ${messageId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replace the text of an existing reply draft
+ */
+export async function updateReplyDraft(draftId, messageId, replyText, options = {}) {
+  try {
+    const { message } = await buildReplyMessage(messageId, replyText, options);
+
+    const response = await callApi(() => gmail.users.drafts.update({
+      userId: 'me',
+      id: draftId,
+      requestBody: { id: draftId, message },
+    }));
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error updating draft ${draftId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Send an existing draft
+ */
+export async function sendDraft(draftId) {
+  try {
+    const response = await callApi(() => gmail.users.drafts.send({
+      userId: 'me',
+      requestBody: { id: draftId },
+    }));
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error sending draft ${draftId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a draft
+ */
+export async function deleteDraft(draftId) {
+  try {
+    await callApi(() => gmail.users.drafts.delete({
+      userId: 'me',
+      id: draftId,
+    }));
+  } catch (error) {
+    console.error(`Error deleting draft ${draftId}:`, error.message);
+    throw error;
+  }
+}
+
 /**
  * Mark an email as read
  */
 export async function markAsRead(messageId) {
   try {
-    await gmail.users.messages.modify({
+    await callApi(() => gmail.users.messages.modify({
       userId: 'me',
       id: messageId,
       requestBody: {
         removeLabelIds: ['UNREAD'],
       },
-    });
+    }));
   } catch (error) {
     console.error(`Error marking ${messageId} as read:`, error.message);
+    throw error;
   }
 }
 
@@ -144,33 +359,74 @@ export async function markAsRead(messageId) {
 export async function addLabel(messageId, labelName) {
   try {
     // Get or create label
-    const labelsResponse = await gmail.users.labels.list({
+    const labelsResponse = await callApi(() => gmail.users.labels.list({
       userId: 'me',
-    });
+    }));
 
     let label = labelsResponse.data.labels.find((l) => l.name === labelName);
 
     if (!label) {
-      const newLabelResponse = await gmail.users.labels.create({
+      const newLabelResponse = await callApi(() => gmail.users.labels.create({
         userId: 'me',
         requestBody: {
           name: labelName,
           labelListVisibility: 'labelShow',
           messageListVisibility: 'show',
         },
-      });
+      }));
       label = newLabelResponse.data;
     }
 
     // Add label to message
-    await gmail.users.messages.modify({
+    await callApi(() => gmail.users.messages.modify({
       userId: 'me',
       id: messageId,
       requestBody: {
         addLabelIds: [label.id],
       },
-    });
+    }));
   } catch (error) {
     console.error(`Error adding label to ${messageId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Add and/or remove Gmail label ids on a message (e.g. STARRED, IMPORTANT, INBOX)
+ */
+export async function modifyLabels(messageId, { addLabelIds = [], removeLabelIds = [] }) {
+  try {
+    await callApi(() => gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: {
+        addLabelIds,
+        removeLabelIds,
+      },
+    }));
+  } catch (error) {
+    console.error(`Error modifying labels on ${messageId}:`, error.message);
+    throw error;
   }
 }
+
+/**
+ * The Gmail API backend for the mail provider layer (see mail/mailProvider.js)
+ */
+export const gmailProvider = {
+  name: 'gmail',
+  initialize: initializeGmailService,
+  getUnreadEmails,
+  getEmailDetails,
+  getThread,
+  getAttachmentData,
+  sendReply,
+  forwardEmail,
+  createReplyDraft,
+  updateReplyDraft,
+  sendDraft,
+  deleteDraft,
+  markAsRead,
+  addLabel,
+  modifyLabels,
+};
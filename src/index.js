@@ -1,10 +1,12 @@
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { initializeGmailService } from './gmail/emailService.js';
+import { initializeMailProvider, getMailProvider } from './mail/mailProvider.js';
 import { startScheduler, stopScheduler } from './scheduler/cronScheduler.js';
 import { startServer } from './server.js';
 import { initializeMCPServer, startStdioTransport } from './mcp/handler.js';
+import { getConfiguredLlmProviders } from './ai/llmProvider.js';
+import { loadConfig, watchConfig, stopWatchingConfig, onConfigChange } from './config/configManager.js';
 import { logger } from './utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -12,34 +14,62 @@ const __dirname = path.dirname(__filename);
 
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
+// Credentials each mail provider needs before it can connect
+const PROVIDER_CREDENTIALS = {
+  gmail: ['GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET'],
+  imap: ['IMAP_HOST', 'IMAP_USER', 'IMAP_PASSWORD', 'SMTP_HOST'],
+};
+
+// Credentials each LLM provider needs
+const LLM_CREDENTIALS = {
+  openai: ['OPENAI_API_KEY'],
+  azure: ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT'],
+  anthropic: ['ANTHROPIC_API_KEY'],
+  compatible: ['OPENAI_COMPATIBLE_BASE_URL'],
+};
+
 // Validate environment variables - only enforce in production
 function validateEnvironment() {
-  const requiredVars = [
-    'GMAIL_CLIENT_ID',
-    'GMAIL_CLIENT_SECRET',
-  ];
+  const provider = getMailProvider();
+  const requiredVars = PROVIDER_CREDENTIALS[provider.name] || [];
 
   const missing = requiredVars.filter((v) => !process.env[v]);
 
   if (missing.length > 0) {
     logger.warn(
-      `Warning: Missing Gmail credentials: ${missing.join(', ')}`
+      `Warning: Missing ${provider.name} mail credentials: ${missing.join(', ')}`
     );
     logger.info('The system will start but email processing will be unavailable until credentials are configured.');
-    logger.info('To set up credentials, run: npm run setup');
+    if (provider.name === 'gmail') {
+      logger.info('To set up credentials, run: npm run setup');
+    }
     return false;
   }
 
-  // Check for OpenAI API key
-  if (!process.env.OPENAI_API_KEY) {
-    logger.error('Missing required environment variable: OPENAI_API_KEY');
-    logger.error('Please add OPENAI_API_KEY to your .env file');
-    return false;
+  // Check the credentials of every LLM provider the rules use
+  for (const llmProvider of getConfiguredLlmProviders()) {
+    const missingLlm = LLM_CREDENTIALS[llmProvider].filter((v) => !process.env[v]);
+    if (missingLlm.length > 0) {
+      logger.error(
+        `Missing required environment variables for the ${llmProvider} LLM provider: ${missingLlm.join(', ')}`
+      );
+      logger.error('Please add them to your .env file');
+      return false;
+    }
   }
 
   return true;
 }
 
+/**
+ * Apply settings.logLevel unless LOG_LEVEL is set in the environment
+ */
+function applyLogLevel(settings) {
+  if (!process.env.LOG_LEVEL) {
+    logger.level = settings.logLevel;
+  }
+}
+
 /**
  * Initialize and start the email automation system
  */
@@ -47,6 +77,13 @@ async function start() {
   try {
     logger.info('=== Email Automation System Starting ===');
 
+    // Validate rules.json and settings.json up front so malformed config fails fast
+    const { rules, settings } = loadConfig();
+    logger.info(`Loaded ${rules.rules.length} rule(s) and settings from config/`);
+    applyLogLevel(settings);
+    onConfigChange('settings', applyLogLevel);
+    watchConfig();
+
     // Initialize MCP Server (before starting HTTP server for proper initialization)
     logger.info('Initializing MCP Server...');
     await initializeMCPServer();
@@ -66,17 +103,22 @@ async function start() {
     const credentialsConfigured = validateEnvironment();
 
     if (credentialsConfigured) {
-      // Initialize Gmail service
-      logger.info('Initializing Gmail service...');
-      await initializeGmailService();
-      logger.info('Gmail service initialized successfully');
+      // Connect the configured mail provider
+      const provider = getMailProvider();
+      logger.info(`Initializing ${provider.name} mail provider...`);
+      await initializeMailProvider();
+      logger.info(`${provider.name} mail provider initialized successfully`);
 
-      // Get processing interval from env
+      // Get processing interval from env, falling back to settings.json
       const intervalMinutes = parseInt(
-        process.env.PROCESSING_INTERVAL_MINUTES || '5',
+        process.env.PROCESSING_INTERVAL_MINUTES || settings.processingInterval,
         10
       );
 
+      if (process.env.DRY_RUN === 'true') {
+        logger.warn('DRY_RUN is enabled - replies will be generated but nothing will be sent or labelled');
+      }
+
       // Start the scheduler
       startScheduler(intervalMinutes);
 
@@ -109,6 +151,7 @@ function setupGracefulShutdown() {
     process.on(signal, () => {
       logger.info(`Received ${signal}, shutting down gracefully...`);
       stopScheduler();
+      stopWatchingConfig();
       logger.info('Email automation system stopped');
       process.exit(0);
     });
@@ -0,0 +1,77 @@
+// Common English words that carry no meaning for retrieval
+const STOP_WORDS = new Set(
+  (
+    'a an and are as at be but by can could do does for from had has have how i if in into is it its me my no not ' +
+    'of on or our please so than that the their them then there these they this to us was we were what when where ' +
+    'which who why will with would you your'
+  ).split(' ')
+);
+
+/**
+ * Split text into lower-case terms, dropping stop words and folding simple
+ * plurals so "prices" matches "price"
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((term) => term.length > 1 && !STOP_WORDS.has(term))
+    .map((term) => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+/**
+ * Build an Okapi BM25 index over documents ({ id, text } plus any other
+ * fields, which are returned with the results)
+ */
+export function createBm25Index(documents, { k1 = 1.2, b = 0.75 } = {}) {
+  const entries = documents.map((document) => {
+    const terms = tokenize(document.text);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return { document, length: terms.length, frequencies };
+  });
+
+  const documentFrequency = new Map();
+  for (const { frequencies } of entries) {
+    for (const term of frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+
+  /**
+   * Inverse document frequency, never negative for very common terms
+   */
+  function idf(term) {
+    const df = documentFrequency.get(term) || 0;
+    return Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+  }
+
+  return {
+    size: entries.length,
+
+    /**
+     * Best-scoring documents for a query, highest first. Documents sharing
+     * no term with the query are never returned; filter limits the
+     * candidates.
+     */
+    search(query, { limit = 5, filter = () => true } = {}) {
+      const queryTerms = [...new Set(tokenize(query))];
+
+      return entries
+        .filter(({ document }) => filter(document))
+        .map(({ document, length, frequencies }) => {
+          const score = queryTerms.reduce((sum, term) => {
+            const tf = frequencies.get(term) || 0;
+            if (tf === 0) return sum;
+            return sum + (idf(term) * tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * length) / (averageLength || 1)));
+          }, 0);
+          return { ...document, score };
+        })
+        .filter((result) => result.score > 0)
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit);
+    },
+  };
+}
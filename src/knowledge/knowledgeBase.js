@@ -0,0 +1,288 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createBm25Index } from './bm25.js';
+import { getSettings } from '../config/settings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * The knowledge base: markdown and text files under KNOWLEDGE_DIR, one
+ * collection per subdirectory (files directly in KNOWLEDGE_DIR belong to
+ * "general"). Files are split into passages at headings and paragraphs and
+ * indexed with BM25; the index is rebuilt whenever a file changes.
+ */
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || path.resolve(__dirname, '../../knowledge');
+
+const DEFAULT_COLLECTION = 'general';
+const DOCUMENT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+const NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+// Passages are cut at paragraph (or, for long paragraphs, word) boundaries below this length
+const MAX_PASSAGE_CHARS = 1000;
+
+// Longest part of an email used as the search query
+const MAX_QUERY_CHARS = 2000;
+
+let cache = { signature: null, documents: [], index: null, passages: new Map() };
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function knowledgeError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Every knowledge file with its collection, path relative to
+ * KNOWLEDGE_DIR, size and modification time
+ */
+function scanFiles() {
+  if (!fs.existsSync(KNOWLEDGE_DIR)) {
+    return [];
+  }
+
+  const files = [];
+  const walk = (dir, collection) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath, collection || entry.name);
+      } else if (DOCUMENT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        const { size, mtimeMs } = fs.statSync(fullPath);
+        files.push({
+          collection: collection || DEFAULT_COLLECTION,
+          document: path.relative(KNOWLEDGE_DIR, fullPath).split(path.sep).join('/'),
+          fullPath,
+          size,
+          mtimeMs,
+        });
+      }
+    }
+  };
+  walk(KNOWLEDGE_DIR, null);
+
+  return files.sort((a, b) => a.document.localeCompare(b.document));
+}
+
+/**
+ * Split a long paragraph at word boundaries into pieces of at most maxChars
+ */
+function splitLongText(text, maxChars) {
+  const pieces = [];
+  let current = '';
+  for (const word of text.split(/\s+/)) {
+    if (current && current.length + word.length + 1 > maxChars) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  return current ? [...pieces, current] : pieces;
+}
+
+/**
+ * Split a markdown document into passages. Each passage stays within one
+ * section and is titled with its heading path (e.g. "Pricing > Plans").
+ */
+export function chunkDocument(text, fallbackTitle) {
+  const sections = [];
+  const headings = [];
+  let current = { title: fallbackTitle, lines: [] };
+
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push(current);
+      headings.length = heading[1].length - 1;
+      headings[heading[1].length - 1] = heading[2];
+      current = { title: headings.filter(Boolean).join(' > '), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  const passages = [];
+  for (const section of sections) {
+    const paragraphs = section.lines
+      .join('\n')
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .filter(Boolean)
+      .flatMap((paragraph) =>
+        paragraph.length > MAX_PASSAGE_CHARS ? splitLongText(paragraph, MAX_PASSAGE_CHARS) : [paragraph]
+      );
+
+    let text = '';
+    for (const paragraph of paragraphs) {
+      if (text && text.length + paragraph.length + 2 > MAX_PASSAGE_CHARS) {
+        passages.push({ title: section.title, text });
+        text = paragraph;
+      } else {
+        text = text ? `${text}\n\n${paragraph}` : paragraph;
+      }
+    }
+    if (text) {
+      passages.push({ title: section.title, text });
+    }
+  }
+
+  return passages;
+}
+
+/**
+ * Load every document and its passages, rebuilding the index if any file
+ * was added, changed or removed since the last call
+ */
+function loadKnowledge() {
+  const files = scanFiles();
+  const signature = files.map((file) => `${file.document}:${file.size}:${file.mtimeMs}`).join('|');
+  if (signature === cache.signature) {
+    return cache;
+  }
+
+  const documents = files.map((file) => {
+    const name = path.basename(file.document, path.extname(file.document));
+    const passages = chunkDocument(fs.readFileSync(file.fullPath, 'utf-8'), name).map((passage, position) => ({
+      id: `${file.document}#${position + 1}`,
+      collection: file.collection,
+      document: file.document,
+      ...passage,
+    }));
+    return { ...file, passages };
+  });
+
+  const passages = documents.flatMap((document) => document.passages);
+  cache = {
+    signature,
+    documents,
+    // Headings are indexed with the text so a section's title matches its passages
+    index: createBm25Index(passages.map((passage) => ({ ...passage, text: `${passage.title}\n${passage.text}` }))),
+    passages: new Map(passages.map((passage) => [passage.id, passage])),
+  };
+  return cache;
+}
+
+/**
+ * Throw a 404 error unless every named collection has documents
+ */
+function checkCollections(documents, collections) {
+  const known = new Set(documents.map((document) => document.collection));
+  const missing = collections.filter((collection) => !known.has(collection));
+  if (missing.length > 0) {
+    throw knowledgeError(`Knowledge collection not found: ${missing.join(', ')}`, 404);
+  }
+}
+
+/**
+ * List the knowledge collections and their documents, optionally only one collection
+ */
+export function listKnowledgeDocuments(collection) {
+  const { documents } = loadKnowledge();
+  if (collection) {
+    checkCollections(documents, [collection]);
+  }
+
+  const collections = new Map();
+  for (const document of documents.filter((d) => !collection || d.collection === collection)) {
+    if (!collections.has(document.collection)) {
+      collections.set(document.collection, []);
+    }
+    collections.get(document.collection).push({
+      document: document.document,
+      passages: document.passages.length,
+      size: document.size,
+      updatedAt: new Date(document.mtimeMs).toISOString(),
+    });
+  }
+
+  return [...collections].map(([name, docs]) => ({ collection: name, documents: docs }));
+}
+
+/**
+ * Write a markdown document into a collection, replacing a document of
+ * the same name. Returns the document's index entry.
+ */
+export function addKnowledgeDocument({ collection = DEFAULT_COLLECTION, name, content }) {
+  const extension = DOCUMENT_EXTENSIONS.find((ext) => (name || '').toLowerCase().endsWith(ext));
+  const baseName = extension ? name.slice(0, -extension.length) : name;
+
+  if (!NAME_PATTERN.test(collection)) {
+    throw knowledgeError('Collection names may only contain letters, digits, "_" and "-"', 400);
+  }
+  if (!NAME_PATTERN.test(baseName || '')) {
+    throw knowledgeError('Document names may only contain letters, digits, "_" and "-"', 400);
+  }
+  if (!content || !content.trim()) {
+    throw knowledgeError('Document content is required', 400);
+  }
+
+  const dir = path.join(KNOWLEDGE_DIR, collection);
+  const filePath = path.join(dir, `${baseName}${extension || '.md'}`);
+  const replaced = fs.existsSync(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, content);
+
+  const document = loadKnowledge().documents.find((d) => d.fullPath === filePath);
+  return { collection, document: document.document, passages: document.passages.length, replaced };
+}
+
+/**
+ * Search the knowledge base, optionally only some collections. Returns the
+ * best passages with their BM25 score, best first.
+ */
+export function searchKnowledge(query, { collections, limit = 5 } = {}) {
+  if (!query || !query.trim()) {
+    throw knowledgeError('A search query is required', 400);
+  }
+
+  const { documents, index } = loadKnowledge();
+  if (collections) {
+    checkCollections(documents, collections);
+  }
+
+  return index
+    .search(query, { limit, filter: (passage) => !collections || collections.includes(passage.collection) })
+    .map(({ id, collection, document, title, score }) => ({
+      id,
+      collection,
+      document,
+      title,
+      text: cache.passages.get(id).text,
+      score: Math.round(score * 1000) / 1000,
+    }));
+}
+
+/**
+ * The passages to ground a reply to an email in: a search for its subject
+ * and body in the rule's knowledge collections (all of them by default).
+ * Empty when the knowledge base is empty or the rule turns knowledge off.
+ */
+export function getRelevantPassages(email, rule) {
+  const { enabled = true, collections, maxPassages = getSettings().knowledgeMaxPassages } = rule?.knowledge || {};
+  if (!enabled || maxPassages === 0) {
+    return [];
+  }
+
+  const { documents, index } = loadKnowledge();
+  if (index.size === 0) {
+    return [];
+  }
+
+  // Rules may name collections that don't exist yet; they simply add nothing
+  const available = collections ? collections.filter((c) => documents.some((d) => d.collection === c)) : undefined;
+  if (available && available.length === 0) {
+    return [];
+  }
+
+  const query = `${email.subject || ''}\n${email.cleanBody || email.body || ''}`.slice(0, MAX_QUERY_CHARS);
+  if (!query.trim()) {
+    return [];
+  }
+  return searchKnowledge(query, { collections: available, limit: maxPassages });
+}
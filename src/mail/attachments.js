@@ -0,0 +1,115 @@
+import path from 'path';
+import { getEmailDetails, getAttachmentData } from './mailProvider.js';
+import { getSettings } from '../config/settings.js';
+import { logger } from '../utils/logger.js';
+
+const TEXT_MIME_TYPES = ['text/plain', 'text/csv', 'text/tab-separated-values', 'text/markdown', 'application/json'];
+const TEXT_EXTENSIONS = ['.txt', '.csv', '.tsv', '.md', '.json', '.log'];
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function attachmentError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Check if an attachment is plain text, CSV or JSON (by MIME type or extension)
+ */
+export function isTextAttachment(attachment) {
+  const mimeType = (attachment.mimeType || '').toLowerCase();
+  const extension = path.extname(attachment.filename || '').toLowerCase();
+  return TEXT_MIME_TYPES.includes(mimeType) || TEXT_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Decode a text attachment, pretty-printing valid JSON and truncating to
+ * attachmentTextLimit characters from settings.json
+ */
+export function extractAttachmentText(attachment, content) {
+  let text = content.toString('utf-8').replace(/^\uFEFF/, '');
+
+  if (attachment.mimeType === 'application/json' || /\.json$/i.test(attachment.filename || '')) {
+    try {
+      text = JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+      // Not valid JSON; keep the raw text
+    }
+  }
+
+  const { attachmentTextLimit } = getSettings();
+  return text.length > attachmentTextLimit ? `${text.slice(0, attachmentTextLimit)}\n[truncated]` : text;
+}
+
+/**
+ * List the attachments of an email
+ */
+export async function listAttachments(messageId) {
+  const email = await getEmailDetails(messageId);
+  return email.attachments.map((attachment) => ({
+    ...attachment,
+    textExtractable: isTextAttachment(attachment),
+  }));
+}
+
+/**
+ * Download one attachment, identified by its MIME part id. Returns its
+ * metadata, base64 content and, for text/CSV/JSON files, the extracted text.
+ * Attachments larger than maxAttachmentBytes are refused with a 413 error.
+ */
+export async function getAttachment(messageId, partId, { includeContent = true } = {}) {
+  const email = await getEmailDetails(messageId);
+  const attachment = email.attachments.find((a) => a.partId === partId);
+
+  if (!attachment) {
+    throw attachmentError(`Attachment with part id "${partId}" not found on ${messageId}`, 404);
+  }
+  if (!attachment.attachmentId) {
+    throw attachmentError(`Attachment "${attachment.filename}" has no downloadable content`, 404);
+  }
+
+  const { maxAttachmentBytes } = getSettings();
+  if (attachment.size > maxAttachmentBytes) {
+    throw attachmentError(
+      `Attachment "${attachment.filename}" is ${attachment.size} bytes, over the ${maxAttachmentBytes}-byte limit`,
+      413
+    );
+  }
+
+  const content = await getAttachmentData(messageId, attachment.attachmentId);
+  return {
+    ...attachment,
+    text: isTextAttachment(attachment) ? extractAttachmentText(attachment, content) : null,
+    content_base64: includeContent ? content.toString('base64') : undefined,
+  };
+}
+
+/**
+ * Add the extracted text of an email's text/CSV/JSON attachments as
+ * `attachmentText`, for rule conditions and the AI prompt. Attachments over
+ * maxAttachmentBytes, or that fail to download, are skipped.
+ */
+export async function withAttachmentText(email) {
+  const { maxAttachmentBytes } = getSettings();
+  const candidates = (email.attachments || []).filter(
+    (attachment) => attachment.attachmentId && isTextAttachment(attachment) && attachment.size <= maxAttachmentBytes
+  );
+
+  if (candidates.length === 0) {
+    return email;
+  }
+
+  const sections = [];
+  for (const attachment of candidates) {
+    try {
+      const content = await getAttachmentData(email.id, attachment.attachmentId);
+      sections.push(`--- ${attachment.filename} ---\n${extractAttachmentText(attachment, content)}`);
+    } catch (error) {
+      logger.warn(`Could not read attachment "${attachment.filename}" of ${email.id}: ${error.message}`);
+    }
+  }
+
+  return { ...email, attachmentText: sections.join('\n\n') };
+}
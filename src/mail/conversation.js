@@ -0,0 +1,126 @@
+import { getEmailDetails, getThread } from './mailProvider.js';
+import { getSettings } from '../config/settings.js';
+
+// Messages cut to fit the budget keep at least this many tokens, else they are left out
+const MIN_PARTIAL_TOKENS = 50;
+
+/**
+ * Rough token count of a text (about four characters per token for
+ * English), good enough for budgeting without a tokenizer
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * A message as it appears in the conversation: who sent it, when, and its
+ * text without quoted history
+ */
+function toConversationMessage(message) {
+  return {
+    id: message.id,
+    from: message.from,
+    to: message.to,
+    date: new Date(Number(message.timestamp)).toISOString(),
+    subject: message.subject,
+    fromSelf: message.labelIds.includes('SENT'),
+    text: (message.cleanBody || message.body || '').trim(),
+  };
+}
+
+/**
+ * Heading of a message in the transcript
+ */
+function formatHeading(message) {
+  const sender = message.fromSelf ? `You (${message.from})` : message.from;
+  return `--- ${sender}, ${message.date.slice(0, 16).replace('T', ' ')} UTC ---`;
+}
+
+/**
+ * Keep the newest messages that fit in tokenBudget. The oldest message
+ * that doesn't fit is cut to its beginning if enough budget is left.
+ */
+function trimToBudget(messages, tokenBudget) {
+  const kept = [];
+  let remaining = tokenBudget;
+
+  for (const message of [...messages].reverse()) {
+    const headingTokens = estimateTokens(formatHeading(message)) + 1;
+    const tokens = headingTokens + estimateTokens(message.text);
+    if (tokens <= remaining) {
+      kept.unshift(message);
+      remaining -= tokens;
+      continue;
+    }
+
+    const available = remaining - headingTokens;
+    if (available >= MIN_PARTIAL_TOKENS) {
+      const text = `${message.text.slice(0, available * 4 - 16).trimEnd()} [...]`;
+      kept.unshift({ ...message, text, truncated: true });
+    }
+    break;
+  }
+
+  return kept;
+}
+
+/**
+ * Check if a thread message came before the email being answered. Drafts
+ * (e.g. a reply waiting for approval) and later messages are left out.
+ */
+function isEarlierMessage(message, email) {
+  return (
+    message.id !== email.id &&
+    !(message.labelIds || []).includes('DRAFT') &&
+    !(email.timestamp && Number(message.timestamp) > Number(email.timestamp))
+  );
+}
+
+/**
+ * Build the conversation an email belongs to: the earlier messages of its
+ * thread (including our own replies), oldest first and trimmed to the
+ * newest ones that fit in tokenBudget (threadTokenBudget from settings by
+ * default). The email itself, drafts and later messages are not part of it.
+ */
+export async function getConversation(email, { tokenBudget = getSettings().threadTokenBudget } = {}) {
+  const thread = email.threadId ? await getThread(email.threadId) : [];
+  const messages = thread.filter((message) => isEarlierMessage(message, email)).map(toConversationMessage);
+  const kept = tokenBudget > 0 ? trimToBudget(messages, tokenBudget) : [];
+  const estimatedTokens = kept.reduce(
+    (sum, message) => sum + estimateTokens(formatHeading(message)) + 1 + estimateTokens(message.text),
+    0
+  );
+
+  return {
+    threadId: email.threadId || null,
+    messageId: email.id,
+    totalMessages: messages.length,
+    omittedMessages: messages.length - kept.length,
+    estimatedTokens,
+    messages: kept,
+  };
+}
+
+/**
+ * Format a conversation as a plain-text transcript for the prompt; empty
+ * when there are no earlier messages
+ */
+export function formatTranscript(conversation) {
+  if (!conversation || conversation.messages.length === 0) {
+    return '';
+  }
+
+  const omitted =
+    conversation.omittedMessages > 0 ? `[${conversation.omittedMessages} earlier messages omitted]\n\n` : '';
+  const messages = conversation.messages.map((message) => `${formatHeading(message)}\n${message.text}`);
+  return `${omitted}${messages.join('\n\n')}`;
+}
+
+/**
+ * The conversation before a message, with its transcript as the reply
+ * prompt would show it (for the get_thread tool)
+ */
+export async function getMessageConversation(messageId, options) {
+  const conversation = await getConversation(await getEmailDetails(messageId), options);
+  return { ...conversation, transcript: formatTranscript(conversation) };
+}
@@ -0,0 +1,522 @@
+import { ImapFlow } from 'imapflow';
+import nodemailer from 'nodemailer';
+import { getConfig } from '../config/configManager.js';
+import { callApi } from '../utils/apiLimits.js';
+import { logger } from '../utils/logger.js';
+import { composeReply, composeForward } from './replyMessage.js';
+import { parseMessagePayload } from './mimeParser.js';
+import { parseRawMessage, getRawPartContent } from './rawMessage.js';
+import { parseAddressList } from './replyHeaders.js';
+import { createMessageId } from './mimeBuilder.js';
+
+/**
+ * IMAP/SMTP backend for the mail provider layer (see mailProvider.js).
+ *
+ * Mail is read from the settings.json useLabel mailbox (INBOX when unset)
+ * and message ids are IMAP UIDs in that mailbox. Drafts are stored in
+ * IMAP_DRAFTS_MAILBOX and identified by their UID there. Gmail system
+ * labels map to flags (UNREAD is the absence of \Seen, STARRED is
+ * \Flagged, IMPORTANT is $Important), removing INBOX moves the message to
+ * IMAP_ARCHIVE_MAILBOX, and user labels become IMAP keywords.
+ */
+
+let client = null;
+let transport = null;
+
+/**
+ * Read the IMAP/SMTP settings from the environment
+ */
+function getImapConfig() {
+  const env = process.env;
+  return {
+    imap: {
+      host: env.IMAP_HOST,
+      port: parseInt(env.IMAP_PORT || '993', 10),
+      secure: env.IMAP_SECURE !== 'false',
+      auth: { user: env.IMAP_USER, pass: env.IMAP_PASSWORD },
+    },
+    smtp: {
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT || '465', 10),
+      secure: env.SMTP_SECURE !== 'false',
+      auth: { user: env.SMTP_USER || env.IMAP_USER, pass: env.SMTP_PASSWORD || env.IMAP_PASSWORD },
+    },
+    from: env.MAIL_FROM || env.IMAP_USER,
+    draftsMailbox: env.IMAP_DRAFTS_MAILBOX || 'Drafts',
+    archiveMailbox: env.IMAP_ARCHIVE_MAILBOX || 'Archive',
+    sentMailbox: env.IMAP_SENT_MAILBOX || null,
+  };
+}
+
+/**
+ * Get a connected IMAP client, reconnecting if the connection dropped
+ */
+async function getClient() {
+  if (client && client.usable) {
+    return client;
+  }
+
+  client = new ImapFlow({ ...getImapConfig().imap, logger: false });
+  client.on('error', (error) => logger.warn(`IMAP connection error: ${error.message}`));
+  await client.connect();
+  return client;
+}
+
+/**
+ * Run fn with the given mailbox selected and locked
+ */
+async function withMailbox(mailbox, fn) {
+  return callApi(async () => {
+    const imap = await getClient();
+    const lock = await imap.getMailboxLock(mailbox);
+    try {
+      return await fn(imap);
+    } finally {
+      lock.release();
+    }
+  });
+}
+
+/**
+ * The mailbox mail is read from
+ */
+function getSourceMailbox() {
+  return getConfig('settings').useLabel || 'INBOX';
+}
+
+/**
+ * Turn a label name into a valid IMAP keyword ("Auto Replied" -> "Auto_Replied")
+ */
+export function toKeyword(label) {
+  return label.replace(/[^A-Za-z0-9_.$-]/g, '_');
+}
+
+/**
+ * Map Gmail system label ids to IMAP flags; anything else becomes a keyword
+ */
+const LABEL_FLAGS = {
+  STARRED: '\\Flagged',
+  IMPORTANT: '$Important',
+};
+
+/**
+ * Gmail-style label ids for a message's flags in a mailbox
+ */
+export function flagsToLabelIds(flags, mailbox) {
+  const labelIds = mailbox.toUpperCase() === 'INBOX' ? ['INBOX'] : [mailbox];
+  if (!flags.has('\\Seen')) {
+    labelIds.push('UNREAD');
+  }
+  for (const [labelId, flag] of Object.entries(LABEL_FLAGS)) {
+    if (flags.has(flag)) {
+      labelIds.push(labelId);
+    }
+  }
+  for (const flag of flags) {
+    if (!flag.startsWith('\\') && !Object.values(LABEL_FLAGS).includes(flag)) {
+      labelIds.push(flag);
+    }
+  }
+  return labelIds;
+}
+
+/**
+ * A thread id for a message: the root of its References chain, its
+ * In-Reply-To, or its own Message-ID (IMAP has no native threads)
+ */
+export function deriveThreadId({ references, inReplyTo, messageIdHeader }, fallback) {
+  const root = (references.match(/<[^>]+>/) || inReplyTo.match(/<[^>]+>/) || messageIdHeader.match(/<[^>]+>/) || [])[0];
+  return root || fallback;
+}
+
+/**
+ * Connect to the IMAP server and verify the SMTP credentials
+ */
+async function initialize() {
+  const config = getImapConfig();
+  await getClient();
+  transport = nodemailer.createTransport(config.smtp);
+  await transport.verify();
+  return client;
+}
+
+/**
+ * Fetch a message's raw source, flags and internal date from a mailbox
+ */
+async function fetchMessage(mailbox, uid) {
+  const message = await withMailbox(mailbox, (imap) =>
+    imap.fetchOne(uid, { source: true, flags: true, internalDate: true }, { uid: true })
+  );
+  if (!message) {
+    const error = new Error(`Message ${uid} not found in ${mailbox}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return message;
+}
+
+/**
+ * Fetch unread emails (batch size and labels default to settings.json).
+ * Messages carrying any excludeLabels keyword are skipped.
+ */
+async function getUnreadEmails(maxResults) {
+  try {
+    const settings = getConfig('settings');
+    const mailbox = getSourceMailbox();
+    const excluded = settings.excludeLabels.map((label) => toKeyword(label).toLowerCase());
+
+    const uids = await withMailbox(mailbox, async (imap) => {
+      const unseen = (await imap.search({ seen: false }, { uid: true })) || [];
+      if (unseen.length === 0 || excluded.length === 0) {
+        return unseen;
+      }
+      const messages = await imap.fetchAll(unseen, { flags: true }, { uid: true });
+      return messages
+        .filter((message) => ![...message.flags].some((flag) => excluded.includes(flag.toLowerCase())))
+        .map((message) => message.uid);
+    });
+
+    const batch = uids.slice(0, maxResults || settings.emailBatchSize);
+    const messages = [];
+    for (const uid of batch) {
+      messages.push(await getEmailDetails(String(uid)));
+    }
+    return messages;
+  } catch (error) {
+    logger.error(`Error fetching unread emails: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Email details of a fetched message, in the same shape as the Gmail provider
+ */
+function toEmailDetails(message, mailbox, messageId) {
+  const payload = parseRawMessage(message.source);
+  const getHeader = (name) => payload.headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value;
+
+  const { body, cleanBody, html, attachments, parts } = parseMessagePayload(payload);
+  const threading = {
+    messageIdHeader: getHeader('Message-ID') || '',
+    inReplyTo: getHeader('In-Reply-To') || '',
+    references: getHeader('References') || '',
+  };
+
+  return {
+    id: String(messageId),
+    threadId: deriveThreadId(threading, String(messageId)),
+    from: getHeader('From') || 'Unknown',
+    subject: getHeader('Subject') || '(No Subject)',
+    to: getHeader('To') || '',
+    cc: getHeader('Cc') || '',
+    replyTo: getHeader('Reply-To') || '',
+    ...threading,
+    body,
+    cleanBody,
+    html,
+    attachments,
+    parts,
+    labelIds: flagsToLabelIds(message.flags || new Set(), mailbox),
+    hasAttachments: attachments.length > 0,
+    timestamp: String(new Date(message.internalDate || Date.now()).getTime()),
+  };
+}
+
+/**
+ * Get full email details, in the same shape as the Gmail provider
+ */
+async function getEmailDetails(messageId) {
+  try {
+    const mailbox = getSourceMailbox();
+    return toEmailDetails(await fetchMessage(mailbox, messageId), mailbox, messageId);
+  } catch (error) {
+    logger.error(`Error getting email details for ${messageId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get every message of a thread, oldest first: messages in the source
+ * mailbox and IMAP_SENT_MAILBOX whose Message-ID, In-Reply-To or
+ * References name the thread root. Sent messages are labelled SENT and
+ * have "<mailbox>/<uid>" ids, as they live outside the source mailbox.
+ */
+async function getThread(threadId) {
+  try {
+    // Messages without threading headers are threads of their own (see deriveThreadId)
+    if (!threadId.startsWith('<')) {
+      return [await getEmailDetails(threadId)];
+    }
+
+    const query = {
+      or: [
+        { header: { 'message-id': threadId } },
+        { header: { 'in-reply-to': threadId } },
+        { header: { references: threadId } },
+      ],
+    };
+    const sourceMailbox = getSourceMailbox();
+    const { sentMailbox } = getImapConfig();
+    const messages = [];
+
+    for (const mailbox of [sourceMailbox, sentMailbox].filter(Boolean)) {
+      const uids = (await withMailbox(mailbox, (imap) => imap.search(query, { uid: true }))) || [];
+      for (const uid of uids) {
+        const message = await fetchMessage(mailbox, uid);
+        if (mailbox === sourceMailbox) {
+          messages.push(toEmailDetails(message, mailbox, uid));
+        } else {
+          const details = toEmailDetails(message, mailbox, `${mailbox}/${uid}`);
+          messages.push({ ...details, labelIds: [...details.labelIds, 'SENT'] });
+        }
+      }
+    }
+
+    return messages.sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+  } catch (error) {
+    logger.error(`Error getting thread ${threadId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Download an attachment's contents (attachment ids are MIME part ids)
+ */
+async function getAttachmentData(messageId, attachmentId) {
+  try {
+    const message = await fetchMessage(getSourceMailbox(), messageId);
+    const content = getRawPartContent(message.source, attachmentId);
+    if (!content) {
+      const error = new Error(`Part ${attachmentId} not found on ${messageId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return content;
+  } catch (error) {
+    logger.error(`Error getting attachment for ${messageId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Bare recipient addresses of a raw message, for the SMTP envelope
+ */
+function getEnvelopeRecipients(headers) {
+  const getHeader = (name) => headers.find((h) => h.name.toLowerCase() === name)?.value || '';
+  return ['to', 'cc', 'bcc'].flatMap((name) => parseAddressList(getHeader(name)).map((entry) => entry.address));
+}
+
+/**
+ * Send a raw message over SMTP, keeping a copy in IMAP_SENT_MAILBOX if set
+ */
+async function sendRaw(raw) {
+  const config = getImapConfig();
+  const { headers } = parseRawMessage(raw);
+  const result = await callApi(() =>
+    transport.sendMail({
+      envelope: { from: parseAddressList(config.from)[0]?.address, to: getEnvelopeRecipients(headers) },
+      raw,
+    })
+  );
+
+  if (config.sentMailbox) {
+    await callApi(async () => (await getClient()).append(config.sentMailbox, raw, ['\\Seen']));
+  }
+  return { id: result.messageId };
+}
+
+/**
+ * Build a reply to an email (see composeReply for options)
+ */
+async function buildReply(messageId, replyText, options) {
+  const original = await getEmailDetails(messageId);
+  const { from } = getImapConfig();
+  return composeReply(original, replyText, from, { ...options, messageId: createMessageId(from) });
+}
+
+/**
+ * Send a reply to an email (see composeReply for options)
+ */
+async function sendReply(messageId, replyText, options = {}) {
+  try {
+    const { raw, to } = await buildReply(messageId, replyText, options);
+    const result = await sendRaw(raw);
+
+    logger.info(`Reply sent to ${to.map((entry) => entry.text).join(', ')}`);
+    return result;
+  } catch (error) {
+    logger.error(`Error sending reply for ${messageId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Forward an email to another address, with an optional note above it
+ */
+async function forwardEmail(messageId, to, note = '') {
+  try {
+    const original = await getEmailDetails(messageId);
+    const { from } = getImapConfig();
+    return await sendRaw(composeForward(original, to, note, from, createMessageId(from)));
+  } catch (error) {
+    logger.error(`Error forwarding ${messageId} to ${to}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Store a raw message in the drafts mailbox and return its UID. Servers
+ * without UIDPLUS don't report it, so fall back to searching by Message-ID.
+ */
+async function appendDraft(raw) {
+  const { draftsMailbox } = getImapConfig();
+  const result = await callApi(async () => (await getClient()).append(draftsMailbox, raw, ['\\Draft', '\\Seen']));
+  if (result && result.uid) {
+    return String(result.uid);
+  }
+
+  const messageId = parseRawMessage(raw).headers.find((h) => h.name.toLowerCase() === 'message-id')?.value;
+  const uids = await withMailbox(draftsMailbox, (imap) =>
+    imap.search({ header: { 'message-id': messageId } }, { uid: true })
+  );
+  return String(uids[uids.length - 1]);
+}
+
+/**
+ * Save a reply to an email as a draft
+ */
+async function createReplyDraft(messageId, replyText, options = {}) {
+  try {
+    const { raw } = await buildReply(messageId, replyText, options);
+    return { id: await appendDraft(raw) };
+  } catch (error) {
+    logger.error(`Error creating reply draft for ${messageId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Replace the text of an existing reply draft. IMAP messages are
+ * immutable, so this stores a new draft and deletes the old one.
+ */
+async function updateReplyDraft(draftId, messageId, replyText, options = {}) {
+  try {
+    const draft = await createReplyDraft(messageId, replyText, options);
+    await deleteDraft(draftId);
+    return draft;
+  } catch (error) {
+    logger.error(`Error updating draft ${draftId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Send an existing draft and remove it from the drafts mailbox
+ */
+async function sendDraft(draftId) {
+  try {
+    const { draftsMailbox } = getImapConfig();
+    const draft = await fetchMessage(draftsMailbox, draftId);
+    const result = await sendRaw(draft.source);
+    await deleteDraft(draftId);
+    return result;
+  } catch (error) {
+    logger.error(`Error sending draft ${draftId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Delete a draft
+ */
+async function deleteDraft(draftId) {
+  try {
+    await withMailbox(getImapConfig().draftsMailbox, (imap) => imap.messageDelete(draftId, { uid: true }));
+  } catch (error) {
+    logger.error(`Error deleting draft ${draftId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Mark an email as read
+ */
+async function markAsRead(messageId) {
+  try {
+    await withMailbox(getSourceMailbox(), (imap) => imap.messageFlagsAdd(messageId, ['\\Seen'], { uid: true }));
+  } catch (error) {
+    logger.error(`Error marking ${messageId} as read: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Add a label to an email, stored as an IMAP keyword
+ */
+async function addLabel(messageId, labelName) {
+  try {
+    await withMailbox(getSourceMailbox(), (imap) =>
+      imap.messageFlagsAdd(messageId, [toKeyword(labelName)], { uid: true })
+    );
+  } catch (error) {
+    logger.error(`Error adding label to ${messageId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Add and/or remove Gmail-style label ids on a message. Removing INBOX
+ * archives the message, so it is applied last.
+ */
+async function modifyLabels(messageId, { addLabelIds = [], removeLabelIds = [] }) {
+  const toFlag = (labelId) => LABEL_FLAGS[labelId] || toKeyword(labelId);
+  const archive = removeLabelIds.includes('INBOX');
+  const addFlags = addLabelIds.filter((id) => id !== 'INBOX' && id !== 'UNREAD').map(toFlag);
+  const removeFlags = removeLabelIds.filter((id) => id !== 'INBOX' && id !== 'UNREAD').map(toFlag);
+
+  // UNREAD is the absence of \Seen
+  if (addLabelIds.includes('UNREAD')) {
+    removeFlags.push('\\Seen');
+  }
+  if (removeLabelIds.includes('UNREAD')) {
+    addFlags.push('\\Seen');
+  }
+
+  try {
+    await withMailbox(getSourceMailbox(), async (imap) => {
+      if (addFlags.length > 0) {
+        await imap.messageFlagsAdd(messageId, addFlags, { uid: true });
+      }
+      if (removeFlags.length > 0) {
+        await imap.messageFlagsRemove(messageId, removeFlags, { uid: true });
+      }
+      if (archive) {
+        await imap.messageMove(messageId, getImapConfig().archiveMailbox, { uid: true });
+      }
+    });
+  } catch (error) {
+    logger.error(`Error modifying labels on ${messageId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * The IMAP/SMTP backend for the mail provider layer
+ */
+export const imapProvider = {
+  name: 'imap',
+  initialize,
+  getUnreadEmails,
+  getEmailDetails,
+  getThread,
+  getAttachmentData,
+  sendReply,
+  forwardEmail,
+  createReplyDraft,
+  updateReplyDraft,
+  sendDraft,
+  deleteDraft,
+  markAsRead,
+  addLabel,
+  modifyLabels,
+};
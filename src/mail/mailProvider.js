@@ -0,0 +1,149 @@
+import { gmailProvider } from '../gmail/emailService.js';
+import { imapProvider } from './imapProvider.js';
+
+/**
+ * The mail provider layer. Everything outside src/gmail and the provider
+ * modules reads and sends mail through the functions below, which delegate
+ * to the backend selected by MAIL_PROVIDER (gmail or imap, default gmail).
+ *
+ * A provider is an object with the same functions. Message and draft ids
+ * are opaque strings owned by the provider; labels use Gmail's system
+ * label ids (INBOX, UNREAD, STARRED, IMPORTANT) which other backends map
+ * onto their own folders and flags.
+ */
+const PROVIDERS = {
+  gmail: gmailProvider,
+  imap: imapProvider,
+};
+
+let activeProvider = null;
+
+/**
+ * Look up the provider named by MAIL_PROVIDER
+ */
+function resolveProvider() {
+  const name = (process.env.MAIL_PROVIDER || 'gmail').toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown MAIL_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Get the active provider, resolving it from the environment on first use
+ */
+export function getMailProvider() {
+  if (!activeProvider) {
+    activeProvider = resolveProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (e.g. with an in-memory provider in tests)
+ */
+export function setMailProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Connect the configured provider
+ */
+export async function initializeMailProvider() {
+  const provider = getMailProvider();
+  await provider.initialize();
+  return provider;
+}
+
+/**
+ * Fetch unread emails (batch size and labels default to settings.json)
+ */
+export function getUnreadEmails(maxResults) {
+  return getMailProvider().getUnreadEmails(maxResults);
+}
+
+/**
+ * Get full email details (see gmail/emailService.js for the shape)
+ */
+export function getEmailDetails(messageId) {
+  return getMailProvider().getEmailDetails(messageId);
+}
+
+/**
+ * Get every message of a thread (as getEmailDetails), oldest first.
+ * Messages we sent carry the SENT label.
+ */
+export function getThread(threadId) {
+  return getMailProvider().getThread(threadId);
+}
+
+/**
+ * Download an attachment's contents as a Buffer
+ */
+export function getAttachmentData(messageId, attachmentId) {
+  return getMailProvider().getAttachmentData(messageId, attachmentId);
+}
+
+/**
+ * Send a reply to an email (see mail/replyMessage.js for options)
+ */
+export function sendReply(messageId, replyText, options = {}) {
+  return getMailProvider().sendReply(messageId, replyText, options);
+}
+
+/**
+ * Forward an email to another address, with an optional note above it
+ */
+export function forwardEmail(messageId, to, note = '') {
+  return getMailProvider().forwardEmail(messageId, to, note);
+}
+
+/**
+ * Save a reply to an email as a draft; resolves to { id }
+ */
+export function createReplyDraft(messageId, replyText, options = {}) {
+  return getMailProvider().createReplyDraft(messageId, replyText, options);
+}
+
+/**
+ * Replace the text of an existing reply draft; resolves to { id }
+ */
+export function updateReplyDraft(draftId, messageId, replyText, options = {}) {
+  return getMailProvider().updateReplyDraft(draftId, messageId, replyText, options);
+}
+
+/**
+ * Send an existing draft
+ */
+export function sendDraft(draftId) {
+  return getMailProvider().sendDraft(draftId);
+}
+
+/**
+ * Delete a draft
+ */
+export function deleteDraft(draftId) {
+  return getMailProvider().deleteDraft(draftId);
+}
+
+/**
+ * Mark an email as read
+ */
+export function markAsRead(messageId) {
+  return getMailProvider().markAsRead(messageId);
+}
+
+/**
+ * Add a user label to an email, creating the label if needed
+ */
+export function addLabel(messageId, labelName) {
+  return getMailProvider().addLabel(messageId, labelName);
+}
+
+/**
+ * Add and/or remove system label ids on a message (STARRED, IMPORTANT, INBOX)
+ */
+export function modifyLabels(messageId, changes) {
+  return getMailProvider().modifyLabels(messageId, changes);
+}
@@ -0,0 +1,286 @@
+import { randomBytes } from 'crypto';
+import { parseAddressList } from './replyHeaders.js';
+
+const CRLF = '\r\n';
+
+// Longest header line before folding (RFC 5322 section 2.1.1)
+const MAX_HEADER_LINE = 78;
+
+// Bytes of UTF-8 per "=?UTF-8?B?...?=" encoded word, keeping the word
+// short enough to follow "Subject: " within a 78-character line
+const ENCODED_WORD_BYTES = 42;
+
+/**
+ * Check if a string is printable US-ASCII
+ */
+function isPlainAscii(value) {
+  return /^[\x20-\x7e]*$/.test(value);
+}
+
+/**
+ * Random MIME boundary that cannot appear in base64 or quoted-printable content
+ */
+function createBoundary() {
+  return `----=_Part_${randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Encode a header value as RFC 2047 encoded words if it is not plain ASCII.
+ * Words are split on character boundaries, never inside a character.
+ */
+export function encodeHeaderValue(value = '') {
+  if (isPlainAscii(value)) {
+    return value;
+  }
+
+  const chunks = [];
+  let chunk = '';
+  for (const char of value) {
+    if (chunk && Buffer.byteLength(chunk + char) > ENCODED_WORD_BYTES) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+
+  return chunks.map((c) => `=?UTF-8?B?${Buffer.from(c).toString('base64')}?=`).join(' ');
+}
+
+/**
+ * Encode the display names in an address list header, leaving the
+ * addresses themselves untouched
+ */
+export function encodeAddressList(value = '') {
+  return parseAddressList(value)
+    .map(({ text }) => {
+      const match = text.match(/^(.*?)\s*<([^>]+)>$/);
+      if (!match || isPlainAscii(match[1])) {
+        return text;
+      }
+      const name = match[1].replace(/^"(.*)"$/, '$1');
+      return `${encodeHeaderValue(name)} <${match[2]}>`;
+    })
+    .join(', ');
+}
+
+/**
+ * Format a header line, folding it at spaces if it is longer than 78 characters
+ */
+export function foldHeader(name, value) {
+  const lines = [];
+  let line = `${name}:`;
+
+  for (const word of value.split(' ')) {
+    if (line.length + word.length + 1 > MAX_HEADER_LINE && line.trim().length > name.length + 1) {
+      lines.push(line);
+      line = '';
+    }
+    line += ` ${word}`;
+  }
+  lines.push(line);
+
+  return lines.join(CRLF);
+}
+
+/**
+ * Encode one line of text as quoted-printable, adding soft line breaks
+ * so no encoded line exceeds 76 characters
+ */
+function encodeQuotedPrintableLine(line) {
+  const bytes = Buffer.from(line, 'utf-8');
+  const lines = [];
+  let current = '';
+
+  bytes.forEach((byte, index) => {
+    const isLast = index === bytes.length - 1;
+    const literal = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !isLast);
+    const token = literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+
+    if (current.length + token.length > 75) {
+      lines.push(`${current}=`);
+      current = '';
+    }
+    current += token;
+  });
+  lines.push(current);
+
+  return lines.join(CRLF);
+}
+
+/**
+ * Encode UTF-8 text as quoted-printable with CRLF line breaks (RFC 2045)
+ */
+export function encodeQuotedPrintable(text = '') {
+  return text.replace(/\r\n?/g, '\n').split('\n').map(encodeQuotedPrintableLine).join(CRLF);
+}
+
+/**
+ * Base64-encode content in 76-character lines
+ */
+function encodeBase64Lines(content) {
+  const base64 = Buffer.from(content).toString('base64');
+  return base64.match(/.{1,76}/g)?.join(CRLF) || '';
+}
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert plain text to simple HTML: blank lines separate paragraphs and
+ * single line breaks become <br>
+ */
+export function textToHtml(text = '') {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+/**
+ * Attribution line above quoted original text
+ */
+function quoteAttribution({ from, date }) {
+  const when = date ? new Date(date).toUTCString() : null;
+  return when ? `On ${when}, ${from} wrote:` : `${from} wrote:`;
+}
+
+/**
+ * Append the quoted original message to the plain-text and HTML bodies
+ */
+function addQuote(text, html, quote) {
+  const attribution = quoteAttribution(quote);
+  const quotedText = quote.text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => (line ? `> ${line}` : '>'))
+    .join('\n');
+
+  return {
+    text: `${text}\n\n${attribution}\n${quotedText}`,
+    html:
+      `${html}\n<div class="quote">${escapeHtml(attribution)}<br>` +
+      '<blockquote style="margin:0 0 0 .8ex;border-left:1px #ccc solid;padding-left:1ex">' +
+      `${textToHtml(quote.text)}</blockquote></div>`,
+  };
+}
+
+/**
+ * Content-Type and Content-Disposition parameters for a file name.
+ * Non-ASCII names use RFC 2047 for `name` and RFC 2231 for `filename*`.
+ */
+function fileNameParams(filename) {
+  const quoted = filename.replace(/["\\]/g, '\\$&');
+  if (isPlainAscii(filename)) {
+    return { name: `name="${quoted}"`, filename: `filename="${quoted}"` };
+  }
+  return {
+    name: `name="${encodeHeaderValue(filename)}"`,
+    filename: `filename*=UTF-8''${encodeURIComponent(filename)}`,
+  };
+}
+
+/**
+ * Build one attachment part
+ */
+function buildAttachmentPart({ filename, contentType = 'application/octet-stream', content }) {
+  const params = fileNameParams(filename);
+  return [
+    `Content-Type: ${contentType}; ${params.name}`,
+    'Content-Transfer-Encoding: base64',
+    `Content-Disposition: attachment; ${params.filename}`,
+    '',
+    encodeBase64Lines(content),
+  ].join(CRLF);
+}
+
+/**
+ * Build a text part as UTF-8 quoted-printable
+ */
+function buildTextPart(subtype, content) {
+  return [
+    `Content-Type: text/${subtype}; charset=UTF-8`,
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    encodeQuotedPrintable(content),
+  ].join(CRLF);
+}
+
+/**
+ * Join parts into a multipart body
+ */
+function buildMultipart(subtype, parts) {
+  const boundary = createBoundary();
+  return {
+    contentType: `multipart/${subtype}; boundary="${boundary}"`,
+    body: [...parts.map((part) => `--${boundary}${CRLF}${part}`), `--${boundary}--`, ''].join(CRLF),
+  };
+}
+
+/**
+ * Generate a Message-ID for the sender's domain. Gmail assigns its own, so
+ * only backends that store or send raw messages themselves need one.
+ */
+export function createMessageId(fromAddress = '') {
+  const domain = (fromAddress.match(/@([^>\s]+)/) || [])[1] || 'localhost';
+  return `<${Date.now().toString(36)}.${randomBytes(8).toString('hex')}@${domain}>`;
+}
+
+/**
+ * Build a complete RFC 5322 / MIME message with CRLF line endings.
+ *
+ * The body is multipart/alternative with a plain-text and an HTML part
+ * (the HTML is generated from the text when not given). `quote` appends
+ * the original message ({ text, from, date }) to both. `attachments`
+ * ([{ filename, contentType, content }], content a Buffer or string) wrap
+ * the body in multipart/mixed.
+ */
+export function buildMimeMessage({
+  from,
+  to,
+  cc,
+  bcc,
+  subject = '',
+  messageId,
+  inReplyTo,
+  references,
+  text = '',
+  html,
+  quote,
+  attachments = [],
+  date = new Date(),
+}) {
+  let bodies = { text, html: html || textToHtml(text) };
+  if (quote && quote.text) {
+    bodies = addQuote(bodies.text, bodies.html, quote);
+  }
+
+  let content = buildMultipart('alternative', [buildTextPart('plain', bodies.text), buildTextPart('html', bodies.html)]);
+  if (attachments.length > 0) {
+    content = buildMultipart('mixed', [
+      `Content-Type: ${content.contentType}${CRLF}${CRLF}${content.body}`,
+      ...attachments.map(buildAttachmentPart),
+    ]);
+  }
+
+  const headers = [
+    from ? foldHeader('From', encodeAddressList(from)) : null,
+    foldHeader('To', encodeAddressList(to)),
+    cc ? foldHeader('Cc', encodeAddressList(cc)) : null,
+    bcc ? foldHeader('Bcc', encodeAddressList(bcc)) : null,
+    foldHeader('Subject', encodeHeaderValue(subject)),
+    `Date: ${new Date(date).toUTCString()}`,
+    messageId ? `Message-ID: ${messageId}` : null,
+    inReplyTo ? foldHeader('In-Reply-To', inReplyTo) : null,
+    references ? foldHeader('References', references) : null,
+    'MIME-Version: 1.0',
+    foldHeader('Content-Type', content.contentType),
+  ].filter(Boolean);
+
+  return [...headers, '', content.body].join(CRLF);
+}
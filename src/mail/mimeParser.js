@@ -0,0 +1,213 @@
+// Named HTML entities worth decoding in email bodies; numeric ones are handled separately
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  euro: '€',
+  pound: '£',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+};
+
+/**
+ * Find a header value case-insensitively in a Gmail-style headers array
+ */
+function getPartHeader(part, name) {
+  return (part.headers || []).find((h) => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+}
+
+/**
+ * Read the charset parameter of a part's Content-Type header
+ */
+function getCharset(part) {
+  const match = getPartHeader(part, 'Content-Type').match(/charset\s*=\s*"?([^";\s]+)"?/i);
+  return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+/**
+ * Decode bytes in the given charset, falling back to UTF-8 for unknown charsets
+ */
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Check if a part is a file rather than part of the message text
+ */
+function isAttachment(part) {
+  return Boolean(part.filename) || /^\s*attachment/i.test(getPartHeader(part, 'Content-Disposition'));
+}
+
+/**
+ * Decode the text content of a leaf part (Gmail delivers it base64url-encoded)
+ */
+function decodePartText(part) {
+  if (!part.body || !part.body.data) {
+    return '';
+  }
+  return decodeCharset(Buffer.from(part.body.data, 'base64url'), getCharset(part));
+}
+
+/**
+ * Convert HTML to readable plain text: block elements become line breaks,
+ * list items get a "- " prefix, tags are removed and entities decoded
+ */
+export function htmlToText(html = '') {
+  return html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|tr|table|blockquote|ul|ol)>/gi, '\n\n')
+    .replace(/<\/(td|th)>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match)
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Collect the message text under a part. multipart/alternative picks its
+ * best child (plain text over HTML); other multiparts and attached messages
+ * (message/rfc822) contribute every inline child in order.
+ */
+function collectText(part) {
+  const mimeType = (part.mimeType || '').toLowerCase();
+
+  if (mimeType === 'multipart/alternative') {
+    const children = part.parts || [];
+    const preferred =
+      children.find((child) => child.mimeType === 'text/plain') ||
+      children.find((child) => (child.mimeType || '').startsWith('multipart/')) ||
+      children.find((child) => child.mimeType === 'text/html');
+    return preferred ? collectText(preferred) : { text: [], html: [] };
+  }
+
+  if (part.parts && part.parts.length > 0) {
+    return part.parts
+      .filter((child) => !isAttachment(child) || child.mimeType === 'message/rfc822')
+      .map(collectText)
+      .reduce((all, next) => ({ text: [...all.text, ...next.text], html: [...all.html, ...next.html] }), {
+        text: [],
+        html: [],
+      });
+  }
+
+  if (isAttachment(part)) {
+    return { text: [], html: [] };
+  }
+  if (mimeType === 'text/plain') {
+    return { text: [decodePartText(part)], html: [] };
+  }
+  if (mimeType === 'text/html') {
+    const html = decodePartText(part);
+    return { text: [htmlToText(html)], html: [html] };
+  }
+  return { text: [], html: [] };
+}
+
+/**
+ * Every leaf part of a payload, depth first
+ */
+function flattenParts(part) {
+  if (part.parts && part.parts.length > 0) {
+    return part.parts.flatMap(flattenParts);
+  }
+  return [part];
+}
+
+// Lines that introduce quoted reply history; everything from them on is dropped
+const QUOTE_HEADER_PATTERNS = [
+  /^On\s.+(\n.+)?\swrote:\s*$/m,
+  /^Am\s.+(\n.+)?\sschrieb\s.*:\s*$/m,
+  /^Le\s.+(\n.+)?\sa\s+écrit\s*:\s*$/m,
+  /^El\s.+(\n.+)?\sescribió:\s*$/m,
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/im,
+  /^_{10,}\s*\nFrom:/m,
+  /^From:\s.+\nSent:\s.+\n/m,
+];
+
+// Signature delimiters and mobile footers; everything from them on is dropped
+const SIGNATURE_PATTERNS = [/^-- ?$/m, /^Sent from my (iPhone|iPad|Android|mobile)/im, /^Get Outlook for /im];
+
+/**
+ * Strip quoted reply history (">" lines, "On ... wrote:" blocks, Outlook
+ * "Original Message" headers) and signatures from a plain-text body.
+ * Forwarded messages are kept, since they are the content being sent.
+ */
+export function stripQuotedText(text = '') {
+  let cleaned = text.replace(/\r\n?/g, '\n');
+
+  for (const pattern of [...QUOTE_HEADER_PATTERNS, ...SIGNATURE_PATTERNS]) {
+    const match = cleaned.match(pattern);
+    if (match && match.index > 0) {
+      cleaned = cleaned.slice(0, match.index);
+    }
+  }
+
+  return cleaned
+    .split('\n')
+    .filter((line) => !/^\s*>/.test(line))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Parse a Gmail message payload into:
+ * - body: the full message text (plain text, or HTML converted to text)
+ * - cleanBody: body without quoted reply history and signatures
+ * - html: the HTML version, if the message has one
+ * - attachments: [{ partId, filename, mimeType, size, attachmentId, inline }]
+ * - parts: every leaf part with its headers, size and decoded text content
+ */
+export function parseMessagePayload(payload) {
+  const { text, html } = collectText(payload);
+  const body = text.filter((t) => t.trim()).join('\n\n');
+  const leaves = flattenParts(payload);
+
+  const attachments = leaves.filter(isAttachment).map((part) => ({
+    partId: part.partId,
+    filename: part.filename || '',
+    mimeType: part.mimeType,
+    size: part.body?.size || 0,
+    attachmentId: part.body?.attachmentId || null,
+    inline: /^\s*inline/i.test(getPartHeader(part, 'Content-Disposition')) || Boolean(getPartHeader(part, 'Content-ID')),
+  }));
+
+  const parts = leaves.map((part) => ({
+    partId: part.partId,
+    mimeType: part.mimeType,
+    filename: part.filename || '',
+    headers: part.headers || [],
+    size: part.body?.size || 0,
+    content: !isAttachment(part) && (part.mimeType || '').startsWith('text/') ? decodePartText(part) : null,
+  }));
+
+  return {
+    body,
+    cleanBody: stripQuotedText(body),
+    html: html.join('\n') || null,
+    attachments,
+    parts,
+  };
+}
@@ -0,0 +1,259 @@
+/**
+ * Parse raw RFC 822 messages (as delivered over IMAP) into the same payload
+ * shape the Gmail API returns, so parseMessagePayload works for every
+ * provider: { partId, mimeType, filename, headers: [{ name, value }],
+ * body: { size, data?, attachmentId? }, parts? }.
+ *
+ * Part ids follow Gmail's numbering ("" for the root, then "0", "0.1" ...).
+ * Attachments carry their part id as attachmentId instead of inline data;
+ * getRawPartContent reads their bytes back from the same source.
+ */
+
+/**
+ * Decode bytes in the given charset, falling back to UTF-8 for unknown charsets
+ */
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Decode quoted-printable text (one character per byte) to bytes
+ */
+export function decodeQuotedPrintable(text) {
+  const unwrapped = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < unwrapped.length; i++) {
+    if (unwrapped[i] === '=' && /^[0-9A-F]{2}$/i.test(unwrapped.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(unwrapped.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(unwrapped.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words ("=?UTF-8?B?...?=") in a header value.
+ * Whitespace between adjacent encoded words is dropped.
+ */
+export function decodeEncodedWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?[^?]+\?[BQ]\?)/gi, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      const bytes =
+        encoding.toUpperCase() === 'B'
+          ? Buffer.from(text, 'base64')
+          : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset.toLowerCase());
+    });
+}
+
+/**
+ * Split a header block into [{ name, value }], unfolding continuation lines.
+ * Raw 8-bit header bytes are read as UTF-8 (RFC 6532).
+ */
+function parseHeaders(headerText) {
+  const text = Buffer.from(headerText, 'latin1').toString('utf-8');
+  return text
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .map((line) => {
+      const index = line.indexOf(':');
+      if (index <= 0) {
+        return null;
+      }
+      return { name: line.slice(0, index).trim(), value: decodeEncodedWords(line.slice(index + 1).trim()) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Find a header value case-insensitively
+ */
+function getHeader(headers, name) {
+  return headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+}
+
+/**
+ * Read a parameter of a structured header ("attachment; filename=a.txt"),
+ * including RFC 2231 extended (name*) and continued (name*0*) values
+ */
+export function getHeaderParam(value, name) {
+  const params = {};
+  for (const match of value.matchAll(/;\s*([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g)) {
+    const raw = match[2].trim();
+    params[match[1].toLowerCase()] = raw.startsWith('"') ? raw.slice(1, -1).replace(/\\(.)/g, '$1') : raw;
+  }
+
+  const key = name.toLowerCase();
+  if (params[key] !== undefined) {
+    return params[key];
+  }
+
+  // RFC 2231: name*=charset'lang'value, or name*0*=..., name*1*=... continuations
+  const extended = params[`${key}*`] !== undefined ? [[`${key}*`, params[`${key}*`]]] : [];
+  for (let i = 0; ; i++) {
+    const sectionName = [`${key}*${i}*`, `${key}*${i}`].find((n) => params[n] !== undefined);
+    if (!sectionName) {
+      break;
+    }
+    extended.push([sectionName, params[sectionName]]);
+  }
+  if (extended.length === 0) {
+    return '';
+  }
+
+  let charset = 'utf-8';
+  const bytes = [];
+  extended.forEach(([paramName, paramValue], index) => {
+    let text = paramValue;
+    if (index === 0 && paramName.endsWith('*')) {
+      const match = text.match(/^([^']*)'[^']*'(.*)$/);
+      if (match) {
+        charset = match[1] || charset;
+        text = match[2];
+      }
+    }
+    if (paramName.endsWith('*')) {
+      bytes.push(...Buffer.from(text.replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1'));
+    } else {
+      bytes.push(...Buffer.from(text, 'utf-8'));
+    }
+  });
+  return decodeCharset(Buffer.from(bytes), charset.toLowerCase());
+}
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ */
+function decodeTransferEncoding(bodyText, encoding) {
+  switch (encoding) {
+    case 'base64':
+      return Buffer.from(bodyText.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(bodyText);
+    default:
+      return Buffer.from(bodyText, 'latin1');
+  }
+}
+
+/**
+ * Split a multipart body (latin1 text) on its boundary, dropping the
+ * preamble and epilogue
+ */
+function splitMultipart(bodyText, boundary) {
+  const delimiter = new RegExp(`(?:^|\\r?\\n)--${boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(--)?[ \\t]*(?:\\r?\\n|$)`, 'g');
+  const sections = [];
+  let start = null;
+
+  for (const match of bodyText.matchAll(delimiter)) {
+    if (start !== null) {
+      sections.push(bodyText.slice(start, match.index));
+    }
+    if (match[1]) {
+      return sections;
+    }
+    start = match.index + match[0].length;
+  }
+  if (start !== null) {
+    sections.push(bodyText.slice(start));
+  }
+  return sections;
+}
+
+/**
+ * Parse one entity (a message or body part) into a payload node. Every
+ * leaf keeps its decoded bytes as `content` until toPayload strips them.
+ */
+function parseEntity(text, partId) {
+  const match = text.match(/\r?\n\r?\n/);
+  const headerText = match ? text.slice(0, match.index) : text;
+  const bodyText = match ? text.slice(match.index + match[0].length) : '';
+
+  const headers = parseHeaders(headerText);
+  const contentType = getHeader(headers, 'Content-Type') || 'text/plain';
+  const mimeType = contentType.split(';')[0].trim().toLowerCase() || 'text/plain';
+  const disposition = getHeader(headers, 'Content-Disposition');
+  const filename = getHeaderParam(disposition, 'filename') || getHeaderParam(contentType, 'name');
+  const node = { partId, mimeType, filename, headers };
+
+  const childId = (index) => (partId ? `${partId}.${index}` : String(index));
+
+  if (mimeType.startsWith('multipart/')) {
+    const boundary = getHeaderParam(contentType, 'boundary');
+    node.parts = boundary ? splitMultipart(bodyText, boundary).map((section, index) => parseEntity(section, childId(index))) : [];
+    node.body = { size: 0 };
+    return node;
+  }
+
+  const encoding = getHeader(headers, 'Content-Transfer-Encoding').toLowerCase();
+  const content = decodeTransferEncoding(bodyText, encoding);
+  node.content = content;
+
+  if (mimeType === 'message/rfc822') {
+    node.parts = [parseEntity(content.toString('latin1'), childId(0))];
+  }
+  return node;
+}
+
+/**
+ * Check if a node is a file rather than part of the message text
+ */
+function isAttachmentNode(node) {
+  return Boolean(node.filename) || /^\s*attachment/i.test(getHeader(node.headers, 'Content-Disposition'));
+}
+
+/**
+ * Convert a parsed node to the Gmail payload shape
+ */
+function toPayload(node) {
+  const { content, parts, ...rest } = node;
+  const payload = { ...rest };
+
+  if (content) {
+    payload.body = isAttachmentNode(node)
+      ? { size: content.length, attachmentId: node.partId }
+      : { size: content.length, data: content.toString('base64url') };
+  }
+  if (parts) {
+    payload.parts = parts.map(toPayload);
+  }
+  return payload;
+}
+
+/**
+ * Find a node by part id
+ */
+function findNode(node, partId) {
+  if (node.partId === partId) {
+    return node;
+  }
+  for (const child of node.parts || []) {
+    const found = findNode(child, partId);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a raw message (Buffer or string) into a Gmail-style payload
+ */
+export function parseRawMessage(source) {
+  return toPayload(parseEntity(Buffer.from(source).toString('latin1'), ''));
+}
+
+/**
+ * Get the decoded bytes of one part of a raw message, or null if there is
+ * no such part
+ */
+export function getRawPartContent(source, partId) {
+  const node = findNode(parseEntity(Buffer.from(source).toString('latin1'), ''), partId);
+  return node?.content || null;
+}
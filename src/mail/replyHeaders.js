@@ -0,0 +1,88 @@
+/**
+ * Split an address list header ("A <a@x.com>, "Doe, B" <b@x.com>") into
+ * entries, ignoring commas inside quotes, angle brackets and comments.
+ * Each entry has the trimmed original text and the bare lower-cased address.
+ */
+export function parseAddressList(value = '') {
+  const entries = [];
+  let current = '';
+  let inQuotes = false;
+  let depth = 0;
+
+  for (const char of value) {
+    if (char === '"' && !current.endsWith('\\')) inQuotes = !inQuotes;
+    if (!inQuotes && (char === '<' || char === '(')) depth++;
+    if (!inQuotes && (char === '>' || char === ')')) depth--;
+
+    if (char === ',' && !inQuotes && depth === 0) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries
+    .map((text) => text.trim())
+    .filter(Boolean)
+    .map((text) => {
+      const match = text.match(/<([^>]+)>/);
+      return { text, address: (match ? match[1] : text.replace(/\([^)]*\)/g, '')).trim().toLowerCase() };
+    });
+}
+
+/**
+ * Prefix a subject with "Re:" unless it already has one
+ * ("Re:", "RE:", "re[2]:" ...)
+ */
+export function buildReplySubject(subject = '') {
+  return /^\s*re(\[\d+\])?\s*:/i.test(subject) ? subject : `Re: ${subject}`;
+}
+
+/**
+ * References for a reply (RFC 5322 section 3.6.4): the parent's References,
+ * or its In-Reply-To when it has none, followed by the parent's Message-ID
+ */
+export function buildReferences({ messageIdHeader, references, inReplyTo }) {
+  const parentChain = references || inReplyTo || '';
+  return [...parentChain.split(/\s+/), messageIdHeader].filter(Boolean).join(' ');
+}
+
+/**
+ * Work out who a reply goes to. Replies go to Reply-To when the original
+ * has one, otherwise From. Reply-all also copies the original To and Cc
+ * recipients, leaving out our own address and anyone already in To.
+ */
+export function getReplyRecipients(original, { replyAll = false, ownAddress = '' } = {}) {
+  const to = parseAddressList(original.replyTo || original.from);
+  if (!replyAll) {
+    return { to, cc: [] };
+  }
+
+  const seen = new Set([...to.map((entry) => entry.address), ownAddress.toLowerCase()]);
+  const cc = [...parseAddressList(original.to), ...parseAddressList(original.cc)].filter((entry) => {
+    if (seen.has(entry.address)) return false;
+    seen.add(entry.address);
+    return true;
+  });
+
+  return { to, cc };
+}
+
+/**
+ * Build the addressing and threading headers for a reply to an email
+ * returned by getEmailDetails, as fields for buildMimeMessage
+ */
+export function buildReplyHeaders(original, { replyAll = false, ownAddress = '' } = {}) {
+  const { to, cc } = getReplyRecipients(original, { replyAll, ownAddress });
+
+  return {
+    from: ownAddress || undefined,
+    to: to.map((entry) => entry.text).join(', '),
+    cc: cc.map((entry) => entry.text).join(', ') || undefined,
+    subject: buildReplySubject(original.subject),
+    inReplyTo: original.messageIdHeader || undefined,
+    references: buildReferences(original) || undefined,
+  };
+}
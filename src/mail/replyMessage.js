@@ -0,0 +1,71 @@
+import { buildReplyHeaders, getReplyRecipients } from './replyHeaders.js';
+import { buildMimeMessage } from './mimeBuilder.js';
+
+/**
+ * Build the raw reply message for an email returned by getEmailDetails,
+ * threaded under the original. Options: replyAll copies the original To
+ * and Cc recipients, html overrides the generated HTML part, quoteOriginal
+ * appends the original text, and attachments are
+ * [{ filename, contentType, content }]. messageId sets the Message-ID
+ * header for backends that don't assign one.
+ * Returns the raw message and its To/Cc recipient entries.
+ */
+export function composeReply(original, replyText, ownAddress, options = {}) {
+  const { replyAll = false, html, quoteOriginal = false, attachments = [], messageId } = options;
+  const addressing = { replyAll, ownAddress };
+
+  const raw = buildMimeMessage({
+    ...buildReplyHeaders(original, addressing),
+    messageId,
+    text: replyText,
+    html,
+    quote: quoteOriginal
+      ? { text: original.body, from: original.from, date: Number(original.timestamp) }
+      : undefined,
+    attachments,
+  });
+  const { to, cc } = getReplyRecipients(original, addressing);
+
+  return { raw, to, cc };
+}
+
+/**
+ * Build the raw message forwarding an email to another address, with an
+ * optional note above the forwarded text
+ */
+export function composeForward(original, to, note, ownAddress, messageId) {
+  const forwarded = [
+    '---------- Forwarded message ---------',
+    `From: ${original.from}`,
+    `Date: ${new Date(Number(original.timestamp)).toUTCString()}`,
+    `Subject: ${original.subject}`,
+    `To: ${original.to}`,
+    '',
+    original.body,
+  ].join('\n');
+
+  return buildMimeMessage({
+    from: ownAddress,
+    to,
+    messageId,
+    subject: `Fwd: ${original.subject}`,
+    text: note ? `${note}\n\n${forwarded}` : forwarded,
+  });
+}
+
+/**
+ * Map snake_case tool/HTTP parameters to sendReply options. Attachments
+ * are given as [{ filename, content_type, content_base64 }].
+ */
+export function replyOptionsFromParams(params) {
+  return {
+    replyAll: Boolean(params.reply_all),
+    html: params.html,
+    quoteOriginal: Boolean(params.quote_original),
+    attachments: (params.attachments || []).map((attachment) => ({
+      filename: attachment.filename,
+      contentType: attachment.content_type,
+      content: Buffer.from(attachment.content_base64, 'base64'),
+    })),
+  };
+}
@@ -1,28 +1,56 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
-import { getUnreadEmails, getEmailDetails, sendReply, markAsRead, addLabel } from '../gmail/emailService.js';
-import { processBatch } from '../processor/emailProcessor.js';
+import {
+  getUnreadEmails,
+  getEmailDetails,
+  sendReply,
+  markAsRead,
+  addLabel,
+} from '../mail/mailProvider.js';
+import { replyOptionsFromParams } from '../mail/replyMessage.js';
+import { listAttachments, getAttachment } from '../mail/attachments.js';
+import { processUnreadEmails, retryFailedEmail } from '../processor/emailProcessor.js';
+import { listRetryQueue, discardFailure } from '../processor/retryQueue.js';
+import { recordReply } from '../processor/replyLedger.js';
+import { testRules } from '../filters/ruleTester.js';
+import { analyzeMessage } from '../ai/emailAnalysis.js';
+import { analysisSchema } from '../ai/analysisSchema.js';
+import { getMessageConversation } from '../mail/conversation.js';
+import {
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  TEMPLATE_VARIABLES,
+} from '../ai/promptTemplates.js';
+import { previewReplyPrompt } from '../ai/responseGenerator.js';
+import { addKnowledgeDocument, listKnowledgeDocuments, searchKnowledge } from '../knowledge/knowledgeBase.js';
+import { listContacts, getContact, updateContact, deleteContact } from '../contacts/contactStore.js';
+import {
+  listRules,
+  createRule,
+  updateRule,
+  setRuleEnabled,
+  deleteRule,
+  addIgnoreEntry,
+  removeIgnoreEntry,
+  ruleFieldsFromParams,
+} from '../filters/ruleStore.js';
+import { getStatistics } from '../processor/processingHistory.js';
+import {
+  listPendingReplies,
+  editPendingReply,
+  approvePendingReply,
+  rejectPendingReply,
+} from '../processor/approvalQueue.js';
 import { getSchedulerStatus } from '../scheduler/cronScheduler.js';
+import { getConfig, readConfigFile } from '../config/configManager.js';
+import { settingsSchema } from '../config/settingsSchema.js';
+import { updateSettings } from '../config/settings.js';
 import { logger } from '../utils/logger.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const rulesPath = path.resolve(__dirname, '../../config/rules.json');
-const settingsPath = path.resolve(__dirname, '../../config/settings.json');
 
 let mcp_server = null;
-let processing_stats = {
-  total_processed: 0,
-  total_skipped: 0,
-  total_failed: 0,
-  last_run: null,
-  runs_today: 0,
-};
 
 /**
  * Initialize MCP Server with tools, resources, and prompts (singleton for stdio)
@@ -60,43 +88,1044 @@ export async function createFreshMCPServer() {
   return server;
 }
 
-/**
- * Register all MCP tools
- */
-function registerTools(mcp_server) {
+/**
+ * Register all MCP tools
+ */
+function registerTools(mcp_server) {
+  mcp_server.registerTool(
+    'get_unread_emails',
+    {
+      description: 'Fetch unread emails from the inbox',
+      inputSchema: z.object({
+        max_results: z
+          .number()
+          .optional()
+          .describe('Maximum number of emails to fetch (defaults to emailBatchSize in settings.json)'),
+      }),
+    },
+    async (params) => {
+      try {
+        const emails = await getUnreadEmails(params.max_results);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(
+                {
+                  count: emails.length,
+                  emails: emails.map((e) => ({
+                    id: e.id,
+                    from: e.from,
+                    subject: e.subject,
+                    timestamp: e.timestamp,
+                  })),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in get_unread_emails: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'get_email',
+    {
+      description: 'Get full details of a specific email',
+      inputSchema: z.object({
+        message_id: z.string().describe('The message ID'),
+      }),
+    },
+    async (params) => {
+      try {
+        const email = await getEmailDetails(params.message_id);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(email, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in get_email: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'list_attachments',
+    {
+      description: 'List the attachments of an email with their part ID, file name, MIME type and size',
+      inputSchema: z.object({
+        message_id: z.string().describe('The message ID'),
+      }),
+    },
+    async (params) => {
+      try {
+        const attachments = await listAttachments(params.message_id);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ count: attachments.length, attachments }, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in list_attachments: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'get_attachment',
+    {
+      description:
+        'Download an attachment as base64, with the extracted text for text, CSV and JSON files. Files over maxAttachmentBytes in settings.json are refused.',
+      inputSchema: z.object({
+        message_id: z.string().describe('The message ID'),
+        part_id: z.string().describe('The attachment part ID from list_attachments'),
+        include_content: z.boolean().default(true).describe('Include the base64 file content (false returns only metadata and text)'),
+      }),
+    },
+    async (params) => {
+      try {
+        const attachment = await getAttachment(params.message_id, params.part_id, {
+          includeContent: params.include_content !== false,
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(attachment, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in get_attachment: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'get_thread',
+    {
+      description:
+        'Get the earlier messages of the conversation an email belongs to (including replies already sent), oldest first and trimmed to the newest that fit in the token budget, with the transcript used in reply prompts.',
+      inputSchema: z.object({
+        message_id: z.string().describe('The message ID'),
+        token_budget: z
+          .number()
+          .int()
+          .min(0)
+          .optional()
+          .describe('Approximate token limit for the messages (default threadTokenBudget from settings.json)'),
+      }),
+    },
+    async (params) => {
+      try {
+        const conversation = await getMessageConversation(params.message_id, { tokenBudget: params.token_budget });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(conversation, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in get_thread: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'analyze_email',
+    {
+      description:
+        'Classify an email with the LLM: category, sentiment, urgency, language, intent, whether a human should handle it, and the dates, order numbers and amounts it mentions. Results are cached per message.',
+      inputSchema: z.object({
+        message_id: z.string().describe('The message ID'),
+        refresh: z.boolean().optional().describe('Analyze again instead of returning the cached result'),
+      }),
+    },
+    async (params) => {
+      try {
+        const result = await analyzeMessage(params.message_id, { refresh: params.refresh });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in analyze_email: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'send_reply',
+    {
+      description: 'Send a reply to an email',
+      inputSchema: z.object({
+        message_id: z.string().describe('The message ID to reply to'),
+        reply_text: z.string().describe('The reply message text'),
+        reply_all: z.boolean().optional().describe('Also reply to everyone in To and Cc of the original'),
+        html: z.string().optional().describe('HTML version of the reply (generated from reply_text if omitted)'),
+        quote_original: z.boolean().optional().describe('Quote the original message below the reply'),
+        attachments: z
+          .array(
+            z.object({
+              filename: z.string(),
+              content_type: z.string().optional().describe('MIME type, e.g. application/pdf'),
+              content_base64: z.string().describe('File contents, base64-encoded'),
+            })
+          )
+          .optional()
+          .describe('Files to attach'),
+      }),
+    },
+    async (params) => {
+      try {
+        await sendReply(params.message_id, params.reply_text, replyOptionsFromParams(params));
+        recordReply(await getEmailDetails(params.message_id), 'manual');
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'Reply sent successfully',
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in send_reply: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'mark_as_read',
+    {
+      description: 'Mark an email as read',
+      inputSchema: z.object({
+        message_id: z.string().describe('The message ID'),
+      }),
+    },
+    async (params) => {
+      try {
+        await markAsRead(params.message_id);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'Email marked as read',
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in mark_as_read: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'add_label',
+    {
+      description: 'Add a label to an email',
+      inputSchema: z.object({
+        message_id: z.string().describe('The message ID'),
+        label_name: z.string().describe('The label name to add'),
+      }),
+    },
+    async (params) => {
+      try {
+        await addLabel(params.message_id, params.label_name);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Label "${params.label_name}" added successfully`,
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in add_label: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'process_emails_now',
+    {
+      description: 'Trigger immediate batch processing of unread emails and failed emails due for retry',
+      inputSchema: z.object({
+        dry_run: z
+          .boolean()
+          .optional()
+          .describe('Generate replies and report what would happen without sending or labelling anything'),
+      }),
+    },
+    async (params) => {
+      try {
+        const results = await processUnreadEmails(undefined, { dryRun: params.dry_run });
+        if (results.total === 0) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: 'No unread emails to process',
+              },
+            ],
+          };
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(results, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in process_emails_now: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'list_rules',
+    {
+      description: 'List all email processing rules, the match strategy and the ignore lists',
+      inputSchema: z.object({}),
+    },
+    async () => {
+      try {
+        const rules = listRules();
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(rules, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in list_rules: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'create_rule',
+    {
+      description: 'Create a new email processing rule',
+      inputSchema: z.object({
+        rule_id: z.string().describe('Unique ID for the new rule'),
+        name: z.string().describe('Human-readable rule name'),
+        keywords: z.array(z.string()).optional().describe('Keywords for the top-level condition'),
+        must_match: z.enum(['any', 'all']).optional().describe('Whether any or all keywords must match'),
+        conditions: z
+          .record(z.any())
+          .optional()
+          .describe('Full condition object (replaces keywords/must_match), see README'),
+        context: z.string().optional().describe('Context description sent to the LLM'),
+        enabled: z.boolean().optional().describe('Whether the rule is enabled'),
+        priority: z.number().int().optional().describe('Higher priority rules win'),
+        stop_processing: z.boolean().optional().describe('Stop evaluating lower-priority rules when this one matches'),
+        require_approval: z.boolean().optional().describe('Hold replies for approval'),
+        actions: z.array(z.record(z.any())).optional().describe('Ordered list of actions, see README'),
+        prompt: z
+          .object({ template: z.string(), version: z.number().int().optional() })
+          .optional()
+          .describe('Prompt template for replies, e.g. {"template": "formal"}; version pins one'),
+        knowledge: z
+          .object({
+            enabled: z.boolean().optional(),
+            collections: z.array(z.string()).optional(),
+            maxPassages: z.number().int().optional(),
+          })
+          .optional()
+          .describe('Knowledge base collections replies are grounded in, e.g. {"collections": ["pricing"]}'),
+        language: z
+          .string()
+          .optional()
+          .describe('Always reply in this language (two-letter code) instead of the language of the email'),
+      }),
+    },
+    async (params) => {
+      try {
+        const rule = createRule({ ...ruleFieldsFromParams(params), id: params.rule_id });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(rule, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in create_rule: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'toggle_rule',
+    {
+      description: 'Enable or disable an email processing rule',
+      inputSchema: z.object({
+        rule_id: z.string().describe('The rule ID to toggle'),
+        enabled: z.boolean().describe('Whether to enable or disable the rule'),
+      }),
+    },
+    async (params) => {
+      try {
+        setRuleEnabled(params.rule_id, params.enabled);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Rule "${params.rule_id}" is now ${params.enabled ? 'enabled' : 'disabled'}`,
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in toggle_rule: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'update_rule',
+    {
+      description: "Update a rule's name, ID, conditions, context or other settings",
+      inputSchema: z.object({
+        rule_id: z.string().describe('The rule ID to update'),
+        new_id: z.string().optional().describe('Rename the rule to this ID'),
+        name: z.string().optional().describe('Human-readable rule name'),
+        keywords: z.array(z.string()).optional().describe('Keywords for the top-level condition'),
+        must_match: z.enum(['any', 'all']).optional().describe('Whether any or all keywords must match'),
+        conditions: z
+          .record(z.any())
+          .optional()
+          .describe('Full condition object (replaces keywords/must_match), see README'),
+        context: z.string().optional().describe('Context description sent to the LLM'),
+        enabled: z.boolean().optional().describe('Whether the rule is enabled'),
+        priority: z.number().int().optional().describe('Higher priority rules win'),
+        stop_processing: z.boolean().optional().describe('Stop evaluating lower-priority rules when this one matches'),
+        require_approval: z.boolean().optional().describe('Hold replies for approval'),
+        actions: z.array(z.record(z.any())).optional().describe('Ordered list of actions, see README'),
+        prompt: z
+          .object({ template: z.string(), version: z.number().int().optional() })
+          .optional()
+          .describe('Prompt template for replies, e.g. {"template": "formal"}; version pins one'),
+        knowledge: z
+          .object({
+            enabled: z.boolean().optional(),
+            collections: z.array(z.string()).optional(),
+            maxPassages: z.number().int().optional(),
+          })
+          .optional()
+          .describe('Knowledge base collections replies are grounded in, e.g. {"collections": ["pricing"]}'),
+        language: z
+          .string()
+          .optional()
+          .describe('Always reply in this language (two-letter code) instead of the language of the email'),
+      }),
+    },
+    async (params) => {
+      try {
+        const rule = updateRule(params.rule_id, ruleFieldsFromParams(params));
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(rule, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in update_rule: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'delete_rule',
+    {
+      description: 'Delete an email processing rule',
+      inputSchema: z.object({
+        rule_id: z.string().describe('The rule ID to delete'),
+      }),
+    },
+    async (params) => {
+      try {
+        deleteRule(params.rule_id);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Rule "${params.rule_id}" deleted`,
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in delete_rule: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'add_ignore_entry',
+    {
+      description: 'Add a sender or subject phrase to the ignore lists',
+      inputSchema: z.object({
+        list: z.enum(['senders', 'subjects']).describe('ignore_senders or ignore_subject_contains'),
+        value: z.string().describe('Sender fragment or subject phrase'),
+      }),
+    },
+    async (params) => {
+      try {
+        const entries = addIgnoreEntry(params.list, params.value);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(entries, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in add_ignore_entry: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'remove_ignore_entry',
+    {
+      description: 'Remove a sender or subject phrase from the ignore lists',
+      inputSchema: z.object({
+        list: z.enum(['senders', 'subjects']).describe('ignore_senders or ignore_subject_contains'),
+        value: z.string().describe('Sender fragment or subject phrase'),
+      }),
+    },
+    async (params) => {
+      try {
+        const entries = removeIgnoreEntry(params.list, params.value);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(entries, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in remove_ignore_entry: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'test_rules',
+    {
+      description:
+        'Evaluate the processing rules against a supplied email or a message ID without sending anything or calling the LLM',
+      inputSchema: z.object({
+        message_id: z.string().optional().describe('A message ID to test'),
+        email: z
+          .object({
+            from: z.string().optional(),
+            to: z.string().optional(),
+            cc: z.string().optional(),
+            subject: z.string().optional(),
+            body: z.string().optional(),
+            headers: z.record(z.string()).optional().describe('Raw headers, e.g. {"From": "..."}'),
+            labels: z.array(z.string()).optional().describe('Label IDs on the message'),
+            has_attachment: z.boolean().optional(),
+            attachment_text: z.string().optional().describe('Text of the attachments, for "attachments" conditions'),
+            received_at: z.string().optional().describe('ISO timestamp used for time windows'),
+            language: z.string().optional().describe('Language code for "language" conditions (detected if omitted)'),
+            analysis: analysisSchema
+              .partial()
+              .optional()
+              .describe('AI analysis for "analysis" conditions (see analyze_email); message IDs use the cached one'),
+          })
+          .optional()
+          .describe('An email to test instead of a fetched message'),
+      }),
+    },
+    async (params) => {
+      try {
+        const report = await testRules(params);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(report, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in test_rules: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'update_settings',
+    {
+      description: 'Change values in settings.json. Changes are validated and take effect without a restart.',
+      inputSchema: z.object({
+        settings: settingsSchema.partial().describe('Settings to change, e.g. {"emailBatchSize": 20}'),
+      }),
+    },
+    async (params) => {
+      try {
+        const settings = updateSettings(params.settings);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(settings, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in update_settings: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'list_prompt_templates',
+    {
+      description: 'List the prompt templates with their latest versions and the rules using them',
+      inputSchema: z.object({}),
+    },
+    async () => {
+      try {
+        const templates = listTemplates();
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(templates, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in list_prompt_templates: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'get_prompt_template',
+    {
+      description: 'Get the text of a prompt template (the latest version unless one is given) and its version list',
+      inputSchema: z.object({
+        template_id: z.string().describe('The template ID'),
+        version: z.number().int().optional().describe('Version to get (default: latest)'),
+      }),
+    },
+    async (params) => {
+      try {
+        const template = getTemplate(params.template_id, params.version);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(template, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in get_prompt_template: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'save_prompt_template',
+    {
+      description:
+        'Create a prompt template or save a new version of one. Earlier versions are kept. ' +
+        `Variables: ${TEMPLATE_VARIABLES.map((name) => `{{${name}}}`).join(', ')}`,
+      inputSchema: z.object({
+        template_id: z.string().describe('The template ID (letters, digits, "_" and "-")'),
+        system: z.string().describe('System prompt text with {{variable}} placeholders'),
+        description: z.string().optional().describe('What the template is for'),
+      }),
+    },
+    async (params) => {
+      try {
+        const template = saveTemplate({
+          id: params.template_id,
+          system: params.system,
+          description: params.description,
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(template, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in save_prompt_template: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'delete_prompt_template',
+    {
+      description: 'Delete a prompt template and all its versions (not the default or templates rules use)',
+      inputSchema: z.object({
+        template_id: z.string().describe('The template ID to delete'),
+      }),
+    },
+    async (params) => {
+      try {
+        deleteTemplate(params.template_id);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Prompt template "${params.template_id}" deleted`,
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in delete_prompt_template: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'preview_prompt',
+    {
+      description:
+        'Render the prompt a reply would be generated from, for a template, rule, message or sample email, ' +
+        'without calling the LLM',
+      inputSchema: z.object({
+        template_id: z.string().optional().describe("Template to preview (default: the rule's template)"),
+        version: z.number().int().optional().describe('Template version (default: latest)'),
+        rule_id: z.string().optional().describe('Rule whose template and context to use (default: the matching rule)'),
+        message_id: z.string().optional().describe('A message to render the prompt for'),
+        email: z
+          .object({
+            from: z.string().optional(),
+            subject: z.string().optional(),
+            body: z.string().optional(),
+          })
+          .optional()
+          .describe('An email to render the prompt for (default: a sample email)'),
+        context: z.string().optional().describe('Context to use instead of the rule context'),
+      }),
+    },
+    async (params) => {
+      try {
+        const preview = await previewReplyPrompt(params);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(preview, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in preview_prompt: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  mcp_server.registerTool(
+    'add_knowledge_document',
+    {
+      description: 'Add a markdown document to the knowledge base, replacing a document of the same name',
+      inputSchema: z.object({
+        collection: z.string().default('general').describe('Collection (subdirectory) to add it to'),
+        name: z.string().describe('Document name, e.g. "pricing" (saved as pricing.md)'),
+        content: z.string().describe('Markdown content; headings split it into passages'),
+      }),
+    },
+    async (params) => {
+      try {
+        const result = addKnowledgeDocument(params);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in add_knowledge_document: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
+
   mcp_server.registerTool(
-    'get_unread_emails',
+    'list_knowledge_documents',
     {
-      description: 'Fetch unread emails from the inbox',
+      description: 'List the knowledge base collections and their documents',
       inputSchema: z.object({
-        max_results: z.number().default(10).describe('Maximum number of emails to fetch'),
+        collection: z.string().optional().describe('Only list this collection'),
       }),
     },
     async (params) => {
       try {
-        const emails = await getUnreadEmails(params.max_results || 10);
+        const collections = listKnowledgeDocuments(params.collection);
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(
-                {
-                  count: emails.length,
-                  emails: emails.map((e) => ({
-                    id: e.id,
-                    from: e.from,
-                    subject: e.subject,
-                    timestamp: e.timestamp,
-                  })),
-                },
-                null,
-                2
-              ),
+              text: JSON.stringify(collections, null, 2),
             },
           ],
         };
       } catch (error) {
-        logger.error(`Error in get_unread_emails: ${error.message}`);
+        logger.error(`Error in list_knowledge_documents: ${error.message}`);
         return {
           content: [
             {
@@ -111,26 +1140,29 @@ function registerTools(mcp_server) {
   );
 
   mcp_server.registerTool(
-    'get_email',
+    'search_knowledge',
     {
-      description: 'Get full details of a specific email',
+      description: 'Search the knowledge base the way replies do and return the best passages',
       inputSchema: z.object({
-        message_id: z.string().describe('The Gmail message ID'),
+        query: z.string().describe('Search text, e.g. an email subject and body'),
+        collections: z.array(z.string()).optional().describe('Only search these collections'),
+        limit: z.number().int().min(1).max(20).default(5).describe('Number of passages to return'),
       }),
     },
     async (params) => {
       try {
-        const email = await getEmailDetails(params.message_id);
+        const { query, collections, limit } = params;
+        const passages = searchKnowledge(query, { collections, limit });
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(email, null, 2),
+              text: JSON.stringify(passages, null, 2),
             },
           ],
         };
       } catch (error) {
-        logger.error(`Error in get_email: ${error.message}`);
+        logger.error(`Error in search_knowledge: ${error.message}`);
         return {
           content: [
             {
@@ -145,27 +1177,28 @@ function registerTools(mcp_server) {
   );
 
   mcp_server.registerTool(
-    'send_reply',
+    'list_contacts',
     {
-      description: 'Send a reply to an email',
+      description: 'List contact profiles, most recently seen first',
       inputSchema: z.object({
-        message_id: z.string().describe('The Gmail message ID to reply to'),
-        reply_text: z.string().describe('The reply message text'),
+        query: z.string().optional().describe('Only contacts whose address, name or company contains this text'),
+        vip: z.boolean().optional().describe('Only VIP (true) or non-VIP (false) contacts'),
+        blocked: z.boolean().optional().describe('Only blocked (true) or unblocked (false) contacts'),
       }),
     },
     async (params) => {
       try {
-        await sendReply(params.message_id, params.reply_text);
+        const contacts = listContacts(params);
         return {
           content: [
             {
               type: 'text',
-              text: 'Reply sent successfully',
+              text: JSON.stringify(contacts, null, 2),
             },
           ],
         };
       } catch (error) {
-        logger.error(`Error in send_reply: ${error.message}`);
+        logger.error(`Error in list_contacts: ${error.message}`);
         return {
           content: [
             {
@@ -180,26 +1213,27 @@ function registerTools(mcp_server) {
   );
 
   mcp_server.registerTool(
-    'mark_as_read',
+    'get_contact',
     {
-      description: 'Mark an email as read',
+      description:
+        'Get the profile of a sender: name, company, past topics, interactions, last reply, language, flags and notes',
       inputSchema: z.object({
-        message_id: z.string().describe('The Gmail message ID'),
+        email: z.string().describe('The contact email address'),
       }),
     },
     async (params) => {
       try {
-        await markAsRead(params.message_id);
+        const contact = getContact(params.email);
         return {
           content: [
             {
               type: 'text',
-              text: 'Email marked as read',
+              text: JSON.stringify(contact, null, 2),
             },
           ],
         };
       } catch (error) {
-        logger.error(`Error in mark_as_read: ${error.message}`);
+        logger.error(`Error in get_contact: ${error.message}`);
         return {
           content: [
             {
@@ -214,27 +1248,34 @@ function registerTools(mcp_server) {
   );
 
   mcp_server.registerTool(
-    'add_label',
+    'update_contact',
     {
-      description: 'Add a label to an email',
+      description:
+        'Edit a contact profile, creating it if needed. Blocked senders are skipped by processing; VIP and notes are given to the model when replying.',
       inputSchema: z.object({
-        message_id: z.string().describe('The Gmail message ID'),
-        label_name: z.string().describe('The label name to add'),
+        email: z.string().describe('The contact email address'),
+        name: z.string().optional().describe('Name used to address them'),
+        company: z.string().optional().describe('Their company'),
+        language: z.string().optional().describe('Preferred language, e.g. "de"'),
+        vip: z.boolean().optional().describe('Give their emails priority and extra care'),
+        blocked: z.boolean().optional().describe('Never process their emails'),
+        notes: z.string().optional().describe('Free-form notes for the model'),
       }),
     },
     async (params) => {
       try {
-        await addLabel(params.message_id, params.label_name);
+        const { email, ...changes } = params;
+        const contact = updateContact(email, changes);
         return {
           content: [
             {
               type: 'text',
-              text: `Label "${params.label_name}" added successfully`,
+              text: JSON.stringify(contact, null, 2),
             },
           ],
         };
       } catch (error) {
-        logger.error(`Error in add_label: ${error.message}`);
+        logger.error(`Error in update_contact: ${error.message}`);
         return {
           content: [
             {
@@ -249,42 +1290,26 @@ function registerTools(mcp_server) {
   );
 
   mcp_server.registerTool(
-    'process_emails_now',
+    'delete_contact',
     {
-      description: 'Trigger immediate batch processing of unread emails',
-      inputSchema: z.object({}),
+      description: 'Forget everything stored about a contact',
+      inputSchema: z.object({
+        email: z.string().describe('The contact email address'),
+      }),
     },
-    async () => {
+    async (params) => {
       try {
-        const emails = await getUnreadEmails();
-        if (emails.length === 0) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: 'No unread emails to process',
-              },
-            ],
-          };
-        }
-
-        const results = await processBatch(emails);
-        processing_stats.total_processed += results.processed;
-        processing_stats.total_skipped += results.skipped;
-        processing_stats.total_failed += results.failed;
-        processing_stats.last_run = new Date().toISOString();
-        processing_stats.runs_today += 1;
-
+        deleteContact(params.email);
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(results, null, 2),
+              text: `Contact "${params.email}" deleted`,
             },
           ],
         };
       } catch (error) {
-        logger.error(`Error in process_emails_now: ${error.message}`);
+        logger.error(`Error in delete_contact: ${error.message}`);
         return {
           content: [
             {
@@ -299,46 +1324,64 @@ function registerTools(mcp_server) {
   );
 
   mcp_server.registerTool(
-    'toggle_rule',
+    'list_pending_replies',
     {
-      description: 'Enable or disable an email processing rule',
+      description: 'List generated replies waiting for human approval',
       inputSchema: z.object({
-        rule_id: z.string().describe('The rule ID to toggle'),
-        enabled: z.boolean().describe('Whether to enable or disable the rule'),
+        status: z
+          .enum(['pending', 'approved', 'rejected', 'all'])
+          .default('pending')
+          .describe('Filter by approval status'),
       }),
     },
     async (params) => {
       try {
-        const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
-        const rule = rules.rules.find((r) => r.id === params.rule_id);
-
-        if (!rule) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Rule "${params.rule_id}" not found`,
-              },
-            ],
-            isError: true,
-          };
-        }
-
-        rule.enabled = params.enabled;
-        fs.writeFileSync(rulesPath, JSON.stringify(rules, null, 2));
-
-        logger.info(`Rule "${params.rule_id}" set to ${params.enabled ? 'enabled' : 'disabled'}`);
+        const items = listPendingReplies(params.status || 'pending');
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ count: items.length, items }, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in list_pending_replies: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
 
+  mcp_server.registerTool(
+    'edit_pending_reply',
+    {
+      description: 'Edit the text of a reply waiting for approval',
+      inputSchema: z.object({
+        pending_id: z.string().describe('The pending reply ID'),
+        reply_text: z.string().describe('The new reply text'),
+      }),
+    },
+    async (params) => {
+      try {
+        const item = await editPendingReply(params.pending_id, params.reply_text);
         return {
           content: [
             {
               type: 'text',
-              text: `Rule "${params.rule_id}" is now ${params.enabled ? 'enabled' : 'disabled'}`,
+              text: JSON.stringify(item, null, 2),
             },
           ],
         };
       } catch (error) {
-        logger.error(`Error in toggle_rule: ${error.message}`);
+        logger.error(`Error in edit_pending_reply: ${error.message}`);
         return {
           content: [
             {
@@ -353,52 +1396,166 @@ function registerTools(mcp_server) {
   );
 
   mcp_server.registerTool(
-    'update_rule',
+    'approve_pending_reply',
     {
-      description: "Update a rule's keywords or context",
+      description: 'Approve a pending reply and send it',
       inputSchema: z.object({
-        rule_id: z.string().describe('The rule ID to update'),
-        keywords: z.array(z.string()).optional().describe('New keywords for the rule'),
-        context: z.string().optional().describe('New context description for the rule'),
+        pending_id: z.string().describe('The pending reply ID'),
       }),
     },
     async (params) => {
       try {
-        const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
-        const rule = rules.rules.find((r) => r.id === params.rule_id);
+        const item = await approvePendingReply(params.pending_id);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Reply to ${item.from} approved and sent`,
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in approve_pending_reply: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
 
-        if (!rule) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Rule "${params.rule_id}" not found`,
-              },
-            ],
-            isError: true,
-          };
-        }
+  mcp_server.registerTool(
+    'reject_pending_reply',
+    {
+      description: 'Reject a pending reply and discard its draft',
+      inputSchema: z.object({
+        pending_id: z.string().describe('The pending reply ID'),
+        reason: z.string().optional().describe('Why the reply was rejected'),
+      }),
+    },
+    async (params) => {
+      try {
+        const item = await rejectPendingReply(params.pending_id, params.reason);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Reply to ${item.from} rejected`,
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in reject_pending_reply: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
 
-        if (params.keywords) {
-          rule.conditions.keywords = params.keywords;
-        }
-        if (params.context) {
-          rule.context = params.context;
-        }
+  mcp_server.registerTool(
+    'list_failed_emails',
+    {
+      description: 'List emails that failed processing: those waiting to be retried and the dead-letter list',
+      inputSchema: z.object({
+        status: z
+          .enum(['retrying', 'dead', 'discarded', 'all'])
+          .default('dead')
+          .describe('Filter by retry status ("dead" is the dead-letter list)'),
+      }),
+    },
+    async (params) => {
+      try {
+        const items = listRetryQueue(params.status || 'dead');
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ count: items.length, items }, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in list_failed_emails: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
 
-        fs.writeFileSync(rulesPath, JSON.stringify(rules, null, 2));
-        logger.info(`Rule "${params.rule_id}" updated`);
+  mcp_server.registerTool(
+    'retry_failed_email',
+    {
+      description: 'Process a failed or dead-lettered email again now, with a fresh attempt budget',
+      inputSchema: z.object({
+        message_id: z.string().describe('The message ID of the failed email'),
+      }),
+    },
+    async (params) => {
+      try {
+        const result = await retryFailedEmail(params.message_id);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        logger.error(`Error in retry_failed_email: ${error.message}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    }
+  );
 
+  mcp_server.registerTool(
+    'discard_failed_email',
+    {
+      description: 'Give up on a failed email so it is never processed again',
+      inputSchema: z.object({
+        message_id: z.string().describe('The message ID of the failed email'),
+      }),
+    },
+    async (params) => {
+      try {
+        const item = discardFailure(params.message_id);
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(rule, null, 2),
+              text: `Failed email from ${item.from} discarded`,
             },
           ],
         };
       } catch (error) {
-        logger.error(`Error in update_rule: ${error.message}`);
+        logger.error(`Error in discard_failed_email: ${error.message}`);
         return {
           content: [
             {
@@ -456,16 +1613,18 @@ function registerTools(mcp_server) {
   mcp_server.registerTool(
     'get_statistics',
     {
-      description: 'Get email processing statistics',
-      inputSchema: z.object({}),
+      description: 'Get email processing statistics with per-day, per-rule and per-status breakdowns',
+      inputSchema: z.object({
+        days: z.number().optional().describe('Only include the last N days of history'),
+      }),
     },
-    async () => {
+    async (params) => {
       try {
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(processing_stats, null, 2),
+              text: JSON.stringify(getStatistics({ days: params.days }), null, 2),
             },
           ],
         };
@@ -538,7 +1697,7 @@ function registerResources(mcp_server) {
     },
     async () => {
       try {
-        const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+        const rules = readConfigFile('rules');
         return {
           contents: [
             {
@@ -565,7 +1724,7 @@ function registerResources(mcp_server) {
     },
     async () => {
       try {
-        const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+        const settings = getConfig('settings');
         return {
           contents: [
             {
@@ -603,7 +1762,7 @@ function registerResources(mcp_server) {
                   scheduler_running: schedulerStatus.running,
                   current_interval_minutes: schedulerStatus.interval_minutes,
                   uptime_seconds: process.uptime(),
-                  processing_stats: processing_stats,
+                  processing_stats: getStatistics(),
                   timestamp: new Date().toISOString(),
                 },
                 null,
@@ -666,10 +1825,12 @@ function registerPrompts(mcp_server) {
               type: 'text',
               text:
                 'To manage email processing rules:\n\n' +
-                '1. **View Rules**: Use the rules resource to see current configuration\n' +
-                '2. **Enable/Disable**: Use toggle_rule to turn rules on or off\n' +
-                '3. **Update Keywords**: Use update_rule to change keywords that trigger a rule\n' +
-                '4. **Update Context**: Use update_rule to change the context description\n\n' +
+                '1. **View Rules**: Use list_rules or the rules resource to see current configuration\n' +
+                '2. **Create/Delete**: Use create_rule and delete_rule to add or remove rules\n' +
+                '3. **Enable/Disable**: Use toggle_rule to turn rules on or off\n' +
+                '4. **Update Rules**: Use update_rule to rename a rule or change its keywords, must_match, conditions, context, priority, actions or prompt template\n' +
+                '5. **Ignore Lists**: Use add_ignore_entry and remove_ignore_entry to edit ignored senders and subject phrases\n' +
+                '6. **Test Changes**: Use test_rules with a sample email to see which rules match and why\n\n' +
                 'Current available rules:\n' +
                 '- support_inquiries: Triggered by keywords like help, support, issue, problem\n' +
                 '- meeting_requests: Triggered by keywords like meeting, call, schedule, available\n' +
@@ -733,14 +1894,3 @@ export async function startStdioTransport() {
 export function getMCPServer() {
   return mcp_server;
 }
-
-/**
- * Update processing statistics
- */
-export function updateProcessingStats(stats) {
-  processing_stats.total_processed += stats.processed || 0;
-  processing_stats.total_skipped += stats.skipped || 0;
-  processing_stats.total_failed += stats.failed || 0;
-  processing_stats.last_run = new Date().toISOString();
-  processing_stats.runs_today += 1;
-}
@@ -0,0 +1,298 @@
+import {
+  sendReply,
+  createReplyDraft,
+  forwardEmail,
+  markAsRead,
+  addLabel,
+  modifyLabels,
+} from '../mail/mailProvider.js';
+import { requiresApproval, getReplyLabels } from '../filters/engine.js';
+import { generatePersonalizedResponse, buildTemplateVariables } from '../ai/responseGenerator.js';
+import { resolveLlmConfig } from '../ai/llmProvider.js';
+import { getRuleTemplate, renderTemplate } from '../ai/promptTemplates.js';
+import { getRelevantPassages } from '../knowledge/knowledgeBase.js';
+import { getConversation } from '../mail/conversation.js';
+import { findContact } from '../contacts/contactStore.js';
+import { getReplyLanguage } from '../ai/languageDetector.js';
+import { enqueueReply } from './approvalQueue.js';
+import { recordReply } from './replyLedger.js';
+import { shouldMarkAsReadAfterReply } from '../config/settings.js';
+import { logger } from '../utils/logger.js';
+
+// Actions used for rules that don't declare any (the original pipeline)
+export const DEFAULT_ACTIONS = [{ type: 'ai_reply' }];
+
+const REPLY_ACTIONS = ['ai_reply', 'template_reply'];
+
+// Actions that still run in dry-run mode (they only generate text)
+const DRY_RUN_ACTIONS = [...REPLY_ACTIONS, 'draft'];
+
+// Actions that have the LLM write text, with the attachment text in the prompt
+const AI_ACTIONS = ['ai_reply', 'draft'];
+
+/**
+ * Check if an action list has the LLM write a reply or draft
+ */
+export function hasAiAction(actions) {
+  return actions.some((action) => AI_ACTIONS.includes(action.type));
+}
+
+/**
+ * Check if an action list sends (or queues) a reply
+ */
+export function hasReplyAction(actions) {
+  return actions.some((action) => REPLY_ACTIONS.includes(action.type));
+}
+
+/**
+ * Fill a template_reply text with the prompt template variables (see
+ * buildTemplateVariables) and {{from}}
+ */
+function renderReplyTemplate(template, { email, context }, contact, language) {
+  const variables = { ...buildTemplateVariables(email, context, contact, language), from: email.from };
+  return renderTemplate(template, variables);
+}
+
+/**
+ * The earlier messages of an email's thread, or null if they can't be
+ * fetched (the reply is then generated from the email alone)
+ */
+async function loadConversation(email) {
+  try {
+    return await getConversation(email);
+  } catch (error) {
+    logger.warn(`Could not load the conversation of ${email.id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Generate the AI reply for an email with the rule's LLM, prompt template
+ * and knowledge collections, the earlier messages of its thread and the
+ * sender's contact profile, in the reply language (see getReplyLanguage).
+ * Records provider, model, template version, knowledge sources, thread
+ * messages, reply language and timing on the trace.
+ */
+async function generateReply({ email, rule, context, trace }) {
+  const startedAt = Date.now();
+  const llmConfig = resolveLlmConfig(rule);
+  const contact = findContact(email.from);
+  const language = getReplyLanguage(email, rule, contact);
+  const template = getRuleTemplate(rule, language);
+  trace.replyLanguage = language;
+  trace.llmProvider = llmConfig.provider;
+  trace.model = llmConfig.model;
+  trace.promptTemplate = template.id;
+  trace.promptVersion = template.version;
+  const passages = getRelevantPassages(email, rule);
+  trace.knowledgeSources = passages.map((passage) => passage.id);
+  const conversation = await loadConversation(email);
+  trace.threadMessages = conversation ? conversation.messages.map((message) => message.id) : [];
+  const response = await generatePersonalizedResponse(email, context, llmConfig, {
+    template,
+    passages,
+    conversation,
+    contact,
+    language,
+  });
+  trace.generationMs = Date.now() - startedAt;
+
+  if (!response) {
+    throw new Error('response_generation_failed');
+  }
+  return response;
+}
+
+/**
+ * Reply options (see sendReply) from a reply action's fields
+ */
+function getReplyOptions(action) {
+  return { replyAll: Boolean(action.replyAll), quoteOriginal: Boolean(action.quoteOriginal) };
+}
+
+/**
+ * Send a reply (or queue it for approval) and apply the post-reply steps.
+ * action.replyAll copies the original To and Cc recipients and
+ * action.quoteOriginal quotes the original message below the reply.
+ */
+async function deliverReply({ email, rule, context, trace, dryRun }, replyText, action) {
+  const replyOptions = getReplyOptions(action);
+
+  if (dryRun) {
+    return {
+      status: 'dry_run',
+      replyText,
+      requiresApproval: requiresApproval(email),
+      ...replyOptions,
+      responseLength: replyText.length,
+    };
+  }
+
+  if (requiresApproval(email)) {
+    const pending = await enqueueReply(email, replyText, { ruleIds: trace.ruleIds, context, replyOptions });
+    return { status: 'pending_approval', pendingId: pending.id, responseLength: replyText.length };
+  }
+
+  await sendReply(email.id, replyText, replyOptions);
+  recordReply(email);
+  logger.info(`Reply sent to ${email.from}`);
+
+  await finishReply({ email, rule });
+  return { status: 'success', responseLength: replyText.length };
+}
+
+/**
+ * The steps after a reply is sent. A failure is thrown with error.replySent
+ * set, so a retry redoes only these steps instead of replying again.
+ */
+async function finishReply({ email, rule }) {
+  try {
+    // Mark as read if configured
+    if (shouldMarkAsReadAfterReply()) {
+      await markAsRead(email.id);
+      logger.debug(`Marked ${email.id} as read`);
+    }
+
+    // Add labels for tracking, including one for the winning rule
+    for (const label of getReplyLabels(rule.id)) {
+      await addLabel(email.id, label);
+    }
+  } catch (error) {
+    error.replySent = true;
+    throw error;
+  }
+  return { status: 'success' };
+}
+
+const handlers = {
+  async ai_reply(action, run) {
+    if (run.replySent) {
+      return finishReply(run);
+    }
+    const response = await generateReply(run);
+    logger.debug(`Generated response: ${response.substring(0, 100)}...`);
+    return deliverReply(run, response, action);
+  },
+
+  async template_reply(action, run) {
+    if (run.replySent) {
+      return finishReply(run);
+    }
+    const contact = findContact(run.email.from);
+    const language = getReplyLanguage(run.email, run.rule, contact);
+    const translation = language && action.translations?.[language];
+    if (translation) {
+      run.trace.replyLanguage = language;
+    }
+    const text = renderReplyTemplate(translation || action.template, run, contact, translation ? language : null);
+    return deliverReply(run, text, action);
+  },
+
+  async draft(action, run) {
+    const response = await generateReply(run);
+    if (run.dryRun) {
+      return { status: 'dry_run', replyText: response, responseLength: response.length };
+    }
+    const draft = await createReplyDraft(run.email.id, response, getReplyOptions(action));
+    return { status: 'success', draftId: draft.id, responseLength: response.length };
+  },
+
+  async label(action, { email }) {
+    for (const label of action.labels) {
+      await addLabel(email.id, label);
+    }
+    return { status: 'success', labels: action.labels };
+  },
+
+  async archive(action, { email }) {
+    await modifyLabels(email.id, { removeLabelIds: ['INBOX'] });
+    return { status: 'success' };
+  },
+
+  async star(action, { email }) {
+    await modifyLabels(email.id, { addLabelIds: ['STARRED'] });
+    return { status: 'success' };
+  },
+
+  async mark_important(action, { email }) {
+    await modifyLabels(email.id, { addLabelIds: ['IMPORTANT'] });
+    return { status: 'success' };
+  },
+
+  async mark_read(action, { email }) {
+    await markAsRead(email.id);
+    return { status: 'success' };
+  },
+
+  async forward(action, { email }) {
+    await forwardEmail(email.id, action.to, action.note);
+    return { status: 'success', to: action.to };
+  },
+
+  async webhook(action, { email, rule, context }) {
+    const response = await fetch(action.url, {
+      method: action.method || 'POST',
+      headers: { 'Content-Type': 'application/json', ...action.headers },
+      body: JSON.stringify({
+        event: 'email_matched',
+        rule: { id: rule.id, name: rule.name },
+        context,
+        email: {
+          id: email.id,
+          threadId: email.threadId,
+          from: email.from,
+          to: email.to,
+          subject: email.subject,
+          timestamp: email.timestamp,
+        },
+      }),
+      signal: AbortSignal.timeout(10000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+    return { status: 'success', httpStatus: response.status };
+  },
+};
+
+/**
+ * Run a rule's actions in order. A failing action is reported and the
+ * remaining actions still run. Returns one result per action.
+ * With run.dryRun, replies are generated but nothing is sent or changed.
+ * Actions whose index is in run.completed (done in an earlier attempt) are
+ * skipped, and with run.replySent reply actions only redo the steps after
+ * sending.
+ */
+export async function runActions(actions, run) {
+  const results = [];
+
+  for (const [index, action] of actions.entries()) {
+    if (run.completed?.includes(index)) {
+      results.push({ type: action.type, status: 'skipped', reason: 'completed_earlier' });
+      continue;
+    }
+
+    if (run.dryRun && !DRY_RUN_ACTIONS.includes(action.type)) {
+      // Report what would have happened (without webhook headers, which may hold secrets)
+      const { headers, ...description } = action;
+      results.push({ ...description, status: 'dry_run' });
+      continue;
+    }
+
+    try {
+      const result = await handlers[action.type](action, run);
+      results.push({ type: action.type, ...result });
+    } catch (error) {
+      logger.error(`Action "${action.type}" failed for ${run.email.id}: ${error.message}`);
+      results.push({
+        type: action.type,
+        status: 'failed',
+        error: error.message,
+        ...(error.replySent && { replySent: true }),
+      });
+    }
+  }
+
+  return results;
+}
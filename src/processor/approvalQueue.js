@@ -0,0 +1,171 @@
+import { randomUUID } from 'crypto';
+import {
+  createReplyDraft,
+  updateReplyDraft,
+  sendDraft,
+  deleteDraft,
+  markAsRead,
+  addLabel,
+} from '../mail/mailProvider.js';
+import { getReplyLabels } from '../filters/engine.js';
+import { checkReplyAllowed, recordReply } from './replyLedger.js';
+import { readJsonFile, writeJsonFile } from '../utils/dataStore.js';
+import { shouldMarkAsReadAfterReply } from '../config/settings.js';
+import { logger } from '../utils/logger.js';
+
+const QUEUE_FILE = 'pending_replies.json';
+
+/**
+ * Load the approval queue from disk
+ */
+function loadQueue() {
+  return readJsonFile(QUEUE_FILE, { items: [] });
+}
+
+/**
+ * Persist the approval queue to disk
+ */
+function saveQueue(queue) {
+  writeJsonFile(QUEUE_FILE, queue);
+}
+
+/**
+ * Find a pending item by id, throwing if it is missing or already handled
+ */
+function findPendingItem(queue, pendingId) {
+  const item = queue.items.find((i) => i.id === pendingId);
+
+  if (!item) {
+    throw new Error(`Pending reply "${pendingId}" not found`);
+  }
+  if (item.status !== 'pending') {
+    throw new Error(`Pending reply "${pendingId}" is already ${item.status}`);
+  }
+
+  return item;
+}
+
+/**
+ * Apply changes to one item and save. The queue is reloaded first, so items
+ * queued while a mail provider call was in flight aren't overwritten.
+ */
+function updateItem(pendingId, changes) {
+  const queue = loadQueue();
+  const item = queue.items.find((i) => i.id === pendingId);
+  Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+  saveQueue(queue);
+  return item;
+}
+
+/**
+ * Save a generated reply as a draft and queue it for approval
+ */
+export async function enqueueReply(email, replyText, { ruleIds = [], context = '', replyOptions = {} } = {}) {
+  const draft = await createReplyDraft(email.id, replyText, replyOptions);
+
+  const item = {
+    id: randomUUID(),
+    messageId: email.id,
+    threadId: email.threadId || null,
+    draftId: draft.id,
+    from: email.from,
+    subject: email.subject,
+    ruleIds,
+    context,
+    replyText,
+    replyOptions,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  const queue = loadQueue();
+  queue.items.push(item);
+  saveQueue(queue);
+
+  logger.info(`Reply to ${email.from} queued for approval (${item.id})`);
+  return item;
+}
+
+/**
+ * List queued replies, optionally filtered by status
+ */
+export function listPendingReplies(status = 'pending') {
+  const { items } = loadQueue();
+  if (status === 'all') {
+    return items;
+  }
+  return items.filter((item) => item.status === status);
+}
+
+/**
+ * Check if a reply to this message has already gone through the queue
+ * (pending, approved or rejected), so it isn't generated again
+ */
+export function isInApprovalQueue(messageId) {
+  return listPendingReplies('all').some((item) => item.messageId === messageId);
+}
+
+/**
+ * Replace the text of a pending reply (and its draft)
+ */
+export async function editPendingReply(pendingId, replyText) {
+  const item = findPendingItem(loadQueue(), pendingId);
+
+  const draft = await updateReplyDraft(item.draftId, item.messageId, replyText, item.replyOptions);
+
+  const edited = updateItem(pendingId, { draftId: draft.id || item.draftId, replyText, edited: true });
+
+  logger.info(`Pending reply ${pendingId} edited`);
+  return edited;
+}
+
+/**
+ * Approve a pending reply: send the draft and apply the usual post-reply
+ * steps. The reply counts as approved once sent; failures marking it read
+ * or labelling it are only logged. Replies the reply ledger's thread and
+ * sender limits no longer allow (e.g. another reply in the thread was
+ * approved first) are refused with a 409 error and stay pending.
+ */
+export async function approvePendingReply(pendingId) {
+  const item = findPendingItem(loadQueue(), pendingId);
+
+  const ledgerCheck = checkReplyAllowed({ id: item.messageId, threadId: item.threadId, from: item.from });
+  if (!ledgerCheck.allowed) {
+    const error = new Error(`Pending reply "${pendingId}" can't be sent now: ${ledgerCheck.reason}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  await sendDraft(item.draftId);
+  recordReply({ id: item.messageId, threadId: item.threadId, from: item.from });
+  const approved = updateItem(pendingId, { status: 'approved' });
+  logger.info(`Approved reply sent to ${item.from}`);
+
+  try {
+    if (shouldMarkAsReadAfterReply()) {
+      await markAsRead(item.messageId);
+    }
+    for (const label of getReplyLabels(item.ruleIds[0])) {
+      await addLabel(item.messageId, label);
+    }
+  } catch (error) {
+    logger.warn(`Approved reply ${pendingId} was sent, but updating the email failed: ${error.message}`);
+  }
+
+  return approved;
+}
+
+/**
+ * Reject a pending reply: delete the draft without sending
+ */
+export async function rejectPendingReply(pendingId, reason = '') {
+  const item = findPendingItem(loadQueue(), pendingId);
+
+  await deleteDraft(item.draftId);
+
+  const rejected = updateItem(pendingId, { status: 'rejected', rejectionReason: reason });
+
+  logger.info(`Pending reply ${pendingId} rejected`);
+  return rejected;
+}
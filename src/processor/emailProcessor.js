@@ -1,53 +1,287 @@
-import { getUnreadEmails, sendReply, markAsRead, addLabel } from '../gmail/emailService.js';
-import { shouldProcessEmail, buildContextFromRules } from '../filters/engine.js';
-import { generatePersonalizedResponse } from '../ai/openai.js';
+import { getUnreadEmails, getEmailDetails } from '../mail/mailProvider.js';
+import { withAttachmentText } from '../mail/attachments.js';
+import {
+  shouldProcessEmail,
+  shouldIgnoreEmail,
+  buildContextFromRules,
+  getMatchingRules,
+  rulesUseAnalysis,
+  rulesUseAttachments,
+} from '../filters/engine.js';
+import { getEmailAnalysis } from '../ai/emailAnalysis.js';
+import { withLanguage } from '../ai/languageDetector.js';
+import { isContactBlocked, recordContactEmail } from '../contacts/contactStore.js';
+import { isInApprovalQueue } from './approvalQueue.js';
+import { checkReplyAllowed, hasHandled, getHandledReason, recordReply } from './replyLedger.js';
+import { runActions, hasReplyAction, hasAiAction, DEFAULT_ACTIONS } from './actionRunner.js';
+import { recordEmailOutcome, recordBatchRun } from './processingHistory.js';
+import {
+  recordFailure,
+  clearFailure,
+  getRetryBlock,
+  getDueRetries,
+  resetForRetry,
+  getRetryProgress,
+  hasRetryProgress,
+} from './retryQueue.js';
 import { logger } from '../utils/logger.js';
 
+// Skip reasons that leave an email's retry queue entry untouched
+const RETRY_SKIP_REASONS = ['retry_scheduled', 'dead_lettered', 'discarded'];
+
+// Set while a batch or manual retry runs. Runs never overlap, so two of them
+// can't both pass the reply ledger's limits before either records its reply.
+let runInProgress = false;
+
 /**
- * Process a single email: filter, analyze, and reply
+ * Check if emails are being processed right now
  */
-export async function processEmail(email) {
+export function isProcessing() {
+  return runInProgress;
+}
+
+/**
+ * Run fn unless another run is in progress, in which case a 409 error is thrown
+ */
+async function runExclusively(fn) {
+  if (runInProgress) {
+    const error = new Error('Email processing is already running; try again when it finishes');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  runInProgress = true;
+  try {
+    return await fn();
+  } finally {
+    runInProgress = false;
+  }
+}
+
+/**
+ * Resolve dry-run mode from options, falling back to the DRY_RUN env var
+ */
+function isDryRun(options = {}) {
+  return options.dryRun !== undefined ? Boolean(options.dryRun) : process.env.DRY_RUN === 'true';
+}
+
+/**
+ * Process a single email: filter, analyze, and reply.
+ * Every outcome is recorded in the processing history, and failures go to
+ * the retry queue, except in dry-run mode, where nothing is sent, labelled
+ * or recorded.
+ */
+export async function processEmail(email, options = {}) {
+  const startedAt = Date.now();
+  const dryRun = isDryRun(options);
+  const trace = {
+    ruleIds: [],
+    llmProvider: null,
+    model: null,
+    promptTemplate: null,
+    promptVersion: null,
+    knowledgeSources: [],
+    threadMessages: [],
+    language: null,
+    replyLanguage: null,
+    generationMs: null,
+    screened: false,
+  };
+
+  const result = await runPipeline(email, trace, dryRun);
+  if (dryRun) {
+    return { ...result, dryRun: true, matchedRules: trace.ruleIds };
+  }
+
+  const isNewOutcome = recordEmailOutcome(email, result, { ...trace, startedAt });
+  // Contacts count emails that got past the ignore lists; a repeat skip
+  // isn't counted again (recordContactEmail also skips known message ids)
+  if (trace.screened && isNewOutcome) {
+    recordContact(email, result);
+  }
+  if (result.status === 'error' || result.status === 'failed') {
+    recordFailure(email, result.reason, getProgress(result));
+  } else if (result.status !== 'skipped' || !RETRY_SKIP_REASONS.includes(result.reason)) {
+    clearFailure(email.id);
+  }
+  return result;
+}
+
+/**
+ * The rule's actions that succeeded (in this or an earlier attempt) in a
+ * failed run, so a retry runs only the others
+ */
+function getProgress(result) {
+  if (!result.actions) {
+    return undefined;
+  }
+  return {
+    ruleId: result.ruleId,
+    completedActions: result.actions.flatMap((r, index) => (r.status === 'failed' ? [] : [{ index, type: r.type }])),
+    replySent: result.actions.some((r) => r.replySent),
+  };
+}
+
+/**
+ * Combine per-action results into the overall processing status
+ */
+function summarizeActions(actionResults) {
+  const failed = actionResults.filter((r) => r.status === 'failed');
+  const pending = actionResults.find((r) => r.status === 'pending_approval');
+  const reply = actionResults.find((r) => r.responseLength);
+
+  const summary = {
+    status: 'success',
+    responseLength: reply ? reply.responseLength : undefined,
+  };
+
+  if (failed.length > 0) {
+    summary.status = 'failed';
+    summary.reason = `action_failed: ${failed.map((r) => `${r.type} (${r.error})`).join(', ')}`;
+  } else if (pending) {
+    summary.status = 'pending_approval';
+    summary.pendingId = pending.pendingId;
+  }
+
+  return summary;
+}
+
+/**
+ * Update the sender's contact profile with a processed email. Best-effort:
+ * a failure is logged and doesn't affect the outcome.
+ */
+function recordContact(email, result) {
+  try {
+    recordContactEmail(email, result);
+  } catch (error) {
+    logger.error(`Failed to update the contact of ${email.from}: ${error.message}`);
+  }
+}
+
+/**
+ * Filter the email and run the winning rule's actions.
+ * Fills in trace with the matched rules and generation details, and sets
+ * trace.screened once the email got past the ignore lists.
+ */
+async function runPipeline(email, trace, dryRun) {
   try {
     logger.info(`Processing email from ${email.from}: ${email.subject}`);
 
+    // Blocked senders are never answered, analyzed or acted on
+    if (isContactBlocked(email.from)) {
+      logger.debug(`Email skipped - sender is blocked: ${email.from}`);
+      return { status: 'skipped', reason: 'contact_blocked' };
+    }
+
+    // Failed emails wait out their backoff; dead-lettered ones wait for a manual retry
+    const retryBlock = getRetryBlock(email.id);
+    if (retryBlock) {
+      logger.debug(`Email skipped - ${retryBlock}: ${email.subject}`);
+      return { status: 'skipped', reason: retryBlock };
+    }
+
+    // Emails already handled or queued for review are skipped before their
+    // attachments are downloaded or they are analyzed. A retry that got some
+    // actions done is checked once the rule is known, below.
+    if (!hasRetryProgress(email.id)) {
+      if (isInApprovalQueue(email.id)) {
+        logger.debug(`Email skipped - reply already queued for approval: ${email.subject}`);
+        return { status: 'skipped', reason: 'already_queued_for_approval' };
+      }
+      const handledReason = getHandledReason(email.id);
+      if (handledReason) {
+        logger.debug(`Email skipped - ${handledReason}: ${email.subject}`);
+        return { status: 'skipped', reason: handledReason };
+      }
+    }
+
+    // Ignored senders and subjects are skipped before anything is downloaded
+    if (shouldIgnoreEmail(email)) {
+      logger.debug(`Email skipped - sender or subject is ignored: ${email.subject}`);
+      return { status: 'skipped', reason: 'ignored' };
+    }
+    trace.screened = true;
+
+    // Text/CSV/JSON attachment contents are read when rules or the analysis
+    // look at them, else only once an AI reply needs them (below)
+    const analyze = rulesUseAnalysis();
+    const attachmentsRead = analyze || rulesUseAttachments();
+    if (attachmentsRead) {
+      email = await withAttachmentText(email);
+    }
+
+    // Classify the email first when rules route on the AI analysis
+    if (analyze) {
+      email = { ...email, analysis: (await getEmailAnalysis(email)).analysis };
+    }
+
+    // Language conditions and replies use the language the email is written in
+    email = withLanguage(email);
+    trace.language = email.language;
+
     // Check if email matches any filtering rules
     if (!shouldProcessEmail(email)) {
       logger.debug(`Email skipped - does not match any rules: ${email.subject}`);
       return { status: 'skipped', reason: 'no_matching_rules' };
     }
 
-    // Build context from matching rules
-    const context = buildContextFromRules(email);
-    logger.debug(`Generated context: ${context}`);
+    const matchingRules = getMatchingRules(email);
+    const [rule] = matchingRules;
+    const actions = rule.actions || DEFAULT_ACTIONS;
+    trace.ruleIds = matchingRules.map((r) => r.id);
 
-    // Generate personalized response
-    const response = await generatePersonalizedResponse(email, context);
-    if (!response) {
-      logger.warn(`Failed to generate response for ${email.subject}`);
-      return { status: 'failed', reason: 'response_generation_failed' };
-    }
+    // A retry only runs the actions that didn't succeed in earlier attempts
+    const { completed, replySent } = dryRun
+      ? { completed: [], replySent: false }
+      : getRetryProgress(email.id, rule.id, actions);
+    const remaining = actions.filter((_, index) => !completed.includes(index));
+    const replies = hasReplyAction(remaining) && !replySent;
 
-    logger.debug(`Generated response: ${response.substring(0, 100)}...`);
+    // Don't generate a second reply once one has been queued for review
+    if (replies && isInApprovalQueue(email.id)) {
+      logger.debug(`Email skipped - reply already queued for approval: ${email.subject}`);
+      return { status: 'skipped', reason: 'already_queued_for_approval' };
+    }
 
-    // Send reply
-    await sendReply(email.id, response);
-    logger.info(`Reply sent to ${email.from}`);
+    // Never handle a message twice; replies also respect thread/sender limits.
+    // A retry whose earlier attempt got some actions done only checks the rest.
+    let ledgerCheck = { allowed: true };
+    if (replies) {
+      ledgerCheck = checkReplyAllowed(email);
+    } else if (completed.length === 0 && !replySent) {
+      ledgerCheck = { allowed: !hasHandled(email.id), reason: 'already_handled' };
+    }
+    if (!ledgerCheck.allowed) {
+      logger.debug(`Email skipped - ${ledgerCheck.reason}: ${email.subject}`);
+      return { status: 'skipped', reason: ledgerCheck.reason };
+    }
 
-    // Mark as read if configured
-    if (process.env.MARK_AS_READ_AFTER_REPLY === 'true') {
-      await markAsRead(email.id);
-      logger.debug(`Marked ${email.id} as read`);
+    // The AI reads the attachments with the email
+    if (!attachmentsRead && hasAiAction(remaining)) {
+      email = await withAttachmentText(email);
     }
 
-    // Add label for tracking
-    await addLabel(email.id, 'AutoReplied');
-    logger.debug(`Added AutoReplied label to ${email.id}`);
+    // Build context from matching rules
+    const context = buildContextFromRules(email);
+    logger.debug(`Generated context: ${context}`);
+
+    const actionResults = await runActions(actions, { email, rule, context, trace, dryRun, completed, replySent });
+    const summary = summarizeActions(actionResults);
+
+    // Reply actions record themselves in the ledger; record the rest here
+    if (!dryRun && !hasReplyAction(actions) && summary.status === 'success') {
+      recordReply(email, 'actions');
+    }
 
     return {
-      status: 'success',
+      ...summary,
       from: email.from,
       subject: email.subject,
-      responseLength: response.length,
+      ruleId: rule.id,
+      context,
+      ...(email.analysis && { analysis: email.analysis }),
+      language: email.language,
+      actions: actionResults,
     };
   } catch (error) {
     logger.error(`Error processing email from ${email.from}: ${error.message}`);
@@ -56,53 +290,119 @@ export async function processEmail(email) {
 }
 
 /**
- * Process batch of emails
+ * Process batch of emails. In dry-run mode the per-email reports are
+ * returned under `emails`. Throws a 409 error if another run is in
+ * progress (dry runs, which send nothing, can always run).
+ */
+export async function processBatch(emails, options = {}) {
+  return isDryRun(options) ? runBatch(emails, options) : runExclusively(() => runBatch(emails, options));
+}
+
+/**
+ * Process each email of a batch and summarize the outcomes
  */
-export async function processBatch(emails) {
+async function runBatch(emails, options) {
+  const startedAt = Date.now();
+  const dryRun = isDryRun(options);
   const results = {
     total: emails.length,
     processed: 0,
     skipped: 0,
+    pending_approval: 0,
     failed: 0,
   };
+  const reports = [];
 
   for (const email of emails) {
-    const result = await processEmail(email);
+    const result = await processEmail(email, { dryRun });
+    if (dryRun) {
+      reports.push({ id: email.id, ...result });
+    }
 
     if (result.status === 'success') {
       results.processed++;
     } else if (result.status === 'skipped') {
       results.skipped++;
+    } else if (result.status === 'pending_approval') {
+      results.pending_approval++;
     } else {
       results.failed++;
     }
+  }
 
-    // Small delay between processing emails to avoid rate limits
-    await new Promise((resolve) => setTimeout(resolve, 500));
+  if (dryRun) {
+    logger.info(`Dry run complete: ${JSON.stringify(results)}`);
+    return { ...results, dryRun: true, emails: reports };
   }
 
   logger.info(`Batch processing complete: ${JSON.stringify(results)}`);
+  recordBatchRun(results, startedAt);
   return results;
 }
 
 /**
- * Main processing loop - fetch and process unread emails
+ * Fetch emails whose retry is due, leaving out any already in the unread batch.
+ * A fetch failure counts as another failed attempt.
  */
-export async function processUnreadEmails(maxEmails = 10) {
-  try {
-    logger.info(`Starting email processing cycle...`);
-
-    const emails = await getUnreadEmails(maxEmails);
+async function loadDueRetries(unreadEmails) {
+  const unreadIds = new Set(unreadEmails.map((email) => email.id));
+  const emails = [];
 
-    if (emails.length === 0) {
-      logger.info('No unread emails to process');
-      return { total: 0, processed: 0, skipped: 0, failed: 0 };
+  for (const item of getDueRetries()) {
+    if (unreadIds.has(item.messageId)) continue;
+    try {
+      emails.push(await getEmailDetails(item.messageId));
+    } catch (error) {
+      logger.error(`Could not fetch email ${item.messageId} for retry: ${error.message}`);
+      recordFailure({ id: item.messageId }, error.message);
     }
+  }
+
+  return emails;
+}
+
+/**
+ * Retry a failed or dead-lettered email now, with a fresh attempt budget.
+ * Throws a 409 error if another run is in progress.
+ */
+export async function retryFailedEmail(messageId) {
+  return runExclusively(async () => {
+    resetForRetry(messageId);
+    const email = await getEmailDetails(messageId);
+    return processEmail(email, { dryRun: false });
+  });
+}
+
+/**
+ * Fetch the unread emails and those due for retry, and process them
+ */
+async function runCycle(maxEmails, options) {
+  const emails = await getUnreadEmails(maxEmails);
+  const retries = isDryRun(options) ? [] : await loadDueRetries(emails);
+
+  if (emails.length === 0 && retries.length === 0) {
+    logger.info('No unread emails to process');
+    return { total: 0, processed: 0, skipped: 0, pending_approval: 0, failed: 0 };
+  }
+
+  logger.info(`Found ${emails.length} unread email(s) and ${retries.length} due for retry`);
+  emails.push(...retries);
 
-    logger.info(`Found ${emails.length} unread email(s)`);
+  return runBatch(emails, options);
+}
+
+/**
+ * Main processing loop - fetch and process unread emails and the failed
+ * ones due for retry (maxEmails defaults to emailBatchSize in settings.json).
+ * Throws a 409 error if another run is in progress, except in dry-run mode.
+ */
+export async function processUnreadEmails(maxEmails, options = {}) {
+  try {
+    logger.info(`Starting email processing cycle...`);
 
-    const results = await processBatch(emails);
-    return results;
+    return await (isDryRun(options)
+      ? runCycle(maxEmails, options)
+      : runExclusively(() => runCycle(maxEmails, options)));
   } catch (error) {
     logger.error(`Error in processing cycle: ${error.message}`);
     throw error;
@@ -0,0 +1,154 @@
+import { appendJsonLine, readJsonLines } from '../utils/dataStore.js';
+import { logger } from '../utils/logger.js';
+
+const HISTORY_FILE = 'processing_history.jsonl';
+
+/**
+ * Check if the last outcome recorded for a message was this same skip
+ */
+function isRepeatSkip(messageId, result) {
+  const last = readJsonLines(HISTORY_FILE).findLast(
+    (entry) => entry.type === 'email' && entry.messageId === messageId
+  );
+  return last?.status === 'skipped' && last.reason === (result.reason || null);
+}
+
+/**
+ * Append one processEmail outcome to the history log. An email skipped for
+ * the same reason as last time (e.g. unread mail no rule matches, seen on
+ * every cycle) is recorded once; returns false for such a repeat.
+ */
+export function recordEmailOutcome(
+  email,
+  result,
+  {
+    ruleIds = [],
+    llmProvider = null,
+    model = null,
+    promptTemplate = null,
+    promptVersion = null,
+    knowledgeSources = [],
+    threadMessages = [],
+    language = null,
+    replyLanguage = null,
+    startedAt,
+    generationMs = null,
+  }
+) {
+  try {
+    if (result.status === 'skipped' && isRepeatSkip(email.id, result)) {
+      return false;
+    }
+
+    appendJsonLine(HISTORY_FILE, {
+      type: 'email',
+      messageId: email.id,
+      from: email.from,
+      subject: email.subject,
+      ruleIds,
+      status: result.status,
+      reason: result.reason || null,
+      responseLength: result.responseLength || null,
+      llmProvider,
+      model,
+      promptTemplate,
+      promptVersion,
+      knowledgeSources,
+      threadMessages,
+      language,
+      replyLanguage,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      generationMs,
+    });
+  } catch (error) {
+    // History is best-effort: never fail email processing because of it
+    logger.error(`Failed to record processing history: ${error.message}`);
+  }
+  return true;
+}
+
+/**
+ * Append a batch run summary to the history log
+ */
+export function recordBatchRun(results, startedAt) {
+  try {
+    appendJsonLine(HISTORY_FILE, {
+      type: 'run',
+      ...results,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+    });
+  } catch (error) {
+    logger.error(`Failed to record batch run: ${error.message}`);
+  }
+}
+
+/**
+ * Read history entries, optionally limited to the last N days
+ */
+export function getHistory({ type, days } = {}) {
+  const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+
+  return readJsonLines(HISTORY_FILE).filter(
+    (entry) => (!type || entry.type === type) && Date.parse(entry.startedAt) >= since
+  );
+}
+
+/**
+ * Increment a status counter inside a breakdown bucket
+ */
+function countStatus(buckets, key, status) {
+  if (!buckets[key]) {
+    buckets[key] = { total: 0 };
+  }
+  buckets[key].total += 1;
+  buckets[key][status] = (buckets[key][status] || 0) + 1;
+}
+
+/**
+ * Compute processing statistics from the history log
+ */
+export function getStatistics({ days } = {}) {
+  const emails = getHistory({ type: 'email', days });
+  const runs = getHistory({ type: 'run', days });
+  const today = new Date().toISOString().slice(0, 10);
+
+  const byStatus = {};
+  const byDay = {};
+  const byRule = {};
+  let replyLengthTotal = 0;
+  let replyCount = 0;
+  let durationTotal = 0;
+
+  for (const entry of emails) {
+    byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+    countStatus(byDay, entry.startedAt.slice(0, 10), entry.status);
+    for (const ruleId of entry.ruleIds || []) {
+      countStatus(byRule, ruleId, entry.status);
+    }
+
+    if (entry.responseLength) {
+      replyLengthTotal += entry.responseLength;
+      replyCount += 1;
+    }
+    durationTotal += entry.durationMs || 0;
+  }
+
+  const lastRun = runs.length > 0 ? runs[runs.length - 1] : null;
+
+  return {
+    total_processed: byStatus.success || 0,
+    total_skipped: byStatus.skipped || 0,
+    total_pending_approval: byStatus.pending_approval || 0,
+    total_failed: (byStatus.failed || 0) + (byStatus.error || 0),
+    total_emails: emails.length,
+    last_run: lastRun ? lastRun.startedAt : null,
+    runs_today: runs.filter((run) => run.startedAt.startsWith(today)).length,
+    average_reply_length: replyCount ? Math.round(replyLengthTotal / replyCount) : 0,
+    average_duration_ms: emails.length ? Math.round(durationTotal / emails.length) : 0,
+    by_status: byStatus,
+    by_day: byDay,
+    by_rule: byRule,
+  };
+}
@@ -0,0 +1,117 @@
+import { readJsonFile, writeJsonFile } from '../utils/dataStore.js';
+import { recordContactReply } from '../contacts/contactStore.js';
+
+const LEDGER_FILE = 'reply_ledger.json';
+
+/**
+ * Load the reply ledger from disk
+ */
+function loadLedger() {
+  return readJsonFile(LEDGER_FILE, { replies: [] });
+}
+
+/**
+ * Extract the bare, lower-cased address from a "From" header
+ */
+function extractAddress(fromField = '') {
+  const match = fromField.match(/<(.+?)>/);
+  return (match ? match[1] : fromField).trim().toLowerCase();
+}
+
+/**
+ * Read a numeric limit from the environment
+ */
+function getLimit(name, defaultValue) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Current reply limits: max automated replies per thread and cooldowns in minutes
+ */
+export function getReplyLimits() {
+  return {
+    maxRepliesPerThread: getLimit('MAX_REPLIES_PER_THREAD', 3),
+    threadCooldownMinutes: getLimit('THREAD_COOLDOWN_MINUTES', 60),
+    senderCooldownMinutes: getLimit('SENDER_COOLDOWN_MINUTES', 0),
+  };
+}
+
+/**
+ * Record that an email has been handled.
+ * source is "auto" for automated replies, "manual" for send_reply calls and
+ * "actions" for rules whose actions don't reply.
+ */
+export function recordReply(email, source = 'auto') {
+  const ledger = loadLedger();
+
+  ledger.replies.push({
+    messageId: email.id,
+    threadId: email.threadId || null,
+    sender: extractAddress(email.from),
+    source,
+    sentAt: new Date().toISOString(),
+  });
+
+  writeJsonFile(LEDGER_FILE, ledger);
+
+  if (source !== 'actions') {
+    recordContactReply(email.from);
+  }
+}
+
+/**
+ * Check if the ledger already has an entry for a message
+ */
+export function hasHandled(messageId) {
+  return loadLedger().replies.some((reply) => reply.messageId === messageId);
+}
+
+/**
+ * Why a message must not be handled again: "already_replied" after a reply,
+ * "already_handled" after a rule's other actions. Null if it wasn't handled.
+ */
+export function getHandledReason(messageId) {
+  const entry = loadLedger().replies.find((reply) => reply.messageId === messageId);
+  if (!entry) {
+    return null;
+  }
+  return entry.source === 'actions' ? 'already_handled' : 'already_replied';
+}
+
+/**
+ * Check the ledger before replying to an email.
+ * Returns { allowed: true } or { allowed: false, reason }.
+ */
+export function checkReplyAllowed(email) {
+  const { replies } = loadLedger();
+  const limits = getReplyLimits();
+  const now = Date.now();
+
+  if (replies.some((reply) => reply.messageId === email.id)) {
+    return { allowed: false, reason: 'already_replied' };
+  }
+
+  const automated = replies.filter((reply) => reply.source === 'auto');
+  const minutesSince = (reply) => (now - Date.parse(reply.sentAt)) / 60000;
+
+  if (email.threadId) {
+    const threadReplies = automated.filter((reply) => reply.threadId === email.threadId);
+
+    if (limits.maxRepliesPerThread > 0 && threadReplies.length >= limits.maxRepliesPerThread) {
+      return { allowed: false, reason: 'thread_reply_limit_reached' };
+    }
+    if (threadReplies.some((reply) => minutesSince(reply) < limits.threadCooldownMinutes)) {
+      return { allowed: false, reason: 'thread_cooldown' };
+    }
+  }
+
+  const sender = extractAddress(email.from);
+  const senderReplies = automated.filter((reply) => reply.sender === sender);
+  if (senderReplies.some((reply) => minutesSince(reply) < limits.senderCooldownMinutes)) {
+    return { allowed: false, reason: 'sender_cooldown' };
+  }
+
+  return { allowed: true };
+}
+
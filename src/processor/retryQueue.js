@@ -0,0 +1,215 @@
+import { readJsonFile, writeJsonFile } from '../utils/dataStore.js';
+import { getSettings } from '../config/settings.js';
+import { logger } from '../utils/logger.js';
+
+const RETRY_FILE = 'retry_queue.json';
+
+/**
+ * Load the retry queue from disk
+ */
+function loadQueue() {
+  return readJsonFile(RETRY_FILE, { items: [] });
+}
+
+/**
+ * Persist the retry queue to disk
+ */
+function saveQueue(queue) {
+  writeJsonFile(RETRY_FILE, queue);
+}
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function retryError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Find an item by message id, throwing a 404 error if it is missing
+ */
+function findItem(queue, messageId) {
+  const item = queue.items.find((i) => i.messageId === messageId);
+  if (!item) {
+    throw retryError(`No failed email with message id "${messageId}"`, 404);
+  }
+  return item;
+}
+
+/**
+ * Current retry policy from settings.json
+ */
+export function getRetryPolicy() {
+  const { maxProcessingAttempts, retryBackoffMinutes } = getSettings();
+  return { maxAttempts: maxProcessingAttempts, backoffMinutes: retryBackoffMinutes };
+}
+
+/**
+ * Record a failed processing attempt. The email is retried after
+ * backoffMinutes * 2^(attempts - 1) minutes, and moves to the dead-letter
+ * list once maxAttempts is reached. progress ({ ruleId, completedActions,
+ * replySent }) remembers what the rule's actions got done, so retries
+ * don't do it again.
+ */
+export function recordFailure(email, error, progress) {
+  const { maxAttempts, backoffMinutes } = getRetryPolicy();
+  const queue = loadQueue();
+  const now = new Date();
+
+  let item = queue.items.find((i) => i.messageId === email.id);
+  if (!item) {
+    item = {
+      messageId: email.id,
+      threadId: email.threadId || null,
+      from: email.from,
+      subject: email.subject,
+      attempts: 0,
+      errors: [],
+      createdAt: now.toISOString(),
+    };
+    queue.items.push(item);
+  }
+
+  item.attempts++;
+  item.errors.push({ attempt: item.attempts, error, at: now.toISOString() });
+  item.updatedAt = now.toISOString();
+  if (progress) {
+    item.ruleId = progress.ruleId;
+    item.completedActions = progress.completedActions;
+    item.replySent = progress.replySent;
+  }
+
+  if (item.attempts >= maxAttempts) {
+    item.status = 'dead';
+    item.nextAttemptAt = null;
+    logger.warn(`Email from ${item.from} moved to the dead-letter list after ${item.attempts} attempts: ${error}`);
+  } else {
+    const delayMinutes = backoffMinutes * 2 ** (item.attempts - 1);
+    item.status = 'retrying';
+    item.nextAttemptAt = new Date(now.getTime() + delayMinutes * 60000).toISOString();
+    logger.info(`Email from ${item.from} will be retried in ${delayMinutes} minute(s) (attempt ${item.attempts})`);
+  }
+
+  saveQueue(queue);
+  return item;
+}
+
+/**
+ * Remove an email from the retry queue after it was handled successfully
+ */
+export function clearFailure(messageId) {
+  const queue = loadQueue();
+  const remaining = queue.items.filter((i) => i.messageId !== messageId || i.status !== 'retrying');
+
+  if (remaining.length !== queue.items.length) {
+    saveQueue({ items: remaining });
+    logger.info(`Email ${messageId} succeeded on retry`);
+  }
+}
+
+/**
+ * Reason an email must not be processed right now, or null if it may be:
+ * "retry_scheduled" while waiting out its backoff, "dead_lettered" or
+ * "discarded" once it has given up
+ */
+export function getRetryBlock(messageId) {
+  const item = loadQueue().items.find((i) => i.messageId === messageId);
+  if (!item) {
+    return null;
+  }
+  if (item.status === 'dead') {
+    return 'dead_lettered';
+  }
+  if (item.status === 'discarded') {
+    return 'discarded';
+  }
+  return Date.parse(item.nextAttemptAt) > Date.now() ? 'retry_scheduled' : null;
+}
+
+/**
+ * What earlier attempts at processing an email with this rule got done:
+ * the indexes of the actions that succeeded (actions whose type has changed
+ * since don't count) and whether the reply was sent
+ */
+export function getRetryProgress(messageId, ruleId, actions) {
+  const item = loadQueue().items.find((i) => i.messageId === messageId);
+  if (!item || item.ruleId !== ruleId) {
+    return { completed: [], replySent: false };
+  }
+  return {
+    completed: (item.completedActions || [])
+      .filter(({ index, type }) => actions[index]?.type === type)
+      .map(({ index }) => index),
+    replySent: Boolean(item.replySent),
+  };
+}
+
+/**
+ * Check if earlier attempts at processing an email got some of its actions
+ * done (see getRetryProgress)
+ */
+export function hasRetryProgress(messageId) {
+  const item = loadQueue().items.find((i) => i.messageId === messageId);
+  return Boolean(item && (item.completedActions?.length || item.replySent));
+}
+
+/**
+ * Items whose backoff has elapsed and are due for another attempt
+ */
+export function getDueRetries() {
+  const now = Date.now();
+  return loadQueue().items.filter((i) => i.status === 'retrying' && Date.parse(i.nextAttemptAt) <= now);
+}
+
+/**
+ * List the retry queue, optionally filtered by status
+ * ("retrying", "dead", "discarded" or "all")
+ */
+export function listRetryQueue(status = 'all') {
+  const { items } = loadQueue();
+  if (status === 'all') {
+    return items;
+  }
+  return items.filter((item) => item.status === status);
+}
+
+/**
+ * Make a failed email due immediately with a fresh attempt budget.
+ * Its error history is kept.
+ */
+export function resetForRetry(messageId) {
+  const queue = loadQueue();
+  const item = findItem(queue, messageId);
+
+  item.status = 'retrying';
+  item.attempts = 0;
+  item.nextAttemptAt = new Date().toISOString();
+  item.updatedAt = new Date().toISOString();
+  saveQueue(queue);
+
+  logger.info(`Email ${messageId} queued for a manual retry`);
+  return item;
+}
+
+/**
+ * Give up on a failed email. It stays in the list so it is never
+ * processed again.
+ */
+export function discardFailure(messageId) {
+  const queue = loadQueue();
+  const item = findItem(queue, messageId);
+
+  if (item.status === 'discarded') {
+    throw retryError(`Email "${messageId}" is already discarded`, 409);
+  }
+
+  item.status = 'discarded';
+  item.nextAttemptAt = null;
+  item.updatedAt = new Date().toISOString();
+  saveQueue(queue);
+
+  logger.info(`Failed email ${messageId} discarded`);
+  return item;
+}
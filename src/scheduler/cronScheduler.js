@@ -1,40 +1,53 @@
 import cron from 'node-cron';
-import { processUnreadEmails } from '../processor/emailProcessor.js';
+import { processUnreadEmails, isProcessing } from '../processor/emailProcessor.js';
+import { onConfigChange } from '../config/configManager.js';
 import { logger } from '../utils/logger.js';
 
 let scheduledTask = null;
 let currentIntervalMinutes = 5;
 
 /**
- * Start the email processing scheduler
+ * Schedule the processing cycle every N minutes
  */
-export function startScheduler(intervalMinutes = 5) {
-  try {
-    currentIntervalMinutes = intervalMinutes;
-    // Convert minutes to cron format (every N minutes)
-    const cronExpression = `*/${intervalMinutes} * * * *`;
+function scheduleCycle(intervalMinutes) {
+  currentIntervalMinutes = intervalMinutes;
+  // Convert minutes to cron format (every N minutes)
+  const cronExpression = `*/${intervalMinutes} * * * *`;
 
-    logger.info(`Starting scheduler with interval: ${intervalMinutes} minute(s)`);
-    logger.info(`Cron expression: ${cronExpression}`);
+  logger.info(`Starting scheduler with interval: ${intervalMinutes} minute(s)`);
+  logger.info(`Cron expression: ${cronExpression}`);
 
-    scheduledTask = cron.schedule(cronExpression, async () => {
-      logger.info('--- Email processing cycle started ---');
+  return cron.schedule(cronExpression, async () => {
+    if (isProcessing()) {
+      logger.warn('Previous email processing cycle is still running - skipping this one');
+      return;
+    }
 
-      try {
-        const results = await processUnreadEmails(10);
-        logger.info(
-          `Email cycle completed - Processed: ${results.processed}, Skipped: ${results.skipped}, Failed: ${results.failed}`
-        );
-      } catch (error) {
-        logger.error(`Email processing cycle failed: ${error.message}`);
-      }
+    logger.info('--- Email processing cycle started ---');
 
-      logger.info('--- Email processing cycle ended ---');
-    });
+    try {
+      const results = await processUnreadEmails();
+      logger.info(
+        `Email cycle completed - Processed: ${results.processed}, Skipped: ${results.skipped}, Failed: ${results.failed}`
+      );
+    } catch (error) {
+      logger.error(`Email processing cycle failed: ${error.message}`);
+    }
+
+    logger.info('--- Email processing cycle ended ---');
+  });
+}
+
+/**
+ * Start the email processing scheduler
+ */
+export function startScheduler(intervalMinutes = 5) {
+  try {
+    scheduledTask = scheduleCycle(intervalMinutes);
 
     // Run immediately on startup
     logger.info('Running initial email processing...');
-    processUnreadEmails(10)
+    processUnreadEmails()
       .then((results) => {
         logger.info(
           `Initial processing completed - Processed: ${results.processed}, Skipped: ${results.skipped}, Failed: ${results.failed}`
@@ -51,6 +64,25 @@ export function startScheduler(intervalMinutes = 5) {
   }
 }
 
+/**
+ * Reschedule a running scheduler with a new interval (no immediate run)
+ */
+export function rescheduleScheduler(intervalMinutes) {
+  if (!scheduledTask || intervalMinutes === currentIntervalMinutes) {
+    return;
+  }
+
+  scheduledTask.stop();
+  scheduledTask = scheduleCycle(intervalMinutes);
+}
+
+// PROCESSING_INTERVAL_MINUTES pins the interval; otherwise follow settings.json
+onConfigChange('settings', (settings) => {
+  if (!process.env.PROCESSING_INTERVAL_MINUTES) {
+    rescheduleScheduler(settings.processingInterval);
+  }
+});
+
 /**
  * Stop the scheduler
  */
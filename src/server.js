@@ -3,24 +3,52 @@ import { randomUUID } from 'crypto';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { logger } from './utils/logger.js';
 import { getMCPServer, createFreshMCPServer } from './mcp/handler.js';
-import { getUnreadEmails, getEmailDetails, sendReply, markAsRead, addLabel } from './gmail/emailService.js';
-import { processBatch } from './processor/emailProcessor.js';
+import {
+  getUnreadEmails,
+  getEmailDetails,
+  sendReply,
+  markAsRead,
+  addLabel,
+} from './mail/mailProvider.js';
+import { replyOptionsFromParams } from './mail/replyMessage.js';
+import { listAttachments, getAttachment } from './mail/attachments.js';
+import { processUnreadEmails, retryFailedEmail } from './processor/emailProcessor.js';
+import { listRetryQueue, discardFailure } from './processor/retryQueue.js';
+import { recordReply } from './processor/replyLedger.js';
+import { testRules } from './filters/ruleTester.js';
+import { analyzeMessage } from './ai/emailAnalysis.js';
+import { getMessageConversation } from './mail/conversation.js';
+import { listTemplates, getTemplate, saveTemplate, deleteTemplate } from './ai/promptTemplates.js';
+import { previewReplyPrompt } from './ai/responseGenerator.js';
+import { addKnowledgeDocument, listKnowledgeDocuments, searchKnowledge } from './knowledge/knowledgeBase.js';
+import { listContacts, getContact, updateContact, deleteContact } from './contacts/contactStore.js';
+import {
+  listRules,
+  createRule,
+  updateRule,
+  setRuleEnabled,
+  deleteRule,
+  addIgnoreEntry,
+  removeIgnoreEntry,
+  ruleFieldsFromParams,
+} from './filters/ruleStore.js';
+import { getStatistics } from './processor/processingHistory.js';
+import {
+  listPendingReplies,
+  editPendingReply,
+  approvePendingReply,
+  rejectPendingReply,
+} from './processor/approvalQueue.js';
 import { getSchedulerStatus } from './scheduler/cronScheduler.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const rulesPath = path.resolve(__dirname, '../config/rules.json');
-const settingsPath = path.resolve(__dirname, '../config/settings.json');
+import { getConfig, readConfigFile } from './config/configManager.js';
+import { updateSettings } from './config/settings.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+// Large enough for base64-encoded reply attachments
+app.use(express.json({ limit: '25mb' }));
 
 // ============================================
 // MCP Protocol Endpoints (Streamable HTTP)
@@ -144,6 +172,26 @@ app.get('/mcp/info', (req, res) => {
         description: 'Get full details of a specific email',
         route: 'POST /api/tools/get_email',
       },
+      {
+        name: 'list_attachments',
+        description: 'List the attachments of an email',
+        route: 'POST /api/tools/list_attachments',
+      },
+      {
+        name: 'get_attachment',
+        description: 'Download an attachment, with extracted text for text, CSV and JSON files',
+        route: 'POST /api/tools/get_attachment',
+      },
+      {
+        name: 'get_thread',
+        description: 'Get the earlier messages of the conversation an email belongs to, within a token budget',
+        route: 'POST /api/tools/get_thread',
+      },
+      {
+        name: 'analyze_email',
+        description: 'Classify an email (category, sentiment, urgency, language, intent, entities); cached per message',
+        route: 'POST /api/tools/analyze_email',
+      },
       {
         name: 'send_reply',
         description: 'Send a reply to an email',
@@ -161,9 +209,19 @@ app.get('/mcp/info', (req, res) => {
       },
       {
         name: 'process_emails_now',
-        description: 'Trigger immediate batch processing of unread emails',
+        description: 'Trigger immediate batch processing of unread emails and failed emails due for retry',
         route: 'POST /api/tools/process_emails_now',
       },
+      {
+        name: 'list_rules',
+        description: 'List all email processing rules, the match strategy and the ignore lists',
+        route: 'GET /api/tools/list_rules',
+      },
+      {
+        name: 'create_rule',
+        description: 'Create a new email processing rule',
+        route: 'POST /api/tools/create_rule',
+      },
       {
         name: 'toggle_rule',
         description: 'Enable or disable an email processing rule',
@@ -171,9 +229,129 @@ app.get('/mcp/info', (req, res) => {
       },
       {
         name: 'update_rule',
-        description: "Update a rule's keywords or context",
+        description: "Update a rule's name, ID, conditions, context or other settings",
         route: 'POST /api/tools/update_rule',
       },
+      {
+        name: 'delete_rule',
+        description: 'Delete an email processing rule',
+        route: 'POST /api/tools/delete_rule',
+      },
+      {
+        name: 'add_ignore_entry',
+        description: 'Add a sender or subject phrase to the ignore lists',
+        route: 'POST /api/tools/add_ignore_entry',
+      },
+      {
+        name: 'remove_ignore_entry',
+        description: 'Remove a sender or subject phrase from the ignore lists',
+        route: 'POST /api/tools/remove_ignore_entry',
+      },
+      {
+        name: 'test_rules',
+        description: 'Evaluate the processing rules against a supplied email or a message ID',
+        route: 'POST /api/tools/test_rules',
+      },
+      {
+        name: 'update_settings',
+        description: 'Change values in settings.json without a restart',
+        route: 'POST /api/tools/update_settings',
+      },
+      {
+        name: 'list_prompt_templates',
+        description: 'List the prompt templates with their latest versions and the rules using them',
+        route: 'GET /api/tools/list_prompt_templates',
+      },
+      {
+        name: 'get_prompt_template',
+        description: 'Get one version of a prompt template and its version list',
+        route: 'POST /api/tools/get_prompt_template',
+      },
+      {
+        name: 'save_prompt_template',
+        description: 'Create a prompt template or save a new version of one',
+        route: 'POST /api/tools/save_prompt_template',
+      },
+      {
+        name: 'delete_prompt_template',
+        description: 'Delete a prompt template and all its versions',
+        route: 'POST /api/tools/delete_prompt_template',
+      },
+      {
+        name: 'preview_prompt',
+        description: 'Render the prompt a reply would be generated from, without calling the LLM',
+        route: 'POST /api/tools/preview_prompt',
+      },
+      {
+        name: 'add_knowledge_document',
+        description: 'Add a markdown document to the knowledge base, replacing a document of the same name',
+        route: 'POST /api/tools/add_knowledge_document',
+      },
+      {
+        name: 'list_knowledge_documents',
+        description: 'List the knowledge base collections and their documents',
+        route: 'GET /api/tools/list_knowledge_documents',
+      },
+      {
+        name: 'search_knowledge',
+        description: 'Search the knowledge base the way replies do and return the best passages',
+        route: 'POST /api/tools/search_knowledge',
+      },
+      {
+        name: 'list_contacts',
+        description: 'List contact profiles, most recently seen first',
+        route: 'GET /api/tools/list_contacts',
+      },
+      {
+        name: 'get_contact',
+        description: 'Get the profile of a sender',
+        route: 'POST /api/tools/get_contact',
+      },
+      {
+        name: 'update_contact',
+        description: 'Edit a contact profile (name, company, language, VIP/blocked flags, notes)',
+        route: 'POST /api/tools/update_contact',
+      },
+      {
+        name: 'delete_contact',
+        description: 'Forget everything stored about a contact',
+        route: 'POST /api/tools/delete_contact',
+      },
+      {
+        name: 'list_pending_replies',
+        description: 'List generated replies waiting for human approval',
+        route: 'GET /api/tools/list_pending_replies',
+      },
+      {
+        name: 'edit_pending_reply',
+        description: 'Edit the text of a reply waiting for approval',
+        route: 'POST /api/tools/edit_pending_reply',
+      },
+      {
+        name: 'approve_pending_reply',
+        description: 'Approve a pending reply and send it',
+        route: 'POST /api/tools/approve_pending_reply',
+      },
+      {
+        name: 'reject_pending_reply',
+        description: 'Reject a pending reply and discard its draft',
+        route: 'POST /api/tools/reject_pending_reply',
+      },
+      {
+        name: 'list_failed_emails',
+        description: 'List emails waiting to be retried and the dead-letter list',
+        route: 'GET /api/tools/list_failed_emails',
+      },
+      {
+        name: 'retry_failed_email',
+        description: 'Process a failed or dead-lettered email again now',
+        route: 'POST /api/tools/retry_failed_email',
+      },
+      {
+        name: 'discard_failed_email',
+        description: 'Give up on a failed email so it is never processed again',
+        route: 'POST /api/tools/discard_failed_email',
+      },
       {
         name: 'get_system_status',
         description: 'Get the current system and scheduler status',
@@ -181,7 +359,7 @@ app.get('/mcp/info', (req, res) => {
       },
       {
         name: 'get_statistics',
-        description: 'Get email processing statistics',
+        description: 'Get email processing statistics with per-day, per-rule and per-status breakdowns',
         route: 'GET /api/tools/get_statistics',
       },
     ],
@@ -261,15 +439,10 @@ app.get('/api/tools/get_system_status', async (req, res) => {
 // GET /api/tools/get_statistics
 app.get('/api/tools/get_statistics', async (req, res) => {
   try {
+    const days = req.query.days ? parseInt(req.query.days, 10) : undefined;
     res.json({
       success: true,
-      data: {
-        total_processed: 0,
-        total_skipped: 0,
-        total_failed: 0,
-        last_run: null,
-        runs_today: 0,
-      },
+      data: getStatistics({ days }),
     });
   } catch (error) {
     logger.error(`Error in get_statistics: ${error.message}`);
@@ -280,7 +453,7 @@ app.get('/api/tools/get_statistics', async (req, res) => {
 // POST /api/tools/get_unread_emails
 app.post('/api/tools/get_unread_emails', async (req, res) => {
   try {
-    const { max_results = 10 } = req.body;
+    const { max_results } = req.body;
     const emails = await getUnreadEmails(max_results);
     res.json({
       success: true,
@@ -318,6 +491,81 @@ app.post('/api/tools/get_email', async (req, res) => {
   }
 });
 
+// POST /api/tools/list_attachments
+app.post('/api/tools/list_attachments', async (req, res) => {
+  try {
+    const { message_id } = req.body;
+    if (!message_id) {
+      return res.status(400).json({ success: false, error: 'message_id is required' });
+    }
+    const attachments = await listAttachments(message_id);
+    res.json({
+      success: true,
+      data: { count: attachments.length, attachments },
+    });
+  } catch (error) {
+    logger.error(`Error in list_attachments: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/get_attachment
+app.post('/api/tools/get_attachment', async (req, res) => {
+  try {
+    const { message_id, part_id, include_content = true } = req.body;
+    if (!message_id || !part_id) {
+      return res.status(400).json({ success: false, error: 'message_id and part_id are required' });
+    }
+    const attachment = await getAttachment(message_id, part_id, { includeContent: include_content !== false });
+    res.json({
+      success: true,
+      data: attachment,
+    });
+  } catch (error) {
+    logger.error(`Error in get_attachment: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/get_thread
+app.post('/api/tools/get_thread', async (req, res) => {
+  try {
+    const { message_id, token_budget } = req.body;
+    if (!message_id) {
+      return res.status(400).json({ success: false, error: 'message_id is required' });
+    }
+    if (token_budget !== undefined && !(Number.isInteger(token_budget) && token_budget >= 0)) {
+      return res.status(400).json({ success: false, error: 'token_budget must be a non-negative integer' });
+    }
+    const conversation = await getMessageConversation(message_id, { tokenBudget: token_budget });
+    res.json({
+      success: true,
+      data: conversation,
+    });
+  } catch (error) {
+    logger.error(`Error in get_thread: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/analyze_email
+app.post('/api/tools/analyze_email', async (req, res) => {
+  try {
+    const { message_id, refresh } = req.body;
+    if (!message_id) {
+      return res.status(400).json({ success: false, error: 'message_id is required' });
+    }
+    const result = await analyzeMessage(message_id, { refresh: Boolean(refresh) });
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error in analyze_email: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // POST /api/tools/send_reply
 app.post('/api/tools/send_reply', async (req, res) => {
   try {
@@ -325,7 +573,8 @@ app.post('/api/tools/send_reply', async (req, res) => {
     if (!message_id || !reply_text) {
       return res.status(400).json({ success: false, error: 'message_id and reply_text are required' });
     }
-    await sendReply(message_id, reply_text);
+    await sendReply(message_id, reply_text, replyOptionsFromParams(req.body));
+    recordReply(await getEmailDetails(message_id), 'manual');
     res.json({
       success: true,
       data: { message: 'Reply sent successfully' },
@@ -375,22 +624,55 @@ app.post('/api/tools/add_label', async (req, res) => {
 // POST /api/tools/process_emails_now
 app.post('/api/tools/process_emails_now', async (req, res) => {
   try {
-    const emails = await getUnreadEmails();
-    if (emails.length === 0) {
+    const dryRunParam = req.body.dry_run ?? req.query.dry_run;
+    const dryRun = dryRunParam === undefined ? undefined : dryRunParam === true || dryRunParam === 'true';
+    const results = await processUnreadEmails(undefined, { dryRun });
+    if (results.total === 0) {
       return res.json({
         success: true,
         data: { message: 'No unread emails to process' },
       });
     }
 
-    const results = await processBatch(emails);
     res.json({
       success: true,
       data: results,
     });
   } catch (error) {
     logger.error(`Error in process_emails_now: ${error.message}`);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/tools/list_rules
+app.get('/api/tools/list_rules', async (req, res) => {
+  try {
+    const rules = listRules();
+    res.json({
+      success: true,
+      data: rules,
+    });
+  } catch (error) {
+    logger.error(`Error in list_rules: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/create_rule
+app.post('/api/tools/create_rule', async (req, res) => {
+  try {
+    const { rule_id, name } = req.body;
+    if (!rule_id || !name) {
+      return res.status(400).json({ success: false, error: 'rule_id and name are required' });
+    }
+    const rule = createRule({ ...ruleFieldsFromParams(req.body), id: rule_id });
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    logger.error(`Error in create_rule: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -401,64 +683,436 @@ app.post('/api/tools/toggle_rule', async (req, res) => {
     if (!rule_id || enabled === undefined) {
       return res.status(400).json({ success: false, error: 'rule_id and enabled are required' });
     }
+    setRuleEnabled(rule_id, enabled);
+    res.json({
+      success: true,
+      data: { message: `Rule "${rule_id}" is now ${enabled ? 'enabled' : 'disabled'}` },
+    });
+  } catch (error) {
+    logger.error(`Error in toggle_rule: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/update_rule
+app.post('/api/tools/update_rule', async (req, res) => {
+  try {
+    const { rule_id } = req.body;
+    if (!rule_id) {
+      return res.status(400).json({ success: false, error: 'rule_id is required' });
+    }
+    const rule = updateRule(rule_id, ruleFieldsFromParams(req.body));
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    logger.error(`Error in update_rule: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/delete_rule
+app.post('/api/tools/delete_rule', async (req, res) => {
+  try {
+    const { rule_id } = req.body;
+    if (!rule_id) {
+      return res.status(400).json({ success: false, error: 'rule_id is required' });
+    }
+    deleteRule(rule_id);
+    res.json({
+      success: true,
+      data: { message: `Rule "${rule_id}" deleted` },
+    });
+  } catch (error) {
+    logger.error(`Error in delete_rule: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
-    const rule = rules.rules.find((r) => r.id === rule_id);
+// POST /api/tools/add_ignore_entry
+app.post('/api/tools/add_ignore_entry', async (req, res) => {
+  try {
+    const { list, value } = req.body;
+    if (!list || !value) {
+      return res.status(400).json({ success: false, error: 'list and value are required' });
+    }
+    const entries = addIgnoreEntry(list, value);
+    res.json({
+      success: true,
+      data: { list, entries },
+    });
+  } catch (error) {
+    logger.error(`Error in add_ignore_entry: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!rule) {
-      return res.status(404).json({ success: false, error: `Rule "${rule_id}" not found` });
+// POST /api/tools/remove_ignore_entry
+app.post('/api/tools/remove_ignore_entry', async (req, res) => {
+  try {
+    const { list, value } = req.body;
+    if (!list || !value) {
+      return res.status(400).json({ success: false, error: 'list and value are required' });
     }
+    const entries = removeIgnoreEntry(list, value);
+    res.json({
+      success: true,
+      data: { list, entries },
+    });
+  } catch (error) {
+    logger.error(`Error in remove_ignore_entry: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    rule.enabled = enabled;
-    fs.writeFileSync(rulesPath, JSON.stringify(rules, null, 2));
+// POST /api/tools/test_rules
+app.post('/api/tools/test_rules', async (req, res) => {
+  try {
+    const { message_id, email } = req.body;
+    if (!message_id && !email) {
+      return res.status(400).json({ success: false, error: 'message_id or email is required' });
+    }
+    const report = await testRules({ message_id, email });
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    logger.error(`Error in test_rules: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    logger.info(`Rule "${rule_id}" set to ${enabled ? 'enabled' : 'disabled'}`);
+// POST /api/tools/update_settings
+app.post('/api/tools/update_settings', async (req, res) => {
+  try {
+    const { settings } = req.body;
+    if (!settings || typeof settings !== 'object') {
+      return res.status(400).json({ success: false, error: 'settings object is required' });
+    }
+    res.json({
+      success: true,
+      data: updateSettings(settings),
+    });
+  } catch (error) {
+    logger.error(`Error in update_settings: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
+// GET /api/tools/list_prompt_templates
+app.get('/api/tools/list_prompt_templates', async (req, res) => {
+  try {
     res.json({
       success: true,
-      data: { message: `Rule "${rule_id}" is now ${enabled ? 'enabled' : 'disabled'}` },
+      data: listTemplates(),
     });
   } catch (error) {
-    logger.error(`Error in toggle_rule: ${error.message}`);
+    logger.error(`Error in list_prompt_templates: ${error.message}`);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// POST /api/tools/update_rule
-app.post('/api/tools/update_rule', async (req, res) => {
+// POST /api/tools/get_prompt_template
+app.post('/api/tools/get_prompt_template', async (req, res) => {
   try {
-    const { rule_id, keywords, context } = req.body;
-    if (!rule_id) {
-      return res.status(400).json({ success: false, error: 'rule_id is required' });
+    const { template_id, version } = req.body;
+    if (!template_id) {
+      return res.status(400).json({ success: false, error: 'template_id is required' });
     }
+    res.json({
+      success: true,
+      data: getTemplate(template_id, version),
+    });
+  } catch (error) {
+    logger.error(`Error in get_prompt_template: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
-    const rule = rules.rules.find((r) => r.id === rule_id);
+// POST /api/tools/save_prompt_template
+app.post('/api/tools/save_prompt_template', async (req, res) => {
+  try {
+    const { template_id, system, description } = req.body;
+    if (!template_id || !system) {
+      return res.status(400).json({ success: false, error: 'template_id and system are required' });
+    }
+    res.json({
+      success: true,
+      data: saveTemplate({ id: template_id, system, description }),
+    });
+  } catch (error) {
+    logger.error(`Error in save_prompt_template: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!rule) {
-      return res.status(404).json({ success: false, error: `Rule "${rule_id}" not found` });
+// POST /api/tools/delete_prompt_template
+app.post('/api/tools/delete_prompt_template', async (req, res) => {
+  try {
+    const { template_id } = req.body;
+    if (!template_id) {
+      return res.status(400).json({ success: false, error: 'template_id is required' });
     }
+    deleteTemplate(template_id);
+    res.json({
+      success: true,
+      data: { message: `Prompt template "${template_id}" deleted` },
+    });
+  } catch (error) {
+    logger.error(`Error in delete_prompt_template: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    if (keywords) {
-      rule.conditions.keywords = keywords;
+// POST /api/tools/preview_prompt
+app.post('/api/tools/preview_prompt', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await previewReplyPrompt(req.body),
+    });
+  } catch (error) {
+    logger.error(`Error in preview_prompt: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/add_knowledge_document
+app.post('/api/tools/add_knowledge_document', async (req, res) => {
+  try {
+    const { collection, name, content } = req.body;
+    if (!name || !content) {
+      return res.status(400).json({ success: false, error: 'name and content are required' });
     }
-    if (context) {
-      rule.context = context;
+    res.json({
+      success: true,
+      data: addKnowledgeDocument({ collection, name, content }),
+    });
+  } catch (error) {
+    logger.error(`Error in add_knowledge_document: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/tools/list_knowledge_documents
+app.get('/api/tools/list_knowledge_documents', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listKnowledgeDocuments(req.query.collection),
+    });
+  } catch (error) {
+    logger.error(`Error in list_knowledge_documents: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/search_knowledge
+app.post('/api/tools/search_knowledge', async (req, res) => {
+  try {
+    const { query, collections, limit = 5 } = req.body;
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'query is required' });
     }
+    res.json({
+      success: true,
+      data: searchKnowledge(query, { collections, limit: parseInt(limit, 10) }),
+    });
+  } catch (error) {
+    logger.error(`Error in search_knowledge: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    fs.writeFileSync(rulesPath, JSON.stringify(rules, null, 2));
-    logger.info(`Rule "${rule_id}" updated`);
+// GET /api/tools/list_contacts
+app.get('/api/tools/list_contacts', async (req, res) => {
+  try {
+    const { query, vip, blocked } = req.query;
+    const flag = (value) => (value === undefined ? undefined : value === 'true');
+    res.json({
+      success: true,
+      data: listContacts({ query, vip: flag(vip), blocked: flag(blocked) }),
+    });
+  } catch (error) {
+    logger.error(`Error in list_contacts: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
+// POST /api/tools/get_contact
+app.post('/api/tools/get_contact', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'email is required' });
+    }
     res.json({
       success: true,
-      data: rule,
+      data: getContact(email),
     });
   } catch (error) {
-    logger.error(`Error in update_rule: ${error.message}`);
+    logger.error(`Error in get_contact: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/update_contact
+app.post('/api/tools/update_contact', async (req, res) => {
+  try {
+    const { email, ...changes } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'email is required' });
+    }
+    res.json({
+      success: true,
+      data: updateContact(email, changes),
+    });
+  } catch (error) {
+    logger.error(`Error in update_contact: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/delete_contact
+app.post('/api/tools/delete_contact', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'email is required' });
+    }
+    deleteContact(email);
+    res.json({
+      success: true,
+      data: { message: `Contact "${email}" deleted` },
+    });
+  } catch (error) {
+    logger.error(`Error in delete_contact: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/tools/list_pending_replies
+app.get('/api/tools/list_pending_replies', async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const items = listPendingReplies(status);
+    res.json({
+      success: true,
+      data: { count: items.length, items },
+    });
+  } catch (error) {
+    logger.error(`Error in list_pending_replies: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/edit_pending_reply
+app.post('/api/tools/edit_pending_reply', async (req, res) => {
+  try {
+    const { pending_id, reply_text } = req.body;
+    if (!pending_id || !reply_text) {
+      return res.status(400).json({ success: false, error: 'pending_id and reply_text are required' });
+    }
+    const item = await editPendingReply(pending_id, reply_text);
+    res.json({
+      success: true,
+      data: item,
+    });
+  } catch (error) {
+    logger.error(`Error in edit_pending_reply: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/approve_pending_reply
+app.post('/api/tools/approve_pending_reply', async (req, res) => {
+  try {
+    const { pending_id } = req.body;
+    if (!pending_id) {
+      return res.status(400).json({ success: false, error: 'pending_id is required' });
+    }
+    const item = await approvePendingReply(pending_id);
+    res.json({
+      success: true,
+      data: item,
+    });
+  } catch (error) {
+    logger.error(`Error in approve_pending_reply: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/reject_pending_reply
+app.post('/api/tools/reject_pending_reply', async (req, res) => {
+  try {
+    const { pending_id, reason } = req.body;
+    if (!pending_id) {
+      return res.status(400).json({ success: false, error: 'pending_id is required' });
+    }
+    const item = await rejectPendingReply(pending_id, reason);
+    res.json({
+      success: true,
+      data: item,
+    });
+  } catch (error) {
+    logger.error(`Error in reject_pending_reply: ${error.message}`);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// GET /api/tools/list_failed_emails
+app.get('/api/tools/list_failed_emails', async (req, res) => {
+  try {
+    const { status = 'dead' } = req.query;
+    const items = listRetryQueue(status);
+    res.json({
+      success: true,
+      data: { count: items.length, items },
+    });
+  } catch (error) {
+    logger.error(`Error in list_failed_emails: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/retry_failed_email
+app.post('/api/tools/retry_failed_email', async (req, res) => {
+  try {
+    const { message_id } = req.body;
+    if (!message_id) {
+      return res.status(400).json({ success: false, error: 'message_id is required' });
+    }
+    const result = await retryFailedEmail(message_id);
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error(`Error in retry_failed_email: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tools/discard_failed_email
+app.post('/api/tools/discard_failed_email', async (req, res) => {
+  try {
+    const { message_id } = req.body;
+    if (!message_id) {
+      return res.status(400).json({ success: false, error: 'message_id is required' });
+    }
+    const item = discardFailure(message_id);
+    res.json({
+      success: true,
+      data: item,
+    });
+  } catch (error) {
+    logger.error(`Error in discard_failed_email: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // HTTP API Endpoints for Resources
 // ============================================
@@ -488,7 +1142,7 @@ app.get('/api/resources/emails/unread', async (req, res) => {
 // GET /api/resources/rules
 app.get('/api/resources/rules', async (req, res) => {
   try {
-    const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+    const rules = readConfigFile('rules');
     res.json({
       success: true,
       data: rules,
@@ -502,7 +1156,7 @@ app.get('/api/resources/rules', async (req, res) => {
 // GET /api/resources/settings
 app.get('/api/resources/settings', async (req, res) => {
   try {
-    const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+    const settings = getConfig('settings');
     res.json({
       success: true,
       data: settings,
@@ -523,6 +1177,7 @@ app.get('/api/resources/status', async (req, res) => {
         scheduler_running: schedulerStatus.running,
         current_interval_minutes: schedulerStatus.interval_minutes,
         uptime_seconds: process.uptime(),
+        processing_stats: getStatistics(),
         timestamp: new Date().toISOString(),
       },
     });
@@ -565,10 +1220,12 @@ app.get('/api/prompts/rule_management', (req, res) => {
       description: 'How to configure and manage email processing rules',
       content:
         'To manage email processing rules:\n\n' +
-        '1. **View Rules**: Use the rules resource to see current configuration\n' +
-        '2. **Enable/Disable**: Use toggle_rule to turn rules on or off\n' +
-        '3. **Update Keywords**: Use update_rule to change keywords that trigger a rule\n' +
-        '4. **Update Context**: Use update_rule to change the context description\n\n' +
+        '1. **View Rules**: Use list_rules or the rules resource to see current configuration\n' +
+        '2. **Create/Delete**: Use create_rule and delete_rule to add or remove rules\n' +
+        '3. **Enable/Disable**: Use toggle_rule to turn rules on or off\n' +
+        '4. **Update Rules**: Use update_rule to rename a rule or change its keywords, must_match, conditions, context, priority, actions or prompt template\n' +
+        '5. **Ignore Lists**: Use add_ignore_entry and remove_ignore_entry to edit ignored senders and subject phrases\n' +
+        '6. **Test Changes**: Use test_rules with a sample email to see which rules match and why\n\n' +
         'Current available rules:\n' +
         '- support_inquiries: Triggered by keywords like help, support, issue, problem\n' +
         '- meeting_requests: Triggered by keywords like meeting, call, schedule, available\n' +
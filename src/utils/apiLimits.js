@@ -0,0 +1,34 @@
+import { getConfig, onConfigChange } from '../config/configManager.js';
+import { createTokenBucket } from './rateLimiter.js';
+import { withRetry } from './retry.js';
+
+// One bucket shared by every mail provider and LLM call
+let limiter = null;
+
+/**
+ * Get the shared limiter, creating it from settings on first use
+ */
+function getLimiter() {
+  if (!limiter) {
+    limiter = createTokenBucket(getConfig('settings').apiRateLimitPerMinute);
+    onConfigChange('settings', (settings) => limiter.setRate(settings.apiRateLimitPerMinute));
+  }
+  return limiter;
+}
+
+/**
+ * Call an external API, retrying transient failures according to
+ * maxRetries / retryDelayMs in settings.json. Each attempt first waits for
+ * the apiRateLimitPerMinute budget.
+ */
+export function callApi(request) {
+  const { maxRetries, retryDelayMs } = getConfig('settings');
+
+  return withRetry(
+    async () => {
+      await getLimiter().acquire();
+      return request();
+    },
+    { retries: maxRetries, delayMs: retryDelayMs }
+  );
+}
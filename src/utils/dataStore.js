@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+
+/**
+ * Resolve a file name inside the data directory, creating the directory if needed
+ */
+export function getDataPath(fileName) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Read a JSON file from the data directory, returning the fallback if it does not exist
+ */
+export function readJsonFile(fileName, fallback) {
+  const filePath = getDataPath(fileName);
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Write a JSON file to the data directory (write to temp file then rename)
+ */
+export function writeJsonFile(fileName, data) {
+  const filePath = getDataPath(fileName);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Append a record as one JSON line to a file in the data directory
+ */
+export function appendJsonLine(fileName, record) {
+  fs.appendFileSync(getDataPath(fileName), `${JSON.stringify(record)}\n`);
+}
+
+/**
+ * Read every record from a JSON-lines file, skipping lines that fail to parse
+ */
+export function readJsonLines(fileName) {
+  const filePath = getDataPath(fileName);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
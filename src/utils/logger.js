@@ -15,7 +15,8 @@ export const logger = winston.createLogger({
     )
   ),
   transports: [
-    new winston.transports.Console(),
+    // stderr, since stdout carries the MCP stdio transport's JSON-RPC stream
+    new winston.transports.Console({ stderrLevels: Object.keys(winston.config.npm.levels) }),
     new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
     new winston.transports.File({ filename: 'logs/combined.log' }),
   ],
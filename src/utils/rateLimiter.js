@@ -0,0 +1,41 @@
+/**
+ * Create a token bucket allowing `perMinute` calls per minute, with bursts
+ * of up to `perMinute` calls. acquire() resolves when a token is available;
+ * waiters are served in order.
+ */
+export function createTokenBucket(perMinute) {
+  let capacity = perMinute;
+  let tokens = perMinute;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) * capacity) / 60000);
+    lastRefill = now;
+  };
+
+  const take = async () => {
+    refill();
+    if (tokens < 1) {
+      const waitMs = ((1 - tokens) * 60000) / capacity;
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    acquire() {
+      const next = queue.then(take);
+      queue = next.catch(() => {});
+      return next;
+    },
+
+    setRate(newPerMinute) {
+      refill();
+      capacity = newPerMinute;
+      tokens = Math.min(tokens, capacity);
+    },
+  };
+}
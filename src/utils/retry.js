@@ -0,0 +1,37 @@
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Check if an API error is worth retrying: rate limits, server errors,
+ * timeouts and dropped connections
+ */
+export function isTransientError(error) {
+  const status =
+    error.status ?? error.response?.status ?? (typeof error.code === 'number' ? error.code : undefined);
+
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return true;
+  }
+
+  return (
+    TRANSIENT_ERROR_CODES.includes(error.code) ||
+    error.name === 'APIConnectionError' ||
+    error.name === 'APIConnectionTimeoutError'
+  );
+}
+
+/**
+ * Run fn, retrying transient failures with exponential backoff
+ * (delayMs, 2 * delayMs, 4 * delayMs, ...)
+ */
+export async function withRetry(fn, { retries = 3, delayMs = 1000, isRetryable = isTransientError } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, delayMs * 2 ** attempt));
+    }
+  }
+}
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isTextAttachment, extractAttachmentText } from '../src/mail/attachments.js';
+import { getSettings } from '../src/config/settings.js';
+
+test('recognises text, CSV and JSON attachments by type or extension', () => {
+  assert.equal(isTextAttachment({ filename: 'orders.csv', mimeType: 'application/octet-stream' }), true);
+  assert.equal(isTextAttachment({ filename: 'data', mimeType: 'application/json' }), true);
+  assert.equal(isTextAttachment({ filename: 'notes.TXT', mimeType: '' }), true);
+  assert.equal(isTextAttachment({ filename: 'invoice.pdf', mimeType: 'application/pdf' }), false);
+});
+
+test('pretty-prints JSON and strips a byte order mark', () => {
+  const text = extractAttachmentText(
+    { filename: 'order.json', mimeType: 'application/json' },
+    Buffer.from('\uFEFF{"order":1234,"items":["a"]}')
+  );
+  assert.equal(text, '{\n  "order": 1234,\n  "items": [\n    "a"\n  ]\n}');
+});
+
+test('keeps invalid JSON as raw text', () => {
+  const text = extractAttachmentText({ filename: 'broken.json', mimeType: 'application/json' }, Buffer.from('{oops'));
+  assert.equal(text, '{oops');
+});
+
+test('truncates long text to attachmentTextLimit', () => {
+  const limit = getSettings().attachmentTextLimit;
+  const text = extractAttachmentText({ filename: 'log.txt', mimeType: 'text/plain' }, Buffer.from('x'.repeat(limit + 50)));
+  assert.equal(text, `${'x'.repeat(limit)}\n[truncated]`);
+});
@@ -0,0 +1,154 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, TEST_ANALYSIS, TEST_RULES } from './helpers/harness.js';
+import {
+  findContact,
+  getContact,
+  updateContact,
+  deleteContact,
+  listContacts,
+} from '../src/contacts/contactStore.js';
+import { previewReplyPrompt } from '../src/ai/responseGenerator.js';
+import { processUnreadEmails } from '../src/processor/emailProcessor.js';
+
+let mail;
+let llm;
+
+beforeEach(() => {
+  ({ mail, llm } = setupPipeline());
+});
+
+test('processed emails build up the sender profile', async () => {
+  mail.addMessage({ from: 'Alice Smith <Alice@Acme.com>', subject: 'help with login' });
+  await processUnreadEmails();
+  mail.addMessage({ from: 'alice@acme.com', subject: 'Re: help with login' });
+  mail.addMessage({ from: 'alice@acme.com', subject: 'invoice 42' });
+  await processUnreadEmails();
+
+  const contact = getContact('ALICE@acme.com');
+  assert.equal(contact.email, 'alice@acme.com');
+  assert.equal(contact.name, 'Alice Smith');
+  assert.equal(contact.company, 'acme');
+  assert.equal(contact.interactions, 3);
+  assert.deepEqual(contact.topics, ['invoice 42', 'help with login']);
+  assert.ok(contact.lastReplyAt);
+  assert.equal(contact.messageIds, undefined);
+
+  mail.addMessage({ from: 'bob@gmail.com', subject: 'help' });
+  await processUnreadEmails();
+  assert.equal(getContact('bob@gmail.com').company, '');
+  assert.equal(getContact('bob@gmail.com').name, '');
+});
+
+test('an email seen again is counted once', async () => {
+  mail.addMessage({ subject: 'nothing to match' });
+  await processUnreadEmails();
+  await processUnreadEmails();
+
+  assert.equal(findContact('alice@example.com').interactions, 1);
+  assert.equal(findContact('alice@example.com').lastReplyAt, null);
+});
+
+test('ignored emails leave no contact profile', async () => {
+  mail.addMessage({ from: 'Shop <noreply@shop.example.com>', subject: 'help with your order' });
+  mail.addMessage({ from: 'Bob <bob@example.com>', subject: 'Password reset' });
+  await processUnreadEmails();
+
+  assert.equal(findContact('noreply@shop.example.com'), null);
+  assert.equal(findContact('bob@example.com'), null);
+});
+
+test('the profile fills in template_reply variables', async () => {
+  const template = 'Hi {{senderName}} at {{company}}, re "{{subject}}" from {{from}}.{{signature}}';
+  const rules = [{ ...TEST_RULES.rules[0], actions: [{ type: 'template_reply', template }] }];
+  ({ mail, llm } = setupPipeline({ rules: { rules } }));
+  updateContact('alice@example.com', { name: 'Dr. Alice Jones', company: 'Acme' });
+
+  mail.addMessage({ subject: 'help please' });
+  await processUnreadEmails();
+
+  assert.equal(mail.sent[0].text, 'Hi Dr. Alice Jones at Acme, re "help please" from Alice <alice@example.com>.');
+});
+
+test('the profile personalizes the reply prompt', async () => {
+  mail.addMessage({ subject: 'pricing question' });
+  await processUnreadEmails();
+  updateContact('alice@example.com', { name: 'Dr. Alice Jones', vip: true, notes: 'Prefers short answers' });
+
+  mail.addMessage({ subject: 'help please' });
+  await processUnreadEmails();
+
+  const prompt = llm.requests[1].messages[1].content;
+  assert.match(prompt, /About the sender/);
+  assert.match(prompt, /- Name: Dr\. Alice Jones\n- Company: example\n- Earlier emails from them: 1\n/);
+  assert.match(prompt, /- Earlier topics: pricing question/);
+  assert.match(prompt, /- VIP: give their request priority/);
+  assert.match(prompt, /- Notes: Prefers short answers/);
+  assert.match(llm.requests[1].messages[0].content, /Address the sender by their name \(Dr\. Alice Jones\)/);
+
+  assert.doesNotMatch(llm.requests[0].messages[1].content, /About the sender/);
+});
+
+test('blocked senders are skipped without being counted', async () => {
+  updateContact('alice@example.com', { blocked: true });
+  mail.addMessage({ subject: 'help' });
+
+  const results = await processUnreadEmails();
+
+  assert.equal(results.skipped, 1);
+  assert.equal(mail.sent.length, 0);
+  assert.equal(llm.requests.length, 0);
+  assert.equal(getContact('alice@example.com').interactions, 0);
+});
+
+test('the preferred language comes from the email analysis', async () => {
+  ({ mail, llm } = setupPipeline({
+    rules: {
+      rules: [
+        {
+          id: 'support',
+          name: 'Support',
+          enabled: true,
+          conditions: { analysis: { category: ['support'] } },
+          context: 'Support',
+        },
+      ],
+    },
+  }));
+  mail.addMessage({ subject: 'Hilfe' });
+
+  await processUnreadEmails();
+
+  assert.equal(getContact('alice@example.com').language, TEST_ANALYSIS.language);
+});
+
+test('contacts can be listed, edited, validated and deleted', async () => {
+  updateContact('vip@example.com', { vip: true });
+  updateContact('Other <other@example.com>', { company: 'Other Inc' });
+
+  assert.deepEqual(
+    listContacts({ vip: true }).map((contact) => contact.email),
+    ['vip@example.com']
+  );
+  assert.deepEqual(
+    listContacts({ query: 'inc' }).map((contact) => contact.email),
+    ['other@example.com']
+  );
+
+  assert.throws(() => updateContact('not-an-address', { vip: true }), (error) => error.statusCode === 400);
+  assert.throws(() => updateContact('vip@example.com', { vip: 'yes' }), /vip: Expected boolean/);
+  assert.throws(() => updateContact('vip@example.com', { interactions: 5 }), /Unrecognized key/);
+
+  deleteContact('vip@example.com');
+  assert.throws(() => getContact('vip@example.com'), (error) => error.statusCode === 404);
+  assert.throws(() => deleteContact('vip@example.com'), (error) => error.statusCode === 404);
+});
+
+test('previews show the sender profile', async () => {
+  updateContact('jane@example.com', { name: 'Jane', language: 'fr' });
+
+  const preview = await previewReplyPrompt({});
+
+  assert.equal(preview.contact.email, 'jane@example.com');
+  assert.match(preview.user, /- Preferred language: fr/);
+});
@@ -0,0 +1,115 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, withEnv } from './helpers/harness.js';
+import { getConversation, formatTranscript, estimateTokens } from '../src/mail/conversation.js';
+import { getEmailDetails } from '../src/mail/mailProvider.js';
+import { previewReplyPrompt } from '../src/ai/responseGenerator.js';
+import { processUnreadEmails } from '../src/processor/emailProcessor.js';
+import { getHistory } from '../src/processor/processingHistory.js';
+
+let mail;
+let llm;
+
+beforeEach(() => {
+  ({ mail, llm } = setupPipeline());
+});
+
+/**
+ * A date minutes after 2026-10-01 10:00 UTC
+ */
+function at(minutes) {
+  return new Date(Date.UTC(2026, 9, 1, 10, minutes));
+}
+
+test('a follow-up is answered with the earlier messages and our reply in the prompt', async () => {
+  mail.addMessage({ threadId: 't1', date: at(0), subject: 'help', text: 'My order 1234 never arrived.' });
+  await processUnreadEmails();
+  assert.equal(mail.sent.length, 1);
+
+  const followUp = mail.addMessage({
+    threadId: 't1',
+    date: new Date(Date.now() + 60000),
+    subject: 'Re: help',
+    text: 'Any news about it?',
+  });
+  await withEnv({ THREAD_COOLDOWN_MINUTES: '0' }, () => processUnreadEmails());
+
+  const prompt = llm.requests[1].messages[1].content;
+  assert.match(prompt, /^Earlier messages in this conversation, oldest first/);
+  assert.match(prompt, /--- Alice <alice@example\.com>, 2026-10-01 10:00 UTC ---\nMy order 1234 never arrived\./);
+  assert.match(prompt, /--- You \(me@example\.com\), [^\n]+ ---\nThanks for your email!/);
+  assert.ok(prompt.indexOf('My order 1234') < prompt.indexOf('--- You'));
+  assert.ok(prompt.indexOf('--- You') < prompt.indexOf('Original email:'));
+  assert.doesNotMatch(prompt.slice(0, prompt.indexOf('Original email:')), /Any news/);
+
+  const [entry] = getHistory({ type: 'email' }).filter((e) => e.messageId === followUp);
+  assert.deepEqual(entry.threadMessages, ['msg-1', 'sent-1']);
+});
+
+test('the first message of a thread is answered without a transcript', async () => {
+  mail.addMessage({ subject: 'help', text: 'Hello' });
+  await processUnreadEmails();
+
+  assert.match(llm.requests[0].messages[1].content, /^Original email:/);
+  assert.deepEqual(getHistory({ type: 'email' })[0].threadMessages, []);
+});
+
+test('only the newest messages that fit in the token budget are kept', async () => {
+  const text = 'lorem ipsum '.repeat(40);
+  for (let i = 0; i < 5; i++) {
+    mail.addMessage({ threadId: 't1', date: at(i), subject: 'long', text: `Message ${i} ${text}` });
+  }
+  const latest = await getEmailDetails(mail.addMessage({ threadId: 't1', date: at(10), subject: 'latest' }));
+
+  const full = await getConversation(latest, { tokenBudget: 10000 });
+  assert.equal(full.messages.length, 5);
+  assert.equal(full.omittedMessages, 0);
+
+  const trimmed = await getConversation(latest, { tokenBudget: 350 });
+  assert.deepEqual(
+    trimmed.messages.map((message) => message.id),
+    ['msg-3', 'msg-4', 'msg-5']
+  );
+  assert.equal(trimmed.messages[0].truncated, true);
+  assert.ok(trimmed.estimatedTokens <= 350);
+  assert.equal(trimmed.omittedMessages, 2);
+  assert.match(formatTranscript(trimmed), /^\[2 earlier messages omitted\]\n\n--- Alice/);
+  assert.ok(estimateTokens(formatTranscript(trimmed)) <= 370);
+
+  assert.deepEqual((await getConversation(latest, { tokenBudget: 0 })).messages, []);
+});
+
+test('drafts and messages newer than the email are left out', async () => {
+  mail.addMessage({ threadId: 't1', date: at(0), subject: 'help', text: 'First question' });
+  const second = mail.addMessage({ threadId: 't1', date: at(5), subject: 'Re: help', text: 'Second question' });
+  mail.addMessage({ threadId: 't1', date: at(10), subject: 'Re: help', text: 'Never mind' });
+  await mail.createReplyDraft(second, 'Draft waiting for approval');
+
+  const conversation = await getConversation(await getEmailDetails(second));
+
+  assert.deepEqual(
+    conversation.messages.map((message) => message.id),
+    ['msg-1']
+  );
+});
+
+test('conversation failures fall back to replying from the email alone', async () => {
+  mail.addMessage({ subject: 'help' });
+  mail.failNext('getThread');
+
+  const results = await processUnreadEmails();
+
+  assert.equal(results.processed, 1);
+  assert.match(llm.requests[0].messages[1].content, /^Original email:/);
+});
+
+test('previews of a message include its conversation', async () => {
+  mail.addMessage({ threadId: 't1', date: at(0), subject: 'help', text: 'First question' });
+  const second = mail.addMessage({ threadId: 't1', date: at(5), subject: 'Re: help', text: 'Second question' });
+
+  const preview = await previewReplyPrompt({ message_id: second });
+
+  assert.deepEqual(preview.threadMessages, ['msg-1']);
+  assert.match(preview.user, /--- Alice <alice@example\.com>, 2026-10-01 10:00 UTC ---\nFirst question/);
+  assert.equal(llm.requests.length, 0);
+});
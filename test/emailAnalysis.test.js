@@ -0,0 +1,186 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, TEST_RULES, TEST_ANALYSIS } from './helpers/harness.js';
+import { analyzeEmail, getEmailAnalysis, getCachedAnalysis } from '../src/ai/emailAnalysis.js';
+import { analysisSchema, analysisJsonSchema } from '../src/ai/analysisSchema.js';
+import { getMatchingRules } from '../src/filters/engine.js';
+import { testRules } from '../src/filters/ruleTester.js';
+import { validateRulesConfig } from '../src/filters/schema.js';
+import { processUnreadEmails } from '../src/processor/emailProcessor.js';
+
+const email = (fields) => ({ id: 'm1', from: 'Alice <alice@example.com>', subject: '', body: '', ...fields });
+
+// Routes urgent billing mail on the AI analysis alone
+const escalation = {
+  id: 'escalation',
+  name: 'Escalation',
+  enabled: true,
+  priority: 50,
+  conditions: { analysis: { category: ['billing'], urgency: ['high', 'critical'] } },
+  context: 'Urgent billing issue',
+  actions: [{ type: 'label', labels: ['Escalated'] }],
+};
+
+let mail;
+let llm;
+
+beforeEach(() => {
+  ({ mail, llm } = setupPipeline());
+});
+
+/**
+ * Make the fake LLM answer analysis requests with TEST_ANALYSIS plus changes
+ */
+function analyzeAs(changes) {
+  llm.setResponse((body) =>
+    body.response_format ? JSON.stringify({ ...TEST_ANALYSIS, ...changes }) : 'Thanks for your email!'
+  );
+}
+
+test('requests strict JSON-schema output and validates the answer', async () => {
+  const { analysis, provider, model } = await analyzeEmail(email({ subject: 'Login broken', body: 'Order A-1001' }));
+
+  assert.deepEqual(analysis, TEST_ANALYSIS);
+  assert.equal(provider, 'openai');
+  assert.equal(model, 'gpt-4o-mini');
+
+  const [request] = llm.requests;
+  assert.deepEqual(request.response_format, {
+    type: 'json_schema',
+    json_schema: { name: 'email_analysis', schema: analysisJsonSchema, strict: true },
+  });
+  assert.equal(request.temperature, 0);
+  assert.match(request.messages[1].content, /Order A-1001/);
+});
+
+test('the JSON schema and the zod schema describe the same fields', () => {
+  assert.deepEqual(analysisJsonSchema.required, Object.keys(analysisSchema.shape));
+  assert.deepEqual(
+    analysisJsonSchema.properties.entities.required,
+    Object.keys(analysisSchema.shape.entities.shape)
+  );
+});
+
+test('rejects answers that are not JSON or do not match the schema', async () => {
+  llm.setResponse('Category: support');
+  await assert.rejects(analyzeEmail(email()), /analysis_failed: response is not valid JSON/);
+
+  analyzeAs({ urgency: 'whenever', entities: { dates: [] } });
+  await assert.rejects(analyzeEmail(email()), /analysis_failed: urgency: Invalid enum value.*; entities\.orderNumbers: Required/s);
+
+  llm.setResponse(null);
+  await assert.rejects(analyzeEmail(email()), /analysis_failed: empty response/);
+});
+
+test('normalizes the language code to lower case', async () => {
+  analyzeAs({ language: 'DE' });
+  const { analysis } = await analyzeEmail(email());
+  assert.equal(analysis.language, 'de');
+});
+
+test('caches the analysis per message until refreshed', async () => {
+  const first = await getEmailAnalysis(email());
+  const second = await getEmailAnalysis(email());
+
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.equal(second.analyzedAt, first.analyzedAt);
+  assert.equal(llm.requests.length, 1);
+  assert.deepEqual(getCachedAnalysis('m1').analysis, TEST_ANALYSIS);
+
+  analyzeAs({ sentiment: 'positive' });
+  const refreshed = await getEmailAnalysis(email(), { refresh: true });
+  assert.equal(refreshed.analysis.sentiment, 'positive');
+  assert.equal(getCachedAnalysis('m1').analysis.sentiment, 'positive');
+});
+
+test('analysis conditions match category, urgency, language, intent, entities and requiresHuman', () => {
+  const rule = (analysis) => ({ ...escalation, conditions: { analysis } });
+  const matches = (analysisCondition, analysis = TEST_ANALYSIS) => {
+    setupPipeline({ rules: { rules: [rule(analysisCondition)] } });
+    return getMatchingRules(email({ analysis })).length === 1;
+  };
+
+  assert.equal(matches({ category: ['support'], urgency: ['high'] }), true);
+  assert.equal(matches({ category: ['support'], urgency: ['low'] }), false);
+  assert.equal(matches({ language: ['EN'] }), true);
+  assert.equal(matches({ intent: ['login', 'password'] }), true);
+  assert.equal(matches({ entities: ['orderNumbers', 'amounts'] }), true);
+  assert.equal(matches({ entities: ['dates'] }), false);
+  assert.equal(matches({ requiresHuman: false }), true);
+  assert.equal(matches({ category: ['support'] }, null), false, 'no analysis never matches');
+});
+
+test('rules.json rejects unknown analysis values and empty analysis conditions', () => {
+  const withConditions = (conditions) => ({ rules: [{ ...escalation, conditions }] });
+
+  assert.throws(
+    () => validateRulesConfig(withConditions({ analysis: { category: ['refunds'] } })),
+    /rules\[0\]\.conditions\.analysis\.category\[0\]: Invalid enum value/
+  );
+  assert.throws(
+    () => validateRulesConfig(withConditions({ analysis: {} })),
+    /analysis condition must not be empty/
+  );
+  assert.doesNotThrow(() =>
+    validateRulesConfig(withConditions({ all: [{ keywords: ['refund'] }, { analysis: { requiresHuman: true } }] }))
+  );
+});
+
+test('the pipeline routes on the analysis when a rule needs it', async () => {
+  ({ mail, llm } = setupPipeline({ rules: { rules: [...TEST_RULES.rules, escalation] } }));
+  analyzeAs({ category: 'billing', urgency: 'critical' });
+  const id = mail.addMessage({ subject: 'You charged me twice', text: 'Fix it today.' });
+
+  const results = await processUnreadEmails(undefined, { dryRun: false });
+
+  assert.equal(results.processed, 1);
+  assert.ok(mail.getLabels(id).includes('Escalated'));
+  assert.equal(llm.requests.length, 1, 'only the analysis request; the label action needs no reply');
+  assert.equal(getCachedAnalysis(id).analysis.category, 'billing');
+});
+
+test('emails are not analyzed when no enabled rule uses the analysis', async () => {
+  const disabled = { ...escalation, enabled: false };
+  ({ mail, llm } = setupPipeline({ rules: { rules: [...TEST_RULES.rules, disabled] } }));
+  mail.addMessage({ subject: 'help' });
+  mail.addMessage({ from: 'noreply@shop.example.com', subject: 'help' });
+
+  await processUnreadEmails();
+
+  assert.equal(llm.requests.length, 1);
+  assert.equal(llm.requests[0].response_format, undefined);
+});
+
+test('a failed analysis fails the email so it is retried', async () => {
+  ({ mail, llm } = setupPipeline({ rules: { rules: [...TEST_RULES.rules, escalation] } }));
+  analyzeAs({ category: 'unknown' });
+  mail.addMessage({ subject: 'help' });
+
+  const results = await processUnreadEmails();
+
+  assert.equal(results.failed, 1);
+  assert.equal(mail.sent.length, 0);
+});
+
+test('test_rules uses a supplied or cached analysis without calling the LLM', async () => {
+  setupPipeline({ rules: { rules: [...TEST_RULES.rules, escalation] } });
+
+  const supplied = await testRules({ email: { subject: 'Hi', analysis: { category: 'billing', urgency: 'high' } } });
+  assert.equal(supplied.winning_rule, 'escalation');
+  assert.deepEqual(supplied.rules.find((rule) => rule.id === 'escalation').terms, [
+    { condition: 'analysis.category', value: 'billing' },
+    { condition: 'analysis.urgency', value: 'high' },
+  ]);
+
+  ({ mail, llm } = setupPipeline({ rules: { rules: [...TEST_RULES.rules, escalation] } }));
+  const id = mail.addMessage({ subject: 'Hi' });
+  assert.equal((await testRules({ message_id: id })).winning_rule, null);
+
+  analyzeAs({ category: 'billing' });
+  await getEmailAnalysis(await mail.getEmailDetails(id));
+  const cached = await testRules({ message_id: id });
+  assert.equal(cached.winning_rule, 'escalation');
+  assert.equal(cached.email.analysis.category, 'billing');
+  assert.equal(llm.requests.length, 1);
+});
@@ -0,0 +1,288 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, withEnv, TEST_RULES } from './helpers/harness.js';
+import { processUnreadEmails, processBatch, retryFailedEmail } from '../src/processor/emailProcessor.js';
+import { listPendingReplies } from '../src/processor/approvalQueue.js';
+import { listRetryQueue } from '../src/processor/retryQueue.js';
+import { getHistory, getStatistics } from '../src/processor/processingHistory.js';
+
+let mail;
+let llm;
+
+beforeEach(() => {
+  ({ mail, llm } = setupPipeline());
+});
+
+test('replies to matching mail, marks it read and labels it', async () => {
+  const id = mail.addMessage({ subject: 'Login broken', text: 'Can you help me?' });
+
+  const results = await processUnreadEmails();
+
+  assert.deepEqual(results, { total: 1, processed: 1, skipped: 0, pending_approval: 0, failed: 0 });
+  assert.equal(mail.sent.length, 1);
+  assert.match(mail.sent[0].text, /^Thanks for your email!/);
+  assert.deepEqual(mail.getLabels(id).sort(), ['AutoReplied', 'AutoReplied/support', 'INBOX']);
+
+  const [request] = llm.requests;
+  assert.match(request.messages[0].content, /This is a support request/);
+  assert.match(request.messages[1].content, /Can you help me\?/);
+});
+
+test('counts skipped mail for ignored senders, ignored subjects and unmatched mail', async () => {
+  mail.addMessage({ from: 'noreply@shop.example.com', subject: 'help' });
+  mail.addMessage({ subject: 'Password reset', text: 'help' });
+  mail.addMessage({ subject: 'Lunch?', text: 'Are you free?' });
+
+  const results = await processUnreadEmails();
+
+  assert.deepEqual(results, { total: 3, processed: 0, skipped: 3, pending_approval: 0, failed: 0 });
+  assert.equal(mail.sent.length, 0);
+  assert.equal(llm.requests.length, 0);
+
+  // Still unread, so seen again on the next cycle, but only recorded once
+  await processUnreadEmails();
+  assert.equal(getStatistics().total_skipped, 3);
+  assert.equal(getStatistics().total_emails, 3);
+});
+
+test('only fetches unread mail in useLabel, skipping excludeLabels', async () => {
+  mail.addMessage({ subject: 'help', labels: ['INBOX'] });
+  mail.addMessage({ subject: 'help', labels: ['INBOX', 'UNREAD', 'SPAM'] });
+  mail.addMessage({ subject: 'help', labels: ['Archive', 'UNREAD'] });
+
+  const results = await processUnreadEmails();
+  assert.equal(results.total, 0);
+});
+
+test('runs non-reply actions and records them as handled', async () => {
+  const id = mail.addMessage({ subject: 'Invoice 42' });
+
+  const first = await processUnreadEmails();
+  assert.equal(first.processed, 1);
+  assert.ok(mail.getLabels(id).includes('Finance'));
+  assert.ok(mail.getLabels(id).includes('STARRED'));
+  assert.equal(mail.sent.length, 0);
+
+  // Still unread, but the ledger keeps it from being handled twice
+  const second = await processUnreadEmails();
+  assert.deepEqual(second, { total: 1, processed: 0, skipped: 1, pending_approval: 0, failed: 0 });
+});
+
+test('never replies twice to the same message or within the thread cooldown', async () => {
+  const firstId = mail.addMessage({ subject: 'help', threadId: 'thread-a' });
+  await processUnreadEmails();
+
+  const secondId = mail.addMessage({ subject: 'still need help', threadId: 'thread-a' });
+  const results = await processBatch([await mail.getEmailDetails(firstId), await mail.getEmailDetails(secondId)]);
+
+  assert.equal(results.skipped, 2);
+  assert.equal(mail.sent.length, 1);
+  const reasons = getHistory({ type: 'email' }).slice(-2).map((entry) => entry.reason);
+  assert.deepEqual(reasons, ['already_replied', 'thread_cooldown']);
+});
+
+test('handled emails are skipped before their attachments are downloaded', async () => {
+  const id = mail.addMessage({
+    subject: 'help',
+    attachments: [{ filename: 'log.txt', contentType: 'text/plain', content: Buffer.from('error 42') }],
+  });
+  const email = await mail.getEmailDetails(id);
+  await processBatch([email]);
+  const downloads = () => mail.calls.filter((call) => call.method === 'getAttachmentData').length;
+  assert.equal(downloads(), 1);
+
+  const results = await processBatch([email]);
+
+  assert.equal(results.skipped, 1);
+  assert.equal(downloads(), 1);
+});
+
+test('attachments are only downloaded for emails an AI reply is written for', async () => {
+  const attachments = [{ filename: 'log.txt', contentType: 'text/plain', content: Buffer.from('error 42') }];
+  mail.addMessage({ from: 'noreply@shop.example.com', subject: 'help', attachments });
+  mail.addMessage({ subject: 'Lunch?', attachments });
+  mail.addMessage({ subject: 'invoice', attachments });
+  const answered = mail.addMessage({ subject: 'help', attachments });
+
+  await processUnreadEmails();
+
+  const downloads = mail.calls.filter((call) => call.method === 'getAttachmentData');
+  assert.deepEqual(
+    downloads.map((call) => call.args[0]),
+    [answered]
+  );
+  assert.match(llm.requests[0].messages[1].content, /error 42/);
+  assert.equal(getHistory({ type: 'email' })[0].reason, 'ignored');
+});
+
+test('holds replies as drafts in review mode', async () => {
+  mail.addMessage({ subject: 'help' });
+
+  const results = await withEnv({ REPLY_MODE: 'review' }, () => processUnreadEmails());
+
+  assert.equal(results.pending_approval, 1);
+  assert.equal(mail.sent.length, 0);
+  assert.equal(mail.drafts.size, 1);
+  const [item] = listPendingReplies();
+  assert.deepEqual(item.ruleIds, ['support']);
+  assert.match(item.replyText, /^Thanks for your email!/);
+
+  // A second run doesn't generate another reply for the queued message
+  const again = await withEnv({ REPLY_MODE: 'review' }, () => processUnreadEmails());
+  assert.equal(again.skipped, 1);
+  assert.equal(llm.requests.length, 1);
+});
+
+test('counts LLM failures as failed and schedules a retry', async () => {
+  const id = mail.addMessage({ subject: 'help' });
+  llm.failNext(new Error('model overloaded'));
+
+  const results = await processUnreadEmails();
+
+  assert.equal(results.failed, 1);
+  const [item] = listRetryQueue('retrying');
+  assert.equal(item.messageId, id);
+  assert.match(item.errors[0].error, /model overloaded/);
+
+  // Waiting out the backoff
+  const next = await processUnreadEmails();
+  assert.equal(next.skipped, 1);
+});
+
+test('counts an empty LLM response as failed', async () => {
+  mail.addMessage({ subject: 'help' });
+  llm.setResponse(null);
+
+  const results = await processUnreadEmails();
+  assert.equal(results.failed, 1);
+  assert.match(listRetryQueue('retrying')[0].errors[0].error, /response_generation_failed/);
+});
+
+test('a failing action fails the email but later actions still run', async () => {
+  const id = mail.addMessage({ subject: 'invoice' });
+  mail.failNext('addLabel', new Error('label quota exceeded'));
+
+  const results = await processUnreadEmails();
+
+  assert.equal(results.failed, 1);
+  assert.ok(mail.getLabels(id).includes('STARRED'));
+});
+
+test('a retry only runs the actions that failed', async () => {
+  const id = mail.addMessage({ subject: 'invoice' });
+  mail.failNext('addLabel', new Error('label quota exceeded'));
+  await processUnreadEmails();
+
+  const retried = await retryFailedEmail(id);
+
+  assert.equal(retried.status, 'success');
+  assert.deepEqual(
+    retried.actions.map((action) => action.status),
+    ['success', 'skipped']
+  );
+  assert.equal(mail.calls.filter((call) => call.method === 'modifyLabels').length, 1);
+  assert.ok(mail.getLabels(id).includes('Finance'));
+  assert.equal(listRetryQueue('all').length, 0);
+});
+
+test('a retry after the reply was sent only redoes the steps after it', async () => {
+  const id = mail.addMessage({ subject: 'help' });
+  mail.failNext('markAsRead');
+  await processUnreadEmails();
+  assert.equal(listRetryQueue('retrying')[0].replySent, true);
+
+  const retried = await retryFailedEmail(id);
+
+  assert.equal(retried.status, 'success');
+  assert.equal(mail.sent.length, 1);
+  assert.equal(llm.requests.length, 1);
+  assert.ok(mail.getLabels(id).includes('AutoReplied/support'));
+  assert.ok(!mail.getLabels(id).includes('UNREAD'));
+});
+
+test('dead-letters an email after maxProcessingAttempts and retries it on request', async () => {
+  ({ mail, llm } = setupPipeline({ settings: { maxProcessingAttempts: 2 } }));
+  const id = mail.addMessage({ subject: 'help' });
+  mail.failNext('sendReply', new Error('SMTP down'), 2);
+  const email = await mail.getEmailDetails(id);
+
+  await processBatch([email]);
+  assert.equal(listRetryQueue('retrying').length, 1);
+  await retryFailedEmail(id);
+  assert.equal(listRetryQueue('retrying')[0].attempts, 1, 'a manual retry starts a fresh attempt budget');
+
+  // Bypass the backoff by processing directly, as a due retry would be
+  const dead = await processBatch([email]);
+  assert.equal(dead.skipped, 1, 'still waiting out the backoff');
+
+  const retried = await retryFailedEmail(id);
+  assert.equal(retried.status, 'success');
+  assert.equal(listRetryQueue('all').length, 0);
+  assert.equal(mail.sent.length, 1);
+});
+
+test('moves an email to the dead-letter list once it runs out of attempts', async () => {
+  ({ mail, llm } = setupPipeline({ settings: { maxProcessingAttempts: 1 } }));
+  const id = mail.addMessage({ subject: 'help' });
+  llm.failNext();
+
+  const results = await processUnreadEmails();
+  assert.equal(results.failed, 1);
+  assert.equal(listRetryQueue('dead')[0].messageId, id);
+
+  const next = await processUnreadEmails();
+  assert.equal(next.skipped, 1);
+  assert.equal(getHistory({ type: 'email' }).at(-1).reason, 'dead_lettered');
+});
+
+test('dry run generates replies without sending, labelling or recording', async () => {
+  const id = mail.addMessage({ subject: 'help' });
+
+  const results = await processUnreadEmails(undefined, { dryRun: true });
+
+  assert.equal(results.dryRun, true);
+  assert.equal(results.emails[0].status, 'success');
+  assert.equal(results.emails[0].actions[0].status, 'dry_run');
+  assert.match(results.emails[0].actions[0].replyText, /^Thanks/);
+  assert.equal(mail.sent.length, 0);
+  assert.deepEqual(mail.getLabels(id).sort(), ['INBOX', 'UNREAD']);
+  assert.equal(getHistory().length, 0);
+});
+
+test('rules with template_reply and forward actions reply without the LLM', async () => {
+  const rules = [
+    {
+      ...TEST_RULES.rules[0],
+      actions: [
+        { type: 'template_reply', template: 'Hi {{senderName}}, we got "{{subject}}".' },
+        { type: 'forward', to: 'oncall@example.com', note: 'FYI' },
+        { type: 'archive' },
+      ],
+    },
+  ];
+  ({ mail, llm } = setupPipeline({ rules: { rules } }));
+  const id = mail.addMessage({ subject: 'help please' });
+
+  const results = await processUnreadEmails();
+
+  assert.equal(results.processed, 1);
+  assert.equal(llm.requests.length, 0);
+  assert.equal(mail.sent[0].text, 'Hi Alice, we got "help please".');
+  assert.equal(mail.sent[1].to, 'oncall@example.com');
+  assert.match(mail.sent[1].text, /^FYI\n\n---------- Forwarded message/);
+  assert.ok(!mail.getLabels(id).includes('INBOX'));
+});
+
+test('a second run is refused while one is in progress', async () => {
+  mail.addMessage({ subject: 'help' });
+  const emails = await mail.getUnreadEmails();
+
+  const first = processBatch(emails);
+  await assert.rejects(processUnreadEmails(), (error) => error.statusCode === 409);
+  await assert.rejects(retryFailedEmail(emails[0].id), /already running/);
+  assert.equal((await processBatch(emails, { dryRun: true })).dryRun, true);
+
+  assert.equal((await first).processed, 1);
+  assert.equal(mail.sent.length, 1);
+  assert.equal((await processUnreadEmails()).total, 0);
+});
@@ -0,0 +1,129 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, TEST_RULES } from './helpers/harness.js';
+import {
+  getMatchingRules,
+  shouldProcessEmail,
+  shouldIgnoreEmail,
+  getIgnoreMatches,
+  buildContextFromRules,
+  requiresApproval,
+  explainRules,
+} from '../src/filters/engine.js';
+import { validateRulesConfig } from '../src/filters/schema.js';
+
+const email = (fields) => ({ id: 'm1', from: 'Alice <alice@example.com>', subject: '', body: '', labelIds: [], ...fields });
+
+beforeEach(() => setupPipeline());
+
+test('highest-priority strategy picks the highest matching enabled rule', () => {
+  const matched = getMatchingRules(email({ subject: 'Need help with pricing' }));
+  assert.deepEqual(matched.map((rule) => rule.id), ['support']);
+});
+
+test('disabled rules never match', () => {
+  const matched = getMatchingRules(email({ body: 'help' }));
+  assert.equal(matched[0].id, 'support');
+  assert.ok(!matched.some((rule) => rule.id === 'disabled'));
+});
+
+test('keywords match the subject and body case-insensitively', () => {
+  assert.equal(getMatchingRules(email({ body: 'Could you send a QUOTE?' }))[0].id, 'sales');
+  assert.equal(getMatchingRules(email({ subject: 'Hello' })).length, 0);
+});
+
+test('mustMatch all requires every keyword', () => {
+  setupPipeline({
+    rules: {
+      rules: [{ ...TEST_RULES.rules[1], conditions: { keywords: ['pricing', 'enterprise'], mustMatch: 'all' } }],
+    },
+  });
+
+  assert.equal(getMatchingRules(email({ body: 'pricing please' })).length, 0);
+  assert.equal(getMatchingRules(email({ body: 'enterprise pricing please' })).length, 1);
+});
+
+test('explainRules leaves out terms from branches that did not hold', () => {
+  const conditions = { any: [{ keywords: ['help'], from: ['bob@'] }, { keywords: ['broken'] }] };
+  const rules = TEST_RULES.rules.map((rule) => (rule.id === 'support' ? { ...rule, conditions } : rule));
+  setupPipeline({ rules: { rules } });
+
+  const report = explainRules(email({ body: 'help, my login is broken' }));
+  const support = report.rules.find((rule) => rule.id === 'support');
+  assert.equal(support.matched, true);
+  assert.deepEqual(support.terms.map((term) => term.value), ['broken']);
+});
+
+test('labels conditions match label ids and label names', () => {
+  const rules = [{ ...TEST_RULES.rules[0], conditions: { labels: ['customers', 'IMPORTANT'] } }];
+  setupPipeline({ rules: { rules } });
+
+  assert.equal(shouldProcessEmail(email({ labelIds: ['INBOX', 'Label_12'], labelNames: ['Customers'] })), true);
+  assert.equal(shouldProcessEmail(email({ labelIds: ['INBOX', 'IMPORTANT'] })), true);
+  assert.equal(shouldProcessEmail(email({ labelIds: ['INBOX', 'Label_12'] })), false);
+});
+
+test('first-match strategy follows file order instead of priority', () => {
+  const rules = [TEST_RULES.rules[1], TEST_RULES.rules[0]];
+  setupPipeline({ rules: { matchStrategy: 'first-match', rules } });
+
+  assert.equal(getMatchingRules(email({ body: 'help with pricing' }))[0].id, 'sales');
+});
+
+test('merge strategy applies every match and joins their contexts', () => {
+  setupPipeline({ rules: { matchStrategy: 'merge' } });
+  const message = email({ body: 'help with pricing' });
+
+  assert.deepEqual(getMatchingRules(message).map((rule) => rule.id), ['support', 'sales']);
+  assert.equal(buildContextFromRules(message), 'This is a support request. This is a sales inquiry');
+});
+
+test('stopProcessing ends evaluation under merge', () => {
+  const rules = TEST_RULES.rules.map((rule) => (rule.id === 'support' ? { ...rule, stopProcessing: true } : rule));
+  setupPipeline({ rules: { matchStrategy: 'merge', rules } });
+
+  assert.deepEqual(getMatchingRules(email({ body: 'help with pricing' })).map((rule) => rule.id), ['support']);
+});
+
+test('ignore_senders and ignore_subject_contains stop processing', () => {
+  const fromNoReply = email({ from: 'noreply@shop.example.com', body: 'help' });
+  const resetMail = email({ subject: 'Your Password Reset link', body: 'help' });
+
+  assert.deepEqual(getIgnoreMatches(fromNoReply), { senders: ['noreply@'], subjects: [] });
+  assert.deepEqual(getIgnoreMatches(resetMail), { senders: [], subjects: ['password reset'] });
+  assert.equal(shouldIgnoreEmail(fromNoReply), true);
+  assert.equal(shouldProcessEmail(fromNoReply), false);
+  assert.equal(shouldProcessEmail(resetMail), false);
+  assert.equal(shouldProcessEmail(email({ body: 'help' })), true);
+});
+
+test('empty ignore list entries are rejected', () => {
+  assert.throws(
+    () => validateRulesConfig({ ignore_rules: { ignore_senders: ['noreply@', ''] }, rules: [] }),
+    /ignore_rules\.ignore_senders\[1\]: String must contain at least 1 character/
+  );
+  assert.throws(
+    () => validateRulesConfig({ ignore_rules: { ignore_subject_contains: [''] }, rules: [] }),
+    /ignore_rules\.ignore_subject_contains\[0\]: String must contain at least 1 character/
+  );
+});
+
+test('requireApproval on a rule overrides REPLY_MODE', () => {
+  const rules = TEST_RULES.rules.map((rule) => (rule.id === 'sales' ? { ...rule, requireApproval: true } : rule));
+  setupPipeline({ rules: { rules } });
+
+  assert.equal(requiresApproval(email({ body: 'pricing' })), true);
+  assert.equal(requiresApproval(email({ body: 'help' })), false);
+});
+
+test('explainRules reports matched terms without side effects', () => {
+  const report = explainRules(email({ subject: 'Broken login', body: 'please help' }));
+
+  assert.equal(report.ignored, false);
+  assert.equal(report.would_process, true);
+  assert.equal(report.winning_rule, 'support');
+  const support = report.rules.find((rule) => rule.id === 'support');
+  assert.equal(support.matched, true);
+  assert.ok(support.terms.length > 0);
+  assert.equal(report.rules.find((rule) => rule.id === 'disabled').matched, false);
+});
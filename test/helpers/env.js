@@ -0,0 +1,45 @@
+/**
+ * Point the app at throwaway config, data and knowledge directories and
+ * clear the environment switches that change pipeline behaviour. Must be
+ * imported before any module from src/ (harness.js does this first).
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TEST_SETTINGS, TEST_RULES } from './fixtures.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'email-automation-test-'));
+
+export const CONFIG_DIR = path.join(root, 'config');
+export const DATA_DIR = path.join(root, 'data');
+export const KNOWLEDGE_DIR = path.join(root, 'knowledge');
+
+fs.mkdirSync(CONFIG_DIR);
+fs.writeFileSync(path.join(CONFIG_DIR, 'settings.json'), JSON.stringify(TEST_SETTINGS, null, 2));
+fs.writeFileSync(path.join(CONFIG_DIR, 'rules.json'), JSON.stringify(TEST_RULES, null, 2));
+
+process.env.CONFIG_DIR = CONFIG_DIR;
+process.env.DATA_DIR = DATA_DIR;
+process.env.KNOWLEDGE_DIR = KNOWLEDGE_DIR;
+process.env.OPENAI_API_KEY = 'test-key';
+
+for (const name of [
+  'MAIL_PROVIDER',
+  'REPLY_MODE',
+  'DRY_RUN',
+  'MAX_REPLIES_PER_THREAD',
+  'THREAD_COOLDOWN_MINUTES',
+  'SENDER_COOLDOWN_MINUTES',
+  'MARK_AS_READ_AFTER_REPLY',
+  'PROCESSING_INTERVAL_MINUTES',
+  'OPENAI_MODEL',
+  'ANTHROPIC_API_KEY',
+  'ANTHROPIC_MODEL',
+  'ANTHROPIC_BASE_URL',
+  'AZURE_OPENAI_DEPLOYMENT',
+  'OPENAI_COMPATIBLE_MODEL',
+]) {
+  delete process.env[name];
+}
+
+process.on('exit', () => fs.rmSync(root, { recursive: true, force: true }));
@@ -0,0 +1,53 @@
+import { TEST_ANALYSIS } from './fixtures.js';
+
+/**
+ * Default answer: TEST_ANALYSIS for structured-output requests, a canned
+ * reply otherwise
+ */
+function defaultRespond(body) {
+  if (body.response_format) {
+    return JSON.stringify(TEST_ANALYSIS);
+  }
+  return `Thanks for your email! [${body.messages.length} messages]`;
+}
+
+/**
+ * Fake OpenAI client, installed on the chat-completions LLM providers with
+ * setClient(). Answers every chat completion with respond(body) (a string,
+ * or null for an empty response) and records the requests it received.
+ */
+export function createFakeLlm({ respond = defaultRespond } = {}) {
+  const requests = [];
+  const failures = [];
+
+  return {
+    requests,
+
+    /**
+     * Make the next completion(s) throw the given error
+     */
+    failNext(error = new Error('LLM unavailable'), times = 1) {
+      failures.push(...Array(times).fill(error));
+    },
+
+    /**
+     * Replace the response function
+     */
+    setResponse(fn) {
+      respond = typeof fn === 'function' ? fn : () => fn;
+    },
+
+    chat: {
+      completions: {
+        async create(body) {
+          requests.push(body);
+          if (failures.length > 0) {
+            throw failures.shift();
+          }
+          const content = respond(body);
+          return { choices: content === null ? [] : [{ message: { role: 'assistant', content } }] };
+        },
+      },
+    },
+  };
+}
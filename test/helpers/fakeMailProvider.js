@@ -0,0 +1,271 @@
+/**
+ * In-memory mail provider with the same interface as the Gmail and IMAP
+ * providers. Messages are stored as raw MIME and parsed on read, and
+ * replies are built with the shared composer, so tests exercise the real
+ * message construction and parsing code.
+ */
+import { getConfig } from '../../src/config/configManager.js';
+import { buildMimeMessage } from '../../src/mail/mimeBuilder.js';
+import { parseMessagePayload } from '../../src/mail/mimeParser.js';
+import { parseRawMessage, getRawPartContent } from '../../src/mail/rawMessage.js';
+import { composeReply, composeForward } from '../../src/mail/replyMessage.js';
+
+/**
+ * Find a header value case-insensitively in a Gmail-style payload
+ */
+function getHeader(payload, name) {
+  return payload.headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+}
+
+/**
+ * Parse a raw message into the fields tests usually assert on
+ */
+export function parseSentMessage(raw) {
+  const payload = parseRawMessage(raw);
+  const { body, parts, attachments } = parseMessagePayload(payload);
+  const htmlPart = parts.find((part) => part.mimeType === 'text/html');
+  return {
+    raw,
+    from: getHeader(payload, 'From'),
+    to: getHeader(payload, 'To'),
+    cc: getHeader(payload, 'Cc'),
+    subject: getHeader(payload, 'Subject'),
+    messageId: getHeader(payload, 'Message-ID'),
+    inReplyTo: getHeader(payload, 'In-Reply-To'),
+    references: getHeader(payload, 'References'),
+    text: body.replace(/\r\n/g, '\n'),
+    html: htmlPart ? htmlPart.content : null,
+    attachments,
+  };
+}
+
+/**
+ * Create an empty fake mailbox owned by ownAddress
+ */
+export function createFakeMailProvider({ ownAddress = 'me@example.com' } = {}) {
+  const messages = new Map();
+  const drafts = new Map();
+  const sent = [];
+  const failures = new Map();
+  const calls = [];
+  let nextId = 1;
+
+  /**
+   * Record a call and throw if a failure was queued for this method
+   */
+  function track(method, args) {
+    calls.push({ method, args });
+    const queued = failures.get(method);
+    if (queued && queued.length > 0) {
+      throw queued.shift();
+    }
+  }
+
+  function getStored(messageId) {
+    const message = messages.get(messageId);
+    if (!message) {
+      const error = new Error(`Requested entity was not found: ${messageId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return message;
+  }
+
+  function details(messageId) {
+    return toDetails(messageId, getStored(messageId));
+  }
+
+  function toDetails(messageId, stored) {
+    const payload = parseRawMessage(stored.raw);
+    const { body, cleanBody, html, attachments, parts } = parseMessagePayload(payload);
+
+    return {
+      id: messageId,
+      threadId: stored.threadId,
+      from: getHeader(payload, 'From') || 'Unknown',
+      subject: getHeader(payload, 'Subject') || '(No Subject)',
+      to: getHeader(payload, 'To'),
+      cc: getHeader(payload, 'Cc'),
+      replyTo: getHeader(payload, 'Reply-To'),
+      messageIdHeader: getHeader(payload, 'Message-ID'),
+      inReplyTo: getHeader(payload, 'In-Reply-To'),
+      references: getHeader(payload, 'References'),
+      body,
+      cleanBody,
+      html,
+      attachments,
+      parts,
+      labelIds: [...stored.labels],
+      hasAttachments: attachments.length > 0,
+      timestamp: String(stored.date.getTime()),
+    };
+  }
+
+  function deliver(raw, threadId) {
+    const entry = { id: `sent-${sent.length + 1}`, threadId, date: new Date(), ...parseSentMessage(raw) };
+    sent.push(entry);
+    return { id: entry.id, threadId };
+  }
+
+  function compose(messageId, replyText, options) {
+    const original = details(messageId);
+    return { original, ...composeReply(original, replyText, ownAddress, options) };
+  }
+
+  return {
+    name: 'fake',
+    ownAddress,
+    messages,
+    drafts,
+    sent,
+    calls,
+
+    /**
+     * Put a message in the mailbox (unread, in INBOX unless labels say
+     * otherwise) and return its id. replyTo and messageIdHeader add those
+     * headers; other fields go to buildMimeMessage.
+     */
+    addMessage({
+      id = `msg-${nextId++}`,
+      threadId,
+      labels = ['INBOX', 'UNREAD'],
+      date = new Date(),
+      replyTo,
+      messageIdHeader = `<${id}@mail.example.com>`,
+      from = 'Alice <alice@example.com>',
+      to = ownAddress,
+      ...fields
+    } = {}) {
+      const extraHeaders = [`Message-ID: ${messageIdHeader}`, replyTo ? `Reply-To: ${replyTo}` : null].filter(Boolean);
+      const raw = `${extraHeaders.join('\r\n')}\r\n${buildMimeMessage({ from, to, date, ...fields })}`;
+      messages.set(id, { raw, threadId: threadId || `thread-${id}`, labels: new Set(labels), date });
+      return id;
+    },
+
+    /**
+     * Make the next call(s) to a method throw the given error
+     */
+    failNext(method, error = new Error(`${method} failed`), times = 1) {
+      failures.set(method, [...(failures.get(method) || []), ...Array(times).fill(error)]);
+    },
+
+    /**
+     * Current labels of a message
+     */
+    getLabels(messageId) {
+      return [...getStored(messageId).labels];
+    },
+
+    async initialize() {
+      track('initialize', []);
+    },
+
+    async getUnreadEmails(maxResults) {
+      track('getUnreadEmails', [maxResults]);
+      const { useLabel, excludeLabels, emailBatchSize } = getConfig('settings');
+      const ids = [...messages.entries()]
+        .filter(([, message]) => message.labels.has('UNREAD'))
+        .filter(([, message]) => !useLabel || message.labels.has(useLabel))
+        .filter(([, message]) => !excludeLabels.some((label) => message.labels.has(label)))
+        .map(([id]) => id)
+        .slice(0, maxResults || emailBatchSize);
+      return ids.map(details);
+    },
+
+    async getEmailDetails(messageId) {
+      track('getEmailDetails', [messageId]);
+      return details(messageId);
+    },
+
+    /**
+     * Messages of the thread, the replies sent into it and its drafts, oldest first
+     */
+    async getThread(threadId) {
+      track('getThread', [threadId]);
+      const received = [...messages.entries()]
+        .filter(([, message]) => message.threadId === threadId)
+        .map(([id, message]) => toDetails(id, message));
+      const replies = sent
+        .filter((entry) => entry.threadId === threadId)
+        .map((entry) => toDetails(entry.id, { ...entry, labels: new Set(['SENT']) }));
+      // Like Gmail, threads include their drafts
+      const pendingDrafts = [...drafts.entries()]
+        .filter(([, draft]) => draft.threadId === threadId)
+        .map(([id, draft]) => toDetails(id, { ...draft, labels: new Set(['DRAFT']) }));
+      return [...received, ...replies, ...pendingDrafts].sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+    },
+
+    async getAttachmentData(messageId, attachmentId) {
+      track('getAttachmentData', [messageId, attachmentId]);
+      const content = getRawPartContent(getStored(messageId).raw, attachmentId);
+      if (!content) {
+        throw new Error(`Attachment ${attachmentId} not found on ${messageId}`);
+      }
+      return content;
+    },
+
+    async sendReply(messageId, replyText, options = {}) {
+      track('sendReply', [messageId, replyText, options]);
+      const { original, raw } = compose(messageId, replyText, options);
+      return deliver(raw, original.threadId);
+    },
+
+    async forwardEmail(messageId, to, note = '') {
+      track('forwardEmail', [messageId, to, note]);
+      const original = details(messageId);
+      return deliver(composeForward(original, to, note, ownAddress), `thread-fwd-${messageId}`);
+    },
+
+    async createReplyDraft(messageId, replyText, options = {}) {
+      track('createReplyDraft', [messageId, replyText, options]);
+      const { original, raw } = compose(messageId, replyText, options);
+      const id = `draft-${nextId++}`;
+      drafts.set(id, { raw, threadId: original.threadId, messageId, text: replyText, date: new Date() });
+      return { id };
+    },
+
+    async updateReplyDraft(draftId, messageId, replyText, options = {}) {
+      track('updateReplyDraft', [draftId, messageId, replyText, options]);
+      if (!drafts.has(draftId)) {
+        throw new Error(`Draft ${draftId} not found`);
+      }
+      const { original, raw } = compose(messageId, replyText, options);
+      drafts.set(draftId, { raw, threadId: original.threadId, messageId, text: replyText, date: new Date() });
+      return { id: draftId };
+    },
+
+    async sendDraft(draftId) {
+      track('sendDraft', [draftId]);
+      const draft = drafts.get(draftId);
+      if (!draft) {
+        throw new Error(`Draft ${draftId} not found`);
+      }
+      drafts.delete(draftId);
+      return deliver(draft.raw, draft.threadId);
+    },
+
+    async deleteDraft(draftId) {
+      track('deleteDraft', [draftId]);
+      if (!drafts.delete(draftId)) {
+        throw new Error(`Draft ${draftId} not found`);
+      }
+    },
+
+    async markAsRead(messageId) {
+      track('markAsRead', [messageId]);
+      getStored(messageId).labels.delete('UNREAD');
+    },
+
+    async addLabel(messageId, labelName) {
+      track('addLabel', [messageId, labelName]);
+      getStored(messageId).labels.add(labelName);
+    },
+
+    async modifyLabels(messageId, { addLabelIds = [], removeLabelIds = [] }) {
+      track('modifyLabels', [messageId, { addLabelIds, removeLabelIds }]);
+      const { labels } = getStored(messageId);
+      addLabelIds.forEach((label) => labels.add(label));
+      removeLabelIds.forEach((label) => labels.delete(label));
+    },
+  };
+}
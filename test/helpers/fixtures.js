@@ -0,0 +1,74 @@
+/**
+ * Config used by the pipeline tests. Retries are off and the rate limit is
+ * high so failures surface immediately and nothing waits.
+ */
+export const TEST_SETTINGS = {
+  processingInterval: 5,
+  maxRetries: 0,
+  retryDelayMs: 1,
+  maxProcessingAttempts: 3,
+  retryBackoffMinutes: 5,
+  emailBatchSize: 10,
+  apiRateLimitPerMinute: 6000,
+  markAsReadAfterReply: true,
+  useLabel: 'INBOX',
+  excludeLabels: ['SPAM'],
+  responseTimeout: 30000,
+  maxAttachmentBytes: 1024,
+  attachmentTextLimit: 200,
+  logLevel: 'error',
+};
+
+export const TEST_RULES = {
+  ignore_rules: {
+    ignore_senders: ['noreply@', 'notifications@example.com'],
+    ignore_subject_contains: ['password reset'],
+  },
+  matchStrategy: 'highest-priority',
+  rules: [
+    {
+      id: 'support',
+      name: 'Support',
+      enabled: true,
+      priority: 20,
+      conditions: { keywords: ['help', 'broken'], mustMatch: 'any' },
+      context: 'This is a support request',
+    },
+    {
+      id: 'sales',
+      name: 'Sales',
+      enabled: true,
+      priority: 10,
+      conditions: { keywords: ['pricing', 'quote'], mustMatch: 'any' },
+      context: 'This is a sales inquiry',
+    },
+    {
+      id: 'invoices',
+      name: 'Invoices',
+      enabled: true,
+      priority: 5,
+      conditions: { keywords: ['invoice'], mustMatch: 'any' },
+      context: 'This is about an invoice',
+      actions: [{ type: 'label', labels: ['Finance'] }, { type: 'star' }],
+    },
+    {
+      id: 'disabled',
+      name: 'Disabled',
+      enabled: false,
+      priority: 100,
+      conditions: { keywords: ['help'], mustMatch: 'any' },
+      context: 'Never used',
+    },
+  ],
+};
+
+// What the fake LLM answers to structured analysis requests
+export const TEST_ANALYSIS = {
+  category: 'support',
+  sentiment: 'negative',
+  urgency: 'high',
+  language: 'en',
+  intent: 'report a broken login',
+  requiresHuman: false,
+  entities: { dates: [], orderNumbers: ['A-1001'], amounts: [{ value: 49.99, currency: 'USD' }] },
+};
@@ -0,0 +1,60 @@
+/**
+ * Shared setup for tests that run the pipeline, the MCP tools or the HTTP
+ * routes. Import this before anything from src/: it points the app at a
+ * temporary config and data directory, silences logging, and installs a
+ * fresh fake mailbox and LLM for each test.
+ */
+import fs from 'fs';
+import { DATA_DIR, KNOWLEDGE_DIR } from './env.js';
+import { TEST_SETTINGS, TEST_RULES, TEST_ANALYSIS } from './fixtures.js';
+import { createFakeMailProvider } from './fakeMailProvider.js';
+import { createFakeLlm } from './fakeLlm.js';
+import { writeConfig } from '../../src/config/configManager.js';
+import { setMailProvider } from '../../src/mail/mailProvider.js';
+import { getLlmProvider } from '../../src/ai/llmProvider.js';
+import { logger } from '../../src/utils/logger.js';
+
+export { parseSentMessage } from './fakeMailProvider.js';
+export { TEST_SETTINGS, TEST_RULES, TEST_ANALYSIS };
+
+logger.silent = true;
+
+/**
+ * Reset config and persistent state, and install a fresh fake mailbox and
+ * LLM. rules and settings override parts of the fixtures.
+ */
+export function setupPipeline({ rules = {}, settings = {}, llm = {} } = {}) {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+  fs.rmSync(KNOWLEDGE_DIR, { recursive: true, force: true });
+  writeConfig('settings', { ...TEST_SETTINGS, ...settings });
+  writeConfig('rules', { ...structuredClone(TEST_RULES), ...rules });
+
+  const mail = createFakeMailProvider();
+  const fakeLlm = createFakeLlm(llm);
+  setMailProvider(mail);
+  // Every chat-completions provider talks to the same fake
+  for (const name of ['openai', 'azure', 'compatible']) {
+    getLlmProvider(name).setClient(fakeLlm);
+  }
+
+  return { mail, llm: fakeLlm };
+}
+
+/**
+ * Run fn with environment variables set, restoring them afterwards
+ */
+export async function withEnv(vars, fn) {
+  const previous = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
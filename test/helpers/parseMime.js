@@ -0,0 +1,90 @@
+/**
+ * Minimal raw MIME parser used to check generated messages from the
+ * receiving side. Returns { headers, contentType, params, body, parts }.
+ */
+
+/**
+ * Decode RFC 2047 encoded words (B and Q encodings)
+ */
+export function decodeEncodedWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      if (encoding.toUpperCase() === 'B') {
+        return Buffer.from(text, 'base64').toString('utf-8');
+      }
+      return decodeQuotedPrintable(text.replace(/_/g, ' ')).toString('utf-8');
+    });
+}
+
+/**
+ * Decode quoted-printable text to bytes
+ */
+export function decodeQuotedPrintable(text) {
+  const unwrapped = text.replace(/=\r\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < unwrapped.length; i++) {
+    if (unwrapped[i] === '=' && /^[0-9A-F]{2}$/i.test(unwrapped.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(unwrapped.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(unwrapped[i], 'utf-8'));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Parse "type/subtype; a=b; c="d"" into a type and parameters
+ */
+function parseContentType(value = 'text/plain') {
+  const [type, ...rest] = value.split(';');
+  const params = {};
+  for (const param of rest) {
+    const match = param.trim().match(/^([^=*]+\*?)=("?)(.*)\2$/);
+    if (match) {
+      params[match[1].toLowerCase()] = match[3];
+    }
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+/**
+ * Parse a raw message (or body part) with CRLF line endings
+ */
+export function parseMime(raw) {
+  const split = raw.indexOf('\r\n\r\n');
+  const headerText = split === -1 ? raw : raw.slice(0, split);
+  const bodyText = split === -1 ? '' : raw.slice(split + 4);
+
+  const headers = {};
+  for (const line of headerText.replace(/\r\n[ \t]/g, ' ').split('\r\n')) {
+    const index = line.indexOf(':');
+    headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+  }
+
+  const { type, params } = parseContentType(headers['content-type']);
+  const part = { headers, contentType: type, params, rawHeaders: headerText };
+
+  if (type.startsWith('multipart/')) {
+    const boundary = `--${params.boundary}`;
+    const sections = bodyText.split(`\r\n${boundary}`);
+    // The first section runs up to the first boundary line
+    const first = sections[0].startsWith(boundary) ? sections[0].slice(boundary.length) : null;
+    const chunks = [first, ...sections.slice(1)].filter((chunk) => chunk !== null);
+    part.parts = chunks
+      .filter((chunk) => !chunk.startsWith('--'))
+      .map((chunk) => parseMime(chunk.replace(/^\r\n/, '')));
+    return part;
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '7bit').toLowerCase();
+  if (encoding === 'base64') {
+    part.body = Buffer.from(bodyText.replace(/\r\n/g, ''), 'base64');
+  } else if (encoding === 'quoted-printable') {
+    part.body = decodeQuotedPrintable(bodyText);
+  } else {
+    part.body = Buffer.from(bodyText, 'utf-8');
+  }
+  return part;
+}
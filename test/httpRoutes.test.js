@@ -0,0 +1,378 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, withEnv } from './helpers/harness.js';
+import app from '../src/server.js';
+
+let server;
+let baseUrl;
+let mail;
+let llm;
+
+/**
+ * Call a route and return { status, body }. A body makes it a POST.
+ */
+async function call(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  ({ mail, llm } = setupPipeline());
+});
+
+test('GET /, /health and /mcp/info describe the server', async () => {
+  assert.equal((await call('/')).body.status, 'running');
+  assert.equal((await call('/health')).body.status, 'ok');
+
+  const { body: info } = await call('/mcp/info');
+  const routes = info.tools.map((tool) => tool.route);
+  assert.ok(routes.includes('POST /api/tools/get_unread_emails'));
+  assert.ok(routes.includes('POST /api/tools/discard_failed_email'));
+});
+
+test('unknown routes answer 404', async () => {
+  const { status } = await call('/api/tools/nope');
+  assert.equal(status, 404);
+});
+
+test('GET /api/tools/get_system_status and get_statistics', async () => {
+  const { body: status } = await call('/api/tools/get_system_status');
+  assert.equal(status.success, true);
+  assert.equal(status.data.scheduler_running, false);
+
+  mail.addMessage({ subject: 'help' });
+  await call('/api/tools/process_emails_now', {});
+  const { body: stats } = await call('/api/tools/get_statistics?days=1');
+  assert.equal(stats.data.total_processed, 1);
+});
+
+test('POST /api/tools/get_unread_emails and get_email', async () => {
+  const id = mail.addMessage({ subject: 'Hello there', text: 'Body text' });
+
+  const { body: unread } = await call('/api/tools/get_unread_emails', { max_results: 5 });
+  assert.equal(unread.data.count, 1);
+  assert.deepEqual(Object.keys(unread.data.emails[0]), ['id', 'from', 'subject', 'timestamp']);
+
+  const { body: email } = await call('/api/tools/get_email', { message_id: id });
+  assert.equal(email.data.subject, 'Hello there');
+  assert.equal(email.data.body, 'Body text');
+
+  assert.equal((await call('/api/tools/get_email', {})).status, 400);
+  assert.equal((await call('/api/tools/get_email', { message_id: 'missing' })).status, 500);
+});
+
+test('POST /api/tools/list_attachments and get_attachment', async () => {
+  const id = mail.addMessage({
+    subject: 'Report',
+    text: 'See attached',
+    attachments: [
+      { filename: 'data.csv', contentType: 'text/csv', content: Buffer.from('a,b\n1,2\n') },
+      { filename: 'big.bin', content: Buffer.alloc(2048) },
+    ],
+  });
+
+  const { body: list } = await call('/api/tools/list_attachments', { message_id: id });
+  assert.equal(list.data.count, 2);
+  const [csv, big] = list.data.attachments;
+  assert.equal(csv.textExtractable, true);
+
+  const { body: attachment } = await call('/api/tools/get_attachment', { message_id: id, part_id: csv.partId });
+  assert.equal(attachment.data.text, 'a,b\n1,2\n');
+  assert.equal(Buffer.from(attachment.data.content_base64, 'base64').toString(), 'a,b\n1,2\n');
+
+  const tooBig = await call('/api/tools/get_attachment', { message_id: id, part_id: big.partId });
+  assert.equal(tooBig.status, 413);
+  const missing = await call('/api/tools/get_attachment', { message_id: id, part_id: '9' });
+  assert.equal(missing.status, 404);
+});
+
+test('POST /api/tools/analyze_email analyzes a message once and caches it', async () => {
+  const id = mail.addMessage({ subject: 'Login broken', text: 'Order A-1001' });
+
+  const { body: first } = await call('/api/tools/analyze_email', { message_id: id });
+  assert.equal(first.data.analysis.category, 'support');
+  assert.equal(first.data.cached, false);
+
+  const { body: second } = await call('/api/tools/analyze_email', { message_id: id });
+  assert.equal(second.data.cached, true);
+  assert.equal(llm.requests.length, 1);
+
+  assert.equal((await call('/api/tools/analyze_email', {})).status, 400);
+  assert.equal((await call('/api/tools/analyze_email', { message_id: 'missing' })).status, 500);
+});
+
+test('POST /api/tools/send_reply sends and records a manual reply', async () => {
+  const id = mail.addMessage({ subject: 'help', cc: 'carol@example.com' });
+
+  const { body } = await call('/api/tools/send_reply', { message_id: id, reply_text: 'On it.', reply_all: true });
+  assert.equal(body.success, true);
+  assert.equal(mail.sent[0].text, 'On it.');
+  assert.equal(mail.sent[0].cc, 'carol@example.com');
+
+  // The ledger stops the pipeline from answering the same message again
+  const { body: processed } = await call('/api/tools/process_emails_now', {});
+  assert.equal(processed.data.skipped, 1);
+  assert.equal((await call('/api/tools/send_reply', { message_id: id })).status, 400);
+});
+
+test('POST /api/tools/mark_as_read and add_label', async () => {
+  const id = mail.addMessage({ subject: 'Hello' });
+
+  await call('/api/tools/mark_as_read', { message_id: id });
+  await call('/api/tools/add_label', { message_id: id, label_name: 'Later' });
+
+  assert.deepEqual(mail.getLabels(id).sort(), ['INBOX', 'Later']);
+  assert.equal((await call('/api/tools/add_label', { message_id: id })).status, 400);
+});
+
+test('POST /api/tools/process_emails_now processes, dry-runs and handles an empty inbox', async () => {
+  const { body: empty } = await call('/api/tools/process_emails_now', {});
+  assert.equal(empty.data.message, 'No unread emails to process');
+
+  mail.addMessage({ subject: 'help' });
+  const { body: dry } = await call('/api/tools/process_emails_now?dry_run=true', {});
+  assert.equal(dry.data.dryRun, true);
+  assert.equal(mail.sent.length, 0);
+
+  const { body: real } = await call('/api/tools/process_emails_now', {});
+  assert.equal(real.data.processed, 1);
+  assert.equal(mail.sent.length, 1);
+  assert.equal(llm.requests.length, 2);
+});
+
+test('POST /api/tools/process_emails_now also retries failed emails that are no longer unread', async () => {
+  ({ mail, llm } = setupPipeline({ settings: { retryBackoffMinutes: 0 } }));
+  const id = mail.addMessage({ subject: 'help' });
+  mail.failNext('addLabel');
+  await call('/api/tools/process_emails_now', {});
+  assert.ok(!mail.getLabels(id).includes('UNREAD'));
+
+  const { body } = await call('/api/tools/process_emails_now', {});
+
+  assert.equal(body.data.processed, 1);
+  assert.ok(mail.getLabels(id).includes('AutoReplied/support'));
+  assert.equal(mail.sent.length, 1);
+});
+
+test('rule routes create, update, toggle and delete rules', async () => {
+  const created = await call('/api/tools/create_rule', { rule_id: 'hr', name: 'HR', keywords: ['vacation'], priority: 3 });
+  assert.deepEqual(created.body.data.conditions, { keywords: ['vacation'], mustMatch: 'any' });
+  assert.equal((await call('/api/tools/create_rule', { rule_id: 'hr', name: 'HR' })).status, 409);
+  assert.equal((await call('/api/tools/create_rule', { name: 'HR' })).status, 400);
+
+  const updated = await call('/api/tools/update_rule', { rule_id: 'hr', new_id: 'people', must_match: 'all' });
+  assert.equal(updated.body.data.id, 'people');
+  assert.equal(updated.body.data.conditions.mustMatch, 'all');
+
+  await call('/api/tools/toggle_rule', { rule_id: 'people', enabled: false });
+  const { body: list } = await call('/api/tools/list_rules');
+  assert.equal(list.data.rules.find((rule) => rule.id === 'people').enabled, false);
+  assert.equal(list.data.matchStrategy, 'highest-priority');
+
+  await call('/api/tools/delete_rule', { rule_id: 'people' });
+  assert.equal((await call('/api/tools/delete_rule', { rule_id: 'people' })).status, 404);
+  assert.equal((await call('/api/tools/toggle_rule', { rule_id: 'sales' })).status, 400);
+});
+
+test('ignore list routes add and remove entries', async () => {
+  const added = await call('/api/tools/add_ignore_entry', { list: 'senders', value: 'bounce@' });
+  assert.deepEqual(added.body.data.entries, ['noreply@', 'notifications@example.com', 'bounce@']);
+
+  const removed = await call('/api/tools/remove_ignore_entry', { list: 'senders', value: 'BOUNCE@' });
+  assert.deepEqual(removed.body.data.entries, ['noreply@', 'notifications@example.com']);
+
+  assert.equal((await call('/api/tools/remove_ignore_entry', { list: 'senders', value: 'bounce@' })).status, 404);
+  assert.equal((await call('/api/tools/add_ignore_entry', { list: 'domains', value: 'x' })).status, 400);
+  assert.equal((await call('/api/tools/add_ignore_entry', { list: 'senders', value: ['x'] })).status, 400);
+  assert.equal((await call('/api/tools/remove_ignore_entry', { list: 'subjects', value: 42 })).status, 400);
+});
+
+test('POST /api/tools/test_rules explains a supplied email or a stored message', async () => {
+  const { body: supplied } = await call('/api/tools/test_rules', { email: { subject: 'Pricing question' } });
+  assert.equal(supplied.data.winning_rule, 'sales');
+
+  const id = mail.addMessage({ subject: 'Hi', text: 'something is broken' });
+  const { body: stored } = await call('/api/tools/test_rules', { message_id: id });
+  assert.equal(stored.data.winning_rule, 'support');
+  assert.equal(mail.sent.length, 0);
+
+  assert.equal((await call('/api/tools/test_rules', {})).status, 400);
+});
+
+test('POST /api/tools/update_settings validates and saves settings', async () => {
+  const { body } = await call('/api/tools/update_settings', { settings: { emailBatchSize: 7 } });
+  assert.equal(body.data.emailBatchSize, 7);
+  assert.equal((await call('/api/resources/settings')).body.data.emailBatchSize, 7);
+
+  assert.equal((await call('/api/tools/update_settings', { settings: { emailBatchSize: -1 } })).status, 400);
+  assert.equal((await call('/api/tools/update_settings', {})).status, 400);
+});
+
+test('prompt template routes save, get, list, preview and delete templates', async () => {
+  const { body: saved } = await call('/api/tools/save_prompt_template', {
+    template_id: 'formal',
+    system: 'Reply formally to {{senderName}}. {{context}}',
+  });
+  assert.equal(saved.data.version, 1);
+
+  const { body: listed } = await call('/api/tools/list_prompt_templates');
+  assert.deepEqual(
+    listed.data.map((template) => template.id),
+    ['default', 'formal']
+  );
+
+  const { body: fetched } = await call('/api/tools/get_prompt_template', { template_id: 'default' });
+  assert.match(fetched.data.system, /2-3 sentences/);
+
+  const { body: preview } = await call('/api/tools/preview_prompt', { template_id: 'formal', rule_id: 'sales' });
+  assert.equal(preview.data.system, 'Reply formally to Jane Doe. This is a sales inquiry');
+  assert.equal(llm.requests.length, 0);
+
+  assert.equal((await call('/api/tools/delete_prompt_template', { template_id: 'formal' })).status, 200);
+  assert.equal((await call('/api/tools/get_prompt_template', { template_id: 'formal' })).status, 404);
+  assert.equal((await call('/api/tools/save_prompt_template', { template_id: 'x', system: '{{nope}}' })).status, 400);
+  assert.equal((await call('/api/tools/save_prompt_template', { template_id: 'x' })).status, 400);
+});
+
+test('knowledge routes add, list and search documents', async () => {
+  const content = '# Shipping\n\nWe ship worldwide within five days.';
+  const { body: added } = await call('/api/tools/add_knowledge_document', { name: 'shipping', content });
+  assert.equal(added.data.document, 'general/shipping.md');
+
+  const { body: listed } = await call('/api/tools/list_knowledge_documents?collection=general');
+  assert.equal(listed.data[0].documents[0].passages, 1);
+
+  const { body: found } = await call('/api/tools/search_knowledge', { query: 'worldwide shipping', limit: 1 });
+  assert.equal(found.data[0].title, 'Shipping');
+
+  assert.equal((await call('/api/tools/search_knowledge', {})).status, 400);
+  assert.equal((await call('/api/tools/add_knowledge_document', { name: 'x' })).status, 400);
+  assert.equal((await call('/api/tools/list_knowledge_documents?collection=legal')).status, 404);
+});
+
+test('POST /api/tools/get_thread returns the earlier messages of a conversation', async () => {
+  mail.addMessage({ threadId: 't1', date: new Date(Date.UTC(2026, 9, 1)), subject: 'help', text: 'First' });
+  const second = mail.addMessage({ threadId: 't1', subject: 'Re: help', text: 'Second' });
+
+  const { body } = await call('/api/tools/get_thread', { message_id: second });
+  assert.equal(body.data.threadId, 't1');
+  assert.deepEqual(
+    body.data.messages.map((message) => message.text),
+    ['First']
+  );
+  assert.match(body.data.transcript, /^--- Alice <alice@example\.com>, 2026-10-01 00:00 UTC ---\nFirst$/);
+
+  const { body: empty } = await call('/api/tools/get_thread', { message_id: second, token_budget: 0 });
+  assert.equal(empty.data.omittedMessages, 1);
+
+  assert.equal((await call('/api/tools/get_thread', {})).status, 400);
+  assert.equal((await call('/api/tools/get_thread', { message_id: second, token_budget: -1 })).status, 400);
+  assert.equal((await call('/api/tools/get_thread', { message_id: 'missing' })).status, 404);
+});
+
+test('contact routes list, show, edit and delete profiles', async () => {
+  mail.addMessage({ from: 'Alice <alice@acme.com>', subject: 'help' });
+  await call('/api/tools/process_emails_now', {});
+
+  const { body: listed } = await call('/api/tools/list_contacts?vip=false');
+  assert.deepEqual(
+    listed.data.map((contact) => contact.email),
+    ['alice@acme.com']
+  );
+
+  const { body: updated } = await call('/api/tools/update_contact', { email: 'alice@acme.com', vip: true });
+  assert.equal(updated.data.vip, true);
+  assert.equal(updated.data.interactions, 1);
+  assert.equal((await call('/api/tools/get_contact', { email: 'alice@acme.com' })).body.data.name, 'Alice');
+  assert.equal((await call('/api/tools/list_contacts?vip=false')).body.data.length, 0);
+
+  assert.equal((await call('/api/tools/update_contact', { email: 'alice@acme.com', vip: 1 })).status, 400);
+  assert.equal((await call('/api/tools/get_contact', {})).status, 400);
+  assert.equal((await call('/api/tools/delete_contact', { email: 'alice@acme.com' })).status, 200);
+  assert.equal((await call('/api/tools/get_contact', { email: 'alice@acme.com' })).status, 404);
+});
+
+test('pending reply routes list, edit, approve and reject drafts', async () => {
+  const first = mail.addMessage({ subject: 'help' });
+  mail.addMessage({ subject: 'help again' });
+  await withEnv({ REPLY_MODE: 'review' }, () => call('/api/tools/process_emails_now', {}));
+
+  const { body: list } = await call('/api/tools/list_pending_replies');
+  assert.equal(list.data.count, 2);
+  const [toApprove, toReject] = list.data.items;
+  assert.equal(toApprove.messageId, first);
+
+  const edited = await call('/api/tools/edit_pending_reply', { pending_id: toApprove.id, reply_text: 'Edited reply' });
+  assert.equal(edited.body.data.replyText, 'Edited reply');
+
+  const approved = await call('/api/tools/approve_pending_reply', { pending_id: toApprove.id });
+  assert.equal(approved.body.data.status, 'approved');
+  assert.equal(mail.sent[0].text, 'Edited reply');
+
+  const rejected = await call('/api/tools/reject_pending_reply', { pending_id: toReject.id, reason: 'Not needed' });
+  assert.equal(rejected.body.data.status, 'rejected');
+  assert.equal(mail.drafts.size, 0);
+
+  assert.equal((await call('/api/tools/list_pending_replies?status=rejected')).body.data.count, 1);
+  assert.equal((await call('/api/tools/approve_pending_reply', { pending_id: toReject.id })).status, 500);
+});
+
+test('failed email routes list, retry and discard dead letters', async () => {
+  ({ mail, llm } = setupPipeline({ settings: { maxProcessingAttempts: 1 } }));
+  const retried = mail.addMessage({ subject: 'help' });
+  const discarded = mail.addMessage({ subject: 'help too' });
+  llm.failNext(new Error('model overloaded'), 2);
+  await call('/api/tools/process_emails_now', {});
+
+  const { body: dead } = await call('/api/tools/list_failed_emails');
+  assert.equal(dead.data.count, 2);
+
+  const { body: retry } = await call('/api/tools/retry_failed_email', { message_id: retried });
+  assert.equal(retry.data.status, 'success');
+  assert.equal(mail.sent.length, 1);
+
+  const { body: discard } = await call('/api/tools/discard_failed_email', { message_id: discarded });
+  assert.equal(discard.data.messageId, discarded);
+  assert.equal((await call('/api/tools/list_failed_emails')).body.data.count, 0);
+  assert.equal((await call('/api/tools/list_failed_emails?status=discarded')).body.data.count, 1);
+  assert.equal((await call('/api/tools/retry_failed_email', { message_id: 'missing' })).status, 404);
+});
+
+test('resource routes return unread mail, rules, settings and status', async () => {
+  mail.addMessage({ subject: 'Hello' });
+
+  assert.equal((await call('/api/resources/emails/unread')).body.data.count, 1);
+  assert.equal((await call('/api/resources/rules')).body.data.rules.length, 4);
+  assert.equal((await call('/api/resources/settings')).body.data.useLabel, 'INBOX');
+
+  const { body: status } = await call('/api/resources/status');
+  assert.equal(status.data.processing_stats.total_emails, 0);
+});
+
+test('prompt routes return their content', async () => {
+  for (const name of ['email_analysis_workflow', 'rule_management', 'automation_best_practices']) {
+    const { body } = await call(`/api/prompts/${name}`);
+    assert.equal(body.data.name, name);
+    assert.ok(body.data.content.length > 0);
+  }
+});
+
+test('mail provider errors surface as 500 responses', async () => {
+  mail.failNext('getUnreadEmails', new Error('mailbox unavailable'));
+  const { status, body } = await call('/api/tools/get_unread_emails', {});
+  assert.equal(status, 500);
+  assert.equal(body.error, 'mailbox unavailable');
+});
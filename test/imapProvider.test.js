@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { withEnv } from './helpers/harness.js';
+import { flagsToLabelIds, deriveThreadId, toKeyword, imapProvider } from '../src/mail/imapProvider.js';
+
+test('maps IMAP flags to Gmail-style label ids', () => {
+  assert.deepEqual(flagsToLabelIds(new Set(['\\Flagged', '$Important', 'Auto_Replied', '\\Answered']), 'INBOX'), [
+    'INBOX',
+    'UNREAD',
+    'STARRED',
+    'IMPORTANT',
+    'Auto_Replied',
+  ]);
+  assert.deepEqual(flagsToLabelIds(new Set(['\\Seen']), 'Support'), ['Support']);
+});
+
+test('turns label names into valid keywords', () => {
+  assert.equal(toKeyword('Auto Replied'), 'Auto_Replied');
+  assert.equal(toKeyword('Needs (review)'), 'Needs__review_');
+});
+
+test('threads messages by the root of their References chain', () => {
+  const empty = { references: '', inReplyTo: '', messageIdHeader: '' };
+  assert.equal(deriveThreadId({ ...empty, references: '<root@x> <parent@x>', inReplyTo: '<parent@x>' }, '7'), '<root@x>');
+  assert.equal(deriveThreadId({ ...empty, inReplyTo: '<parent@x>' }, '7'), '<parent@x>');
+  assert.equal(deriveThreadId({ ...empty, messageIdHeader: '<self@x>' }, '7'), '<self@x>');
+  assert.equal(deriveThreadId(empty, '7'), '7');
+});
+
+test('marking read and labelling fail when the server does', async () => {
+  // A server that hangs up on every connection
+  const server = net.createServer((socket) => socket.destroy());
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    await withEnv({ IMAP_HOST: '127.0.0.1', IMAP_PORT: String(server.address().port), IMAP_SECURE: 'false' }, async () => {
+      await assert.rejects(imapProvider.addLabel('7', 'AutoReplied'));
+      await assert.rejects(imapProvider.markAsRead('7'));
+    });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,185 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setupPipeline, TEST_RULES } from './helpers/harness.js';
+import { KNOWLEDGE_DIR } from './helpers/env.js';
+import { tokenize, createBm25Index } from '../src/knowledge/bm25.js';
+import {
+  chunkDocument,
+  addKnowledgeDocument,
+  listKnowledgeDocuments,
+  searchKnowledge,
+} from '../src/knowledge/knowledgeBase.js';
+import { previewReplyPrompt } from '../src/ai/responseGenerator.js';
+import { updateRule } from '../src/filters/ruleStore.js';
+import { validateRulesConfig } from '../src/filters/schema.js';
+import { processUnreadEmails } from '../src/processor/emailProcessor.js';
+import { getHistory } from '../src/processor/processingHistory.js';
+
+const PRICING = `# Pricing
+
+## Plans
+
+The Starter plan costs $19 per month and the Team plan costs $49 per month.
+
+## Discounts
+
+Annual billing saves 20%. Nonprofits get half price on every plan.
+`;
+
+const SUPPORT = `# Support
+
+## Password resets
+
+Use the "Forgot password" link on the sign-in page. Reset links expire after one hour.
+
+## Opening hours
+
+Support answers tickets Monday to Friday, 9:00 to 17:00 CET.
+`;
+
+let mail;
+let llm;
+
+beforeEach(() => {
+  ({ mail, llm } = setupPipeline());
+});
+
+/**
+ * Add the pricing and support documents to their collections
+ */
+function addDocuments() {
+  addKnowledgeDocument({ collection: 'sales', name: 'pricing', content: PRICING });
+  addKnowledgeDocument({ collection: 'support', name: 'faq.md', content: SUPPORT });
+}
+
+test('tokenize drops stop words and folds plurals', () => {
+  assert.deepEqual(tokenize('What are the PRICES of your plans?'), ['price', 'plan']);
+  assert.deepEqual(tokenize('Größe: 42 Klasse'), ['größe', '42', 'klasse']);
+});
+
+test('BM25 ranks rarer and more frequent terms higher and ignores unrelated documents', () => {
+  const index = createBm25Index([
+    { id: 'a', text: 'refund policy for refund requests' },
+    { id: 'b', text: 'refund and shipping policy' },
+    { id: 'c', text: 'office opening hours' },
+  ]);
+
+  assert.deepEqual(
+    index.search('refund policy').map((result) => result.id),
+    ['a', 'b']
+  );
+  assert.deepEqual(index.search('shipping', { filter: (doc) => doc.id !== 'b' }), []);
+  assert.equal(index.size, 3);
+});
+
+test('documents are split into passages titled with their heading path', () => {
+  const passages = chunkDocument(`Intro text\n\n${PRICING}\n### Long\n\n${'word '.repeat(500)}`, 'pricing');
+
+  assert.deepEqual(
+    passages.map((passage) => passage.title),
+    [
+      'pricing',
+      'Pricing > Plans',
+      'Pricing > Discounts',
+      'Pricing > Discounts > Long',
+      'Pricing > Discounts > Long',
+      'Pricing > Discounts > Long',
+    ]
+  );
+  assert.equal(passages[0].text, 'Intro text');
+  assert.ok(passages.every((passage) => passage.text.length <= 1000));
+});
+
+test('search finds passages across collections or only in the given ones', () => {
+  addDocuments();
+
+  const [best] = searchKnowledge('How much is the team plan per month?');
+  assert.equal(best.id, 'sales/pricing.md#1');
+  assert.equal(best.title, 'Pricing > Plans');
+  assert.match(best.text, /\$49 per month/);
+
+  assert.deepEqual(searchKnowledge('team plan price', { collections: ['support'] }), []);
+  assert.throws(() => searchKnowledge('plan', { collections: ['legal'] }), (error) => error.statusCode === 404);
+  assert.throws(() => searchKnowledge('  '), (error) => error.statusCode === 400);
+});
+
+test('the index follows documents added, replaced or edited on disk', () => {
+  addDocuments();
+  assert.deepEqual(
+    listKnowledgeDocuments().map((entry) => [entry.collection, entry.documents.map((doc) => doc.document)]),
+    [
+      ['sales', ['sales/pricing.md']],
+      ['support', ['support/faq.md']],
+    ]
+  );
+
+  const content = '# Pricing\n\nEverything is free.';
+  const replaced = addKnowledgeDocument({ collection: 'sales', name: 'pricing', content });
+  assert.deepEqual(replaced, { collection: 'sales', document: 'sales/pricing.md', passages: 1, replaced: true });
+  assert.match(searchKnowledge('pricing')[0].text, /free/);
+
+  fs.writeFileSync(path.join(KNOWLEDGE_DIR, 'shipping.txt'), 'We ship worldwide within five days.');
+  const [shipping] = searchKnowledge('do you ship worldwide');
+  assert.equal(shipping.collection, 'general');
+  assert.equal(shipping.document, 'shipping.txt');
+
+  assert.throws(() => listKnowledgeDocuments('legal'), /Knowledge collection not found: legal/);
+  assert.throws(() => addKnowledgeDocument({ name: '../secrets', content: 'x' }), /Document names may only/);
+  assert.throws(() => addKnowledgeDocument({ collection: 'a/b', name: 'x', content: 'x' }), /Collection names/);
+  assert.throws(() => addKnowledgeDocument({ name: 'empty', content: ' ' }), /content is required/);
+});
+
+test('replies are grounded in the best passages and record their sources', async () => {
+  addDocuments();
+  mail.addMessage({ subject: 'help', text: 'My password reset link expired, what now?' });
+
+  await processUnreadEmails();
+
+  const prompt = llm.requests[0].messages[1].content;
+  assert.match(prompt, /Knowledge base passages/);
+  assert.match(prompt, /\[1\] Support > Password resets \(support\/faq\.md\)\nUse the "Forgot password" link/);
+  assert.doesNotMatch(prompt, /Starter plan/);
+
+  const [entry] = getHistory({ type: 'email' });
+  assert.equal(entry.knowledgeSources[0], 'support/faq.md#1');
+});
+
+test('rules scope the collections, limit the passages or turn knowledge off', async () => {
+  addDocuments();
+  updateRule('support', { knowledge: { collections: ['sales'], maxPassages: 1 } });
+  mail.addMessage({ subject: 'help', text: 'Is there a discount for nonprofits? And my password reset failed.' });
+  await processUnreadEmails();
+
+  assert.deepEqual(getHistory({ type: 'email' })[0].knowledgeSources, ['sales/pricing.md#2']);
+
+  ({ mail, llm } = setupPipeline());
+  addDocuments();
+  updateRule('support', { knowledge: { enabled: false } });
+  mail.addMessage({ subject: 'help', text: 'password reset' });
+  await processUnreadEmails();
+
+  assert.doesNotMatch(llm.requests[0].messages[1].content, /Knowledge base passages/);
+  assert.deepEqual(getHistory({ type: 'email' })[0].knowledgeSources, []);
+});
+
+test('rules.json validates knowledge settings', () => {
+  const [support] = TEST_RULES.rules;
+  assert.throws(
+    () => validateRulesConfig({ rules: [{ ...support, knowledge: { collections: [] } }] }),
+    /rules\[0\]\.knowledge\.collections: Array must contain at least 1/
+  );
+  assert.doesNotThrow(() => validateRulesConfig({ rules: [{ ...support, knowledge: { collections: ['faq'] } }] }));
+});
+
+test('previews show the passages a reply would use', async () => {
+  addDocuments();
+
+  const preview = await previewReplyPrompt({ email: { subject: 'pricing', body: 'What do your plans cost?' } });
+
+  assert.equal(preview.rule, 'sales');
+  assert.equal(preview.passages[0].id, 'sales/pricing.md#1');
+  assert.match(preview.user, /\[1\] Pricing > Plans \(sales\/pricing\.md\)/);
+  assert.equal(llm.requests.length, 0);
+});
@@ -0,0 +1,147 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, TEST_RULES } from './helpers/harness.js';
+import { detectLanguage, getReplyLanguage } from '../src/ai/languageDetector.js';
+import { saveTemplate } from '../src/ai/promptTemplates.js';
+import { previewReplyPrompt } from '../src/ai/responseGenerator.js';
+import { updateRule } from '../src/filters/ruleStore.js';
+import { testRules } from '../src/filters/ruleTester.js';
+import { validateRulesConfig } from '../src/filters/schema.js';
+import { updateContact, getContact } from '../src/contacts/contactStore.js';
+import { processUnreadEmails } from '../src/processor/emailProcessor.js';
+import { getHistory } from '../src/processor/processingHistory.js';
+
+const SPANISH = { subject: 'help', text: 'Hola, ¿dónde está mi pedido? Gracias' };
+
+let mail;
+let llm;
+
+beforeEach(() => {
+  ({ mail, llm } = setupPipeline({ settings: { signature: 'Best regards', signatures: { ES: 'Saludos cordiales' } } }));
+});
+
+test('detects the language of a text from its frequent words', () => {
+  assert.equal(detectLanguage('Hola, ¿dónde está mi pedido?'), 'es');
+  assert.equal(detectLanguage('Olá, onde está meu pedido?'), 'pt');
+  assert.equal(detectLanguage('Bonjour, je voudrais savoir où est ma commande.'), 'fr');
+  assert.equal(detectLanguage('Hallo, wo ist meine Bestellung? Danke'), 'de');
+  assert.equal(detectLanguage('Hi, where is my order? Thanks'), 'en');
+  assert.equal(detectLanguage('Login broken'), null);
+});
+
+test('replies are written in the language of the email and recorded in history', async () => {
+  mail.addMessage(SPANISH);
+
+  await processUnreadEmails();
+
+  assert.match(llm.requests[0].messages[1].content, /Write the reply in Spanish\.$/);
+  const [entry] = getHistory({ type: 'email' });
+  assert.equal(entry.language, 'es');
+  assert.equal(entry.replyLanguage, 'es');
+  assert.equal(getContact('alice@example.com').language, 'es');
+});
+
+test('rules can force the reply language', async () => {
+  updateRule('support', { language: 'EN' });
+  mail.addMessage(SPANISH);
+
+  await processUnreadEmails();
+
+  assert.match(llm.requests[0].messages[1].content, /Write the reply in English\.$/);
+  assert.equal(getHistory({ type: 'email' })[0].replyLanguage, 'en');
+  assert.throws(() => updateRule('support', { language: 'spanish' }), /Expected a two-letter ISO 639-1 code/);
+});
+
+test("the sender's preferred language is used when the email's can't be detected", async () => {
+  updateContact('alice@example.com', { language: 'FR' });
+  mail.addMessage({ subject: 'help' });
+
+  await processUnreadEmails();
+
+  assert.match(llm.requests[0].messages[1].content, /Write the reply in French\.$/);
+  const [entry] = getHistory({ type: 'email' });
+  assert.equal(entry.language, null);
+  assert.equal(entry.replyLanguage, 'fr');
+  assert.throws(() => updateContact('alice@example.com', { language: 'French' }), /two-letter/);
+});
+
+test('localized templates and signatures are used for the reply language', async () => {
+  saveTemplate({ id: 'default-es', system: 'Responde a {{senderName}} en {{language}}. Firma: {{signature}}' });
+  mail.addMessage(SPANISH);
+  mail.addMessage({ subject: 'help', text: 'Hi, where is my order? Thanks' });
+
+  await processUnreadEmails();
+
+  const systems = llm.requests.map((request) => request.messages[0].content);
+  assert.ok(systems.includes('Responde a Alice en Spanish. Firma: Saludos cordiales'));
+  assert.ok(systems.some((system) => system.startsWith('You are a professional email assistant')));
+  assert.deepEqual(
+    getHistory({ type: 'email' }).map((entry) => entry.promptTemplate).sort(),
+    ['default', 'default-es']
+  );
+});
+
+test('template replies use the translation for the reply language', async () => {
+  updateRule('support', {
+    actions: [
+      {
+        type: 'template_reply',
+        template: 'Hi {{senderName}}, we got your message.',
+        translations: { ES: 'Hola {{senderName}}, hemos recibido tu mensaje.' },
+      },
+    ],
+  });
+  mail.addMessage(SPANISH);
+  mail.addMessage({ subject: 'help', text: 'Hi, where is my order? Thanks' });
+
+  await processUnreadEmails();
+
+  assert.deepEqual(
+    mail.sent.map((sent) => sent.text.trim()),
+    ['Hola Alice, hemos recibido tu mensaje.', 'Hi Alice, we got your message.']
+  );
+  assert.deepEqual(
+    getHistory({ type: 'email' }).map((entry) => entry.replyLanguage),
+    ['es', null]
+  );
+});
+
+test('rules can match on the language of the email', async () => {
+  updateRule('sales', { conditions: { language: ['es', 'pt'] }, priority: 30 });
+
+  const spanish = await testRules({ email: { subject: 'help', body: SPANISH.text } });
+  assert.equal(spanish.email.language, 'es');
+  assert.equal(spanish.winning_rule, 'sales');
+  assert.deepEqual(spanish.rules.find((rule) => rule.id === 'sales').terms, [{ condition: 'language', value: 'es' }]);
+
+  const english = await testRules({ email: { subject: 'help', body: 'Hi, can you help me with my order?' } });
+  assert.equal(english.winning_rule, 'support');
+  assert.equal((await testRules({ email: { subject: 'help', language: 'PT' } })).winning_rule, 'sales');
+
+  const [support] = TEST_RULES.rules;
+  assert.throws(
+    () => validateRulesConfig({ rules: [{ ...support, conditions: { language: ['spanish'] } }] }),
+    /rules\[0\]\.conditions\.language\[0\]: Expected a two-letter ISO 639-1 code/
+  );
+});
+
+test('previews use the reply language', async () => {
+  const email = { from: 'Ana <ana@example.com>', subject: 'help', body: SPANISH.text };
+  const preview = await previewReplyPrompt({ email });
+
+  assert.equal(preview.language, 'es');
+  assert.equal(preview.variables.signature, 'Saludos cordiales');
+  assert.equal(getReplyLanguage({ language: null }, null, null), null);
+});
+
+test('rules pinned to a template version ignore its localized variants', async () => {
+  saveTemplate({ id: 'default-es', system: 'Responde en {{language}}' });
+  updateRule('support', { prompt: { template: 'default', version: 1 } });
+  mail.addMessage(SPANISH);
+
+  await processUnreadEmails();
+
+  assert.match(llm.requests[0].messages[0].content, /^You are a professional email assistant/);
+  assert.match(llm.requests[0].messages[1].content, /Write the reply in Spanish\.$/);
+  assert.equal(getHistory({ type: 'email' })[0].promptTemplate, 'default');
+});
@@ -0,0 +1,172 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, withEnv, TEST_RULES } from './helpers/harness.js';
+import { resolveLlmConfig, getConfiguredLlmProviders, complete } from '../src/ai/llmProvider.js';
+import { anthropicProvider } from '../src/ai/anthropicProvider.js';
+import { validateRulesConfig } from '../src/filters/schema.js';
+import { processUnreadEmails } from '../src/processor/emailProcessor.js';
+import { getHistory } from '../src/processor/processingHistory.js';
+
+const [support, sales] = TEST_RULES.rules;
+
+let mail;
+let llm;
+
+beforeEach(() => {
+  ({ mail, llm } = setupPipeline());
+});
+
+/**
+ * Answer fetch calls with a JSON body and record the requests
+ */
+function mockFetch(t, status, body) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    requests.push({ url, ...init, body: JSON.parse(init.body) });
+    return new Response(JSON.stringify(body), { status });
+  });
+  return requests;
+}
+
+test('defaults to openai with OPENAI_MODEL or gpt-4o-mini', async () => {
+  assert.deepEqual(resolveLlmConfig(), { provider: 'openai', model: 'gpt-4o-mini' });
+  await withEnv({ OPENAI_MODEL: 'gpt-4o' }, () => {
+    assert.equal(resolveLlmConfig(support).model, 'gpt-4o');
+  });
+});
+
+test('rule settings win over provider settings, which win over the default model', () => {
+  const anthropicRule = { ...sales, llm: { provider: 'anthropic', temperature: 0.1 } };
+  setupPipeline({
+    rules: {
+      llm: {
+        provider: 'compatible',
+        providers: {
+          compatible: { model: 'llama3.1', temperature: 0.5, maxTokens: 200 },
+          anthropic: { model: 'claude-3-5-sonnet-latest' },
+        },
+      },
+      rules: [support, anthropicRule],
+    },
+  });
+
+  assert.deepEqual(resolveLlmConfig(support), {
+    provider: 'compatible',
+    model: 'llama3.1',
+    temperature: 0.5,
+    maxTokens: 200,
+  });
+  assert.deepEqual(resolveLlmConfig(anthropicRule), {
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-latest',
+    temperature: 0.1,
+  });
+  assert.deepEqual(getConfiguredLlmProviders(), ['compatible', 'anthropic']);
+});
+
+test('replies use the rule provider, model, temperature and max tokens', async () => {
+  const llmSettings = { provider: 'azure', model: 'support-deployment', temperature: 0.2, maxTokens: 50 };
+  const rules = [{ ...support, llm: llmSettings }];
+  ({ mail, llm } = setupPipeline({ rules: { rules } }));
+  mail.addMessage({ subject: 'help' });
+
+  await processUnreadEmails();
+
+  const [request] = llm.requests;
+  assert.equal(request.model, 'support-deployment');
+  assert.equal(request.temperature, 0.2);
+  assert.equal(request.max_tokens, 50);
+  assert.equal(request.messages[0].role, 'system');
+
+  const [entry] = getHistory({ type: 'email' });
+  assert.equal(entry.llmProvider, 'azure');
+  assert.equal(entry.model, 'support-deployment');
+});
+
+test('temperature is left to the provider unless configured', async () => {
+  mail.addMessage({ subject: 'help' });
+  await processUnreadEmails();
+
+  assert.equal('temperature' in llm.requests[0], false);
+  assert.equal(llm.requests[0].max_tokens, 300);
+});
+
+test('a provider without a model fails the email instead of calling the API', async () => {
+  ({ mail, llm } = setupPipeline({ rules: { llm: { provider: 'compatible' } } }));
+  mail.addMessage({ subject: 'help' });
+
+  const results = await processUnreadEmails();
+
+  assert.equal(results.failed, 1);
+  assert.equal(llm.requests.length, 0);
+});
+
+test('rules.json rejects unknown providers and options', () => {
+  assert.throws(
+    () => validateRulesConfig({ llm: { provider: 'gemini' }, rules: [] }),
+    /llm\.provider: Invalid enum value/
+  );
+  assert.throws(
+    () => validateRulesConfig({ rules: [{ ...support, llm: { model: 'x', topP: 1 } }] }),
+    /rules\[0\]\.llm: Unrecognized key/
+  );
+  assert.equal(validateRulesConfig({ rules: [] }).llm, undefined);
+});
+
+test('anthropic sends the system prompt separately and joins text blocks', async (t) => {
+  const requests = mockFetch(t, 200, {
+    content: [
+      { type: 'text', text: 'Hello ' },
+      { type: 'text', text: 'there' },
+    ],
+  });
+
+  const text = await withEnv({ ANTHROPIC_API_KEY: 'sk-test' }, () =>
+    complete(
+      { system: 'Be brief', messages: [{ role: 'user', content: 'Hi' }], maxTokens: 300 },
+      { provider: 'anthropic', model: 'claude-test', maxTokens: 64 }
+    )
+  );
+
+  assert.equal(text, 'Hello there');
+  const [request] = requests;
+  assert.equal(request.url, 'https://api.anthropic.com/v1/messages');
+  assert.equal(request.headers['x-api-key'], 'sk-test');
+  assert.deepEqual(request.body, {
+    model: 'claude-test',
+    max_tokens: 64,
+    system: 'Be brief',
+    messages: [{ role: 'user', content: 'Hi' }],
+  });
+});
+
+test('anthropic returns structured output from a forced tool call', async (t) => {
+  const requests = mockFetch(t, 200, { content: [{ type: 'tool_use', name: 'result', input: { ok: true } }] });
+  const schema = { name: 'result', schema: { type: 'object' } };
+
+  const text = await withEnv({ ANTHROPIC_API_KEY: 'sk-test' }, () =>
+    anthropicProvider.complete({ model: 'm', messages: [], maxTokens: 10, schema, timeout: 1000 })
+  );
+
+  assert.equal(text, '{"ok":true}');
+  assert.deepEqual(requests[0].body.tool_choice, { type: 'tool', name: 'result' });
+  assert.deepEqual(requests[0].body.tools[0].input_schema, { type: 'object' });
+});
+
+test('anthropic errors carry the HTTP status for the retry policy', async (t) => {
+  mockFetch(t, 429, { error: { message: 'rate limited' } });
+
+  await withEnv({ ANTHROPIC_API_KEY: 'sk-test' }, async () => {
+    await assert.rejects(
+      anthropicProvider.complete({ model: 'm', messages: [], maxTokens: 10, timeout: 1000 }),
+      (error) => error.status === 429 && /rate limited/.test(error.message)
+    );
+  });
+});
+
+test('anthropic requires an API key', async () => {
+  await assert.rejects(
+    anthropicProvider.complete({ model: 'm', messages: [], maxTokens: 10, timeout: 1000 }),
+    /ANTHROPIC_API_KEY must be set/
+  );
+});
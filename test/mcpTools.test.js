@@ -0,0 +1,296 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, withEnv } from './helpers/harness.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createFreshMCPServer } from '../src/mcp/handler.js';
+
+let client;
+let mail;
+let llm;
+
+/**
+ * Call a tool and return its text, throwing if the tool reported an error
+ */
+async function callTool(name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  const { text } = result.content[0];
+  if (result.isError) {
+    throw new Error(text);
+  }
+  return text;
+}
+
+/**
+ * Call a tool that answers with JSON and parse it
+ */
+async function callJson(name, args) {
+  return JSON.parse(await callTool(name, args));
+}
+
+beforeEach(async () => {
+  ({ mail, llm } = setupPipeline());
+  const server = await createFreshMCPServer();
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  client = new Client({ name: 'test-client', version: '1.0.0' });
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+});
+
+afterEach(() => client.close());
+
+test('lists every tool', async () => {
+  const { tools } = await client.listTools();
+  const names = tools.map((tool) => tool.name);
+  assert.equal(names.length, 40);
+  assert.ok(names.includes('get_unread_emails'));
+  assert.ok(names.includes('discard_failed_email'));
+});
+
+test('get_unread_emails and get_email', async () => {
+  const id = mail.addMessage({ subject: 'Hello there', text: 'Body text' });
+
+  const unread = await callJson('get_unread_emails', { max_results: 5 });
+  assert.deepEqual(unread.emails.map((email) => email.id), [id]);
+
+  const email = await callJson('get_email', { message_id: id });
+  assert.equal(email.body, 'Body text');
+  await assert.rejects(callTool('get_email', { message_id: 'missing' }), /not found/);
+});
+
+test('list_attachments and get_attachment', async () => {
+  const id = mail.addMessage({
+    subject: 'Report',
+    attachments: [{ filename: 'notes.json', contentType: 'application/json', content: Buffer.from('{"a":1}') }],
+  });
+
+  const { attachments } = await callJson('list_attachments', { message_id: id });
+  assert.equal(attachments[0].filename, 'notes.json');
+
+  const attachment = await callJson('get_attachment', {
+    message_id: id,
+    part_id: attachments[0].partId,
+    include_content: false,
+  });
+  assert.equal(attachment.text, '{\n  "a": 1\n}');
+  assert.equal(attachment.content_base64, undefined);
+});
+
+test('analyze_email returns the cached analysis unless refreshed', async () => {
+  const id = mail.addMessage({ subject: 'Login broken' });
+
+  assert.equal((await callJson('analyze_email', { message_id: id })).cached, false);
+  assert.equal((await callJson('analyze_email', { message_id: id })).cached, true);
+  const refreshed = await callJson('analyze_email', { message_id: id, refresh: true });
+  assert.equal(refreshed.cached, false);
+  assert.equal(refreshed.analysis.urgency, 'high');
+  assert.equal(llm.requests.length, 2);
+});
+
+test('get_thread shows our replies in the conversation', async () => {
+  const id = mail.addMessage({ threadId: 't1', subject: 'Question', text: 'Question?' });
+  await callTool('send_reply', { message_id: id, reply_text: 'Answer' });
+  const followUp = mail.addMessage({ threadId: 't1', date: new Date(Date.now() + 1000), subject: 'Re: Question' });
+
+  const thread = await callJson('get_thread', { message_id: followUp });
+  assert.deepEqual(
+    thread.messages.map((message) => [message.id, message.fromSelf]),
+    [
+      [id, false],
+      ['sent-1', true],
+    ]
+  );
+  assert.match(thread.transcript, /--- You \(me@example\.com\), [^\n]+ ---\nAnswer/);
+});
+
+test('update_contact and get_contact edit sender profiles', async () => {
+  const contact = await callJson('update_contact', { email: 'bob@example.com', blocked: true, notes: 'Spam' });
+  assert.equal(contact.blocked, true);
+
+  assert.equal((await callJson('get_contact', { email: 'Bob <bob@example.com>' })).notes, 'Spam');
+  assert.equal((await callJson('list_contacts', { blocked: true })).length, 1);
+  assert.equal(await callTool('delete_contact', { email: 'bob@example.com' }), 'Contact "bob@example.com" deleted');
+  await assert.rejects(callTool('get_contact', { email: 'bob@example.com' }), /not found/);
+});
+
+test('send_reply, mark_as_read and add_label', async () => {
+  const id = mail.addMessage({ subject: 'Question' });
+
+  const attachment = { filename: 'a.txt', content_base64: Buffer.from('hi').toString('base64') };
+  const sent = await callTool('send_reply', { message_id: id, reply_text: 'Answer', attachments: [attachment] });
+  assert.equal(sent, 'Reply sent successfully');
+  assert.equal(mail.sent[0].attachments[0].filename, 'a.txt');
+
+  assert.equal(await callTool('mark_as_read', { message_id: id }), 'Email marked as read');
+  assert.equal(await callTool('add_label', { message_id: id, label_name: 'Done' }), 'Label "Done" added successfully');
+  assert.deepEqual(mail.getLabels(id).sort(), ['Done', 'INBOX']);
+});
+
+test('process_emails_now runs the pipeline, with dry_run', async () => {
+  assert.equal(await callTool('process_emails_now'), 'No unread emails to process');
+
+  mail.addMessage({ subject: 'help' });
+  const dry = await callJson('process_emails_now', { dry_run: true });
+  assert.equal(dry.dryRun, true);
+  assert.equal(mail.sent.length, 0);
+
+  const results = await callJson('process_emails_now');
+  assert.equal(results.processed, 1);
+  assert.equal(mail.sent.length, 1);
+});
+
+test('rule tools create, update, toggle, list and delete rules', async () => {
+  await callJson('create_rule', { rule_id: 'hr', name: 'HR', keywords: ['vacation'] });
+  await assert.rejects(callTool('create_rule', { rule_id: 'hr', name: 'HR' }), /already exists/);
+
+  const updated = await callJson('update_rule', { rule_id: 'hr', context: 'HR question', require_approval: true });
+  assert.equal(updated.requireApproval, true);
+
+  assert.equal(await callTool('toggle_rule', { rule_id: 'hr', enabled: false }), 'Rule "hr" is now disabled');
+  const { rules } = await callJson('list_rules');
+  assert.equal(rules.find((rule) => rule.id === 'hr').enabled, false);
+
+  assert.equal(await callTool('delete_rule', { rule_id: 'hr' }), 'Rule "hr" deleted');
+  await assert.rejects(callTool('delete_rule', { rule_id: 'hr' }), /not found/);
+});
+
+test('add_ignore_entry and remove_ignore_entry', async () => {
+  const added = await callJson('add_ignore_entry', { list: 'subjects', value: 'out of office' });
+  assert.ok(added.includes('out of office'));
+
+  const removed = await callJson('remove_ignore_entry', { list: 'subjects', value: 'out of office' });
+  assert.deepEqual(removed, ['password reset']);
+});
+
+test('test_rules explains a supplied email', async () => {
+  const report = await callJson('test_rules', { email: { headers: { Subject: 'Invoice overdue' } } });
+  assert.equal(report.winning_rule, 'invoices');
+  assert.equal(llm.requests.length, 0);
+
+  const analyzed = await callJson('test_rules', { email: { subject: 'Hi', analysis: { category: 'billing' } } });
+  assert.equal(analyzed.email.analysis.category, 'billing');
+});
+
+test('update_settings validates changes', async () => {
+  const settings = await callJson('update_settings', { settings: { emailBatchSize: 3 } });
+  assert.equal(settings.emailBatchSize, 3);
+
+  await assert.rejects(callTool('update_settings', { settings: { emailBatchSize: 0 } }));
+});
+
+test('prompt template tools save versions, assign them to rules and preview them', async () => {
+  await callJson('save_prompt_template', { template_id: 'brief', system: 'One sentence for {{senderName}}.' });
+  const saved = await callJson('save_prompt_template', { template_id: 'brief', system: 'Two words, {{senderName}}.' });
+  assert.equal(saved.version, 2);
+
+  await callJson('update_rule', { rule_id: 'support', prompt: { template: 'brief', version: 1 } });
+  const [listed] = (await callJson('list_prompt_templates')).filter((template) => template.id === 'brief');
+  assert.deepEqual(listed.usedBy, ['support']);
+
+  const preview = await callJson('preview_prompt', { email: { from: 'Ann <ann@acme.com>', subject: 'help' } });
+  assert.equal(preview.rule, 'support');
+  assert.equal(preview.system, 'One sentence for Ann.');
+  assert.equal((await callJson('get_prompt_template', { template_id: 'brief', version: 1 })).version, 1);
+
+  await assert.rejects(callTool('delete_prompt_template', { template_id: 'brief' }), /used by rules/);
+  await assert.rejects(callTool('update_rule', { rule_id: 'support', prompt: { template: 'nope' } }), /not found/);
+});
+
+test('knowledge tools add, list and search documents scoped by collection', async () => {
+  await callJson('add_knowledge_document', { collection: 'faq', name: 'returns', content: 'Returns are free for 30 days.' });
+  await callJson('add_knowledge_document', { collection: 'legal', name: 'terms', content: 'Returns void the warranty.' });
+
+  const collections = await callJson('list_knowledge_documents');
+  assert.deepEqual(
+    collections.map((entry) => entry.collection),
+    ['faq', 'legal']
+  );
+
+  const passages = await callJson('search_knowledge', { query: 'returns', collections: ['faq'] });
+  assert.deepEqual(
+    passages.map((passage) => passage.document),
+    ['faq/returns.md']
+  );
+  await assert.rejects(callTool('add_knowledge_document', { name: 'bad name', content: 'x' }), /Document names/);
+});
+
+test('pending reply tools edit, approve and reject drafts', async () => {
+  mail.addMessage({ subject: 'help' });
+  mail.addMessage({ subject: 'more help' });
+  await withEnv({ REPLY_MODE: 'review' }, () => callJson('process_emails_now'));
+
+  const { items } = await callJson('list_pending_replies');
+  assert.equal(items.length, 2);
+
+  const edited = await callJson('edit_pending_reply', { pending_id: items[0].id, reply_text: 'Reviewed reply' });
+  assert.equal(edited.replyText, 'Reviewed reply');
+
+  const approved = await callTool('approve_pending_reply', { pending_id: items[0].id });
+  assert.equal(approved, 'Reply to Alice <alice@example.com> approved and sent');
+  const rejected = await callTool('reject_pending_reply', { pending_id: items[1].id });
+  assert.equal(rejected, 'Reply to Alice <alice@example.com> rejected');
+
+  assert.equal(mail.sent.length, 1);
+  assert.equal(mail.sent[0].text, 'Reviewed reply');
+  assert.equal((await callJson('list_pending_replies', { status: 'all' })).count, 2);
+});
+
+test('failed email tools list, retry and discard', async () => {
+  ({ mail, llm } = setupPipeline({ settings: { maxProcessingAttempts: 1 } }));
+  const first = mail.addMessage({ subject: 'help' });
+  const second = mail.addMessage({ subject: 'help' });
+  llm.failNext(new Error('model overloaded'), 2);
+  await callJson('process_emails_now');
+
+  assert.equal((await callJson('list_failed_emails', { status: 'dead' })).count, 2);
+
+  const retried = await callJson('retry_failed_email', { message_id: first });
+  assert.equal(retried.status, 'success');
+
+  const discarded = await callTool('discard_failed_email', { message_id: second });
+  assert.equal(discarded, 'Failed email from Alice <alice@example.com> discarded');
+  assert.equal((await callJson('list_failed_emails')).count, 0);
+});
+
+test('get_system_status and get_statistics', async () => {
+  const status = await callJson('get_system_status');
+  assert.equal(status.scheduler_running, false);
+
+  mail.addMessage({ subject: 'help' });
+  mail.addMessage({ subject: 'lunch?' });
+  await callJson('process_emails_now');
+
+  const stats = await callJson('get_statistics', { days: 1 });
+  assert.equal(stats.total_processed, 1);
+  assert.equal(stats.total_skipped, 1);
+  assert.equal(stats.by_rule.support.success, 1);
+});
+
+test('tools report mail provider errors instead of throwing', async () => {
+  mail.failNext('markAsRead', new Error('connection lost'));
+  const result = await client.callTool({ name: 'mark_as_read', arguments: { message_id: 'msg-1' } });
+  assert.equal(result.isError, true);
+  assert.equal(result.content[0].text, 'Error: connection lost');
+});
+
+test('resources return unread mail, rules, settings and status', async () => {
+  mail.addMessage({ subject: 'Hello' });
+  const read = async (uri) => JSON.parse((await client.readResource({ uri })).contents[0].text);
+
+  assert.equal((await read('resource://emails/unread')).count, 1);
+  assert.equal((await read('resource://rules')).rules.length, 4);
+  assert.equal((await read('resource://settings')).useLabel, 'INBOX');
+  assert.equal((await read('resource://status')).scheduler_running, false);
+});
+
+test('prompts are listed and return a user message', async () => {
+  const { prompts } = await client.listPrompts();
+  assert.deepEqual(prompts.map((prompt) => prompt.name).sort(), [
+    'automation_best_practices',
+    'email_analysis_workflow',
+    'rule_management',
+  ]);
+
+  const { messages } = await client.getPrompt({ name: 'rule_management' });
+  assert.equal(messages[0].role, 'user');
+  assert.match(messages[0].content.text, /test_rules/);
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildMimeMessage,
+  encodeHeaderValue,
+  encodeQuotedPrintable,
+  encodeAddressList,
+  foldHeader,
+} from '../src/mail/mimeBuilder.js';
+import { parseMime, decodeEncodedWords, decodeQuotedPrintable } from './helpers/parseMime.js';
+
+const baseMessage = {
+  from: 'me@example.com',
+  to: 'Zoë Müller <zoe@example.com>',
+  subject: 'Re: Überprüfung der Bestellung – 注文',
+  text: 'Hallo Zoë,\n\ndanke für Ihre Nachricht.\nViele Grüße',
+  date: new Date('2024-05-01T10:00:00Z'),
+};
+
+test('uses CRLF line endings only', () => {
+  const raw = buildMimeMessage(baseMessage);
+  assert.equal(/[^\r]\n/.test(raw), false);
+});
+
+test('builds multipart/alternative with plain text and HTML parts', () => {
+  const message = parseMime(buildMimeMessage(baseMessage));
+
+  assert.equal(message.headers['mime-version'], '1.0');
+  assert.equal(message.contentType, 'multipart/alternative');
+  assert.deepEqual(
+    message.parts.map((part) => part.contentType),
+    ['text/plain', 'text/html']
+  );
+
+  const [plain, html] = message.parts;
+  assert.equal(plain.params.charset, 'UTF-8');
+  assert.equal(plain.headers['content-transfer-encoding'], 'quoted-printable');
+  assert.equal(plain.body.toString('utf-8'), baseMessage.text.replace(/\n/g, '\r\n'));
+  assert.match(html.body.toString('utf-8'), /<p>Hallo Zoë,<\/p>/);
+  assert.match(html.body.toString('utf-8'), /danke für Ihre Nachricht\.<br>Viele Grüße/);
+});
+
+test('encodes non-ASCII headers as RFC 2047 words that decode back', () => {
+  const message = parseMime(buildMimeMessage(baseMessage));
+
+  assert.doesNotMatch(message.rawHeaders, /[^\x00-\x7f]/);
+  assert.equal(decodeEncodedWords(message.headers.subject), baseMessage.subject);
+  assert.equal(decodeEncodedWords(message.headers.to), 'Zoë Müller <zoe@example.com>');
+  assert.equal(message.headers.from, 'me@example.com');
+});
+
+test('keeps encoded words and header lines within their length limits', () => {
+  const subject = 'Ärger mit der Lieferung '.repeat(10);
+  const raw = buildMimeMessage({ ...baseMessage, subject });
+  const headerText = raw.slice(0, raw.indexOf('\r\n\r\n'));
+
+  for (const line of headerText.split('\r\n')) {
+    assert.ok(line.length <= 78, `header line too long: ${line}`);
+  }
+  for (const word of encodeHeaderValue(subject).split(' ')) {
+    assert.ok(word.length <= 75, `encoded word too long: ${word}`);
+  }
+  assert.equal(decodeEncodedWords(parseMime(raw).headers.subject), subject);
+});
+
+test('leaves plain ASCII headers readable', () => {
+  assert.equal(encodeHeaderValue('Meeting next week'), 'Meeting next week');
+  assert.equal(encodeAddressList('"Doe, Jane" <jane@example.com>, bob@example.com'), '"Doe, Jane" <jane@example.com>, bob@example.com');
+});
+
+test('folds long ASCII headers at spaces', () => {
+  const references = Array.from({ length: 8 }, (_, i) => `<message-${i}@mail.example.com>`).join(' ');
+  const folded = foldHeader('References', references);
+
+  assert.ok(folded.split('\r\n').every((line) => line.length <= 78));
+  assert.equal(folded.replace(/\r\n/g, ''), `References: ${references}`);
+});
+
+test('writes threading headers when given', () => {
+  const message = parseMime(
+    buildMimeMessage({ ...baseMessage, inReplyTo: '<abc@example.com>', references: '<root@example.com> <abc@example.com>' })
+  );
+
+  assert.equal(message.headers['in-reply-to'], '<abc@example.com>');
+  assert.equal(message.headers.references, '<root@example.com> <abc@example.com>');
+});
+
+test('quoted-printable output round-trips and respects line length', () => {
+  const text = `a=b trailing space \n${'é'.repeat(100)}\n\ttab\n${'x'.repeat(200)}`;
+  const encoded = encodeQuotedPrintable(text);
+
+  assert.ok(encoded.split('\r\n').every((line) => line.length <= 76));
+  assert.match(encoded, /a=3Db/);
+  assert.match(encoded, /space=20\r\n/);
+  assert.equal(decodeQuotedPrintable(encoded).toString('utf-8'), text.replace(/\n/g, '\r\n'));
+});
+
+test('uses the given HTML instead of generating it, and escapes generated HTML', () => {
+  const custom = parseMime(buildMimeMessage({ ...baseMessage, html: '<b>Bold</b>' }));
+  assert.equal(custom.parts[1].body.toString('utf-8'), '<b>Bold</b>');
+
+  const generated = parseMime(buildMimeMessage({ ...baseMessage, text: 'if a < b && c > d' }));
+  assert.equal(generated.parts[1].body.toString('utf-8'), '<p>if a &lt; b &amp;&amp; c &gt; d</p>');
+});
+
+test('quotes the original message in both parts', () => {
+  const message = parseMime(
+    buildMimeMessage({
+      ...baseMessage,
+      quote: { text: 'Where is my order?\n\nThanks', from: 'Zoë <zoe@example.com>', date: Date.UTC(2024, 3, 30, 9) },
+    })
+  );
+  const [plain, html] = message.parts.map((part) => part.body.toString('utf-8'));
+
+  assert.match(plain, /On Tue, 30 Apr 2024 09:00:00 GMT, Zoë <zoe@example.com> wrote:\r\n> Where is my order\?\r\n>\r\n> Thanks$/);
+  assert.match(html, /<blockquote[^>]*><p>Where is my order\?<\/p>\r\n<p>Thanks<\/p><\/blockquote>/);
+  assert.match(html, /Zoë &lt;zoe@example.com&gt; wrote:/);
+});
+
+test('wraps the body in multipart/mixed with base64 attachments', () => {
+  const pdf = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff, 0x10]);
+  const message = parseMime(
+    buildMimeMessage({
+      ...baseMessage,
+      attachments: [
+        { filename: 'invoice.pdf', contentType: 'application/pdf', content: pdf },
+        { filename: 'Übersicht.csv', contentType: 'text/csv', content: 'a,b\n1,2' },
+        { filename: 'notes', content: 'x'.repeat(500) },
+      ],
+    })
+  );
+
+  assert.equal(message.contentType, 'multipart/mixed');
+  assert.equal(message.parts.length, 4);
+  assert.equal(message.parts[0].contentType, 'multipart/alternative');
+
+  const [, invoice, csv, notes] = message.parts;
+  assert.equal(invoice.contentType, 'application/pdf');
+  assert.equal(invoice.params.name, 'invoice.pdf');
+  assert.match(invoice.headers['content-disposition'], /^attachment; filename="invoice.pdf"$/);
+  assert.deepEqual(invoice.body, pdf);
+
+  assert.match(csv.headers['content-disposition'], /filename\*=UTF-8''%C3%9Cbersicht\.csv/);
+  assert.equal(decodeEncodedWords(csv.params.name), 'Übersicht.csv');
+  assert.equal(csv.body.toString('utf-8'), 'a,b\n1,2');
+
+  assert.equal(notes.contentType, 'application/octet-stream');
+  assert.equal(notes.body.toString('utf-8'), 'x'.repeat(500));
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMessagePayload, htmlToText, stripQuotedText } from '../src/mail/mimeParser.js';
+
+/**
+ * Build a Gmail API leaf part
+ */
+function leaf(mimeType, content, { charset = 'UTF-8', filename = '', headers = [], encoding = 'utf-8' } = {}) {
+  const bytes = Buffer.from(content, encoding);
+  return {
+    mimeType,
+    filename,
+    headers: [{ name: 'Content-Type', value: `${mimeType}; charset="${charset}"` }, ...headers],
+    body: { size: bytes.length, data: bytes.toString('base64url') },
+  };
+}
+
+/**
+ * Build a Gmail API multipart part
+ */
+function multipart(subtype, parts) {
+  return { mimeType: `multipart/${subtype}`, filename: '', headers: [], body: { size: 0 }, parts };
+}
+
+test('prefers the plain-text part inside nested multiparts', () => {
+  const payload = multipart('mixed', [
+    multipart('alternative', [leaf('text/plain', 'Hello plain'), leaf('text/html', '<p>Hello html</p>')]),
+    {
+      mimeType: 'application/pdf',
+      filename: 'invoice.pdf',
+      headers: [{ name: 'Content-Disposition', value: 'attachment; filename="invoice.pdf"' }],
+      body: { size: 2048, attachmentId: 'att-1' },
+    },
+  ]);
+
+  const parsed = parseMessagePayload(payload);
+  assert.equal(parsed.body, 'Hello plain');
+  assert.equal(parsed.html, null);
+  assert.deepEqual(parsed.attachments, [
+    { partId: undefined, filename: 'invoice.pdf', mimeType: 'application/pdf', size: 2048, attachmentId: 'att-1', inline: false },
+  ]);
+  assert.equal(parsed.parts.length, 3);
+});
+
+test('converts HTML-only emails to text', () => {
+  const parsed = parseMessagePayload(
+    leaf('text/html', '<html><head><style>p{}</style></head><body><p>Hi&nbsp;there,</p><ul><li>one</li><li>two</li></ul><p>Tom &amp; Jerry</p></body></html>')
+  );
+
+  assert.equal(parsed.body, 'Hi there,\n\n- one\n- two\n\nTom & Jerry');
+  assert.match(parsed.html, /<li>one<\/li>/);
+});
+
+test('decodes the declared charset', () => {
+  const parsed = parseMessagePayload(leaf('text/plain', 'Grüße aus Köln', { charset: 'ISO-8859-1', encoding: 'latin1' }));
+  assert.equal(parsed.body, 'Grüße aus Köln');
+});
+
+test('includes the text of forwarded messages', () => {
+  const payload = multipart('mixed', [
+    leaf('text/plain', 'See the message below.'),
+    {
+      mimeType: 'message/rfc822',
+      filename: '',
+      headers: [],
+      body: { size: 0 },
+      parts: [multipart('alternative', [leaf('text/plain', 'Original question'), leaf('text/html', '<p>Original question</p>')])],
+    },
+  ]);
+
+  assert.equal(parseMessagePayload(payload).body, 'See the message below.\n\nOriginal question');
+});
+
+test('strips quoted history and signatures into cleanBody', () => {
+  const body = [
+    'Thanks, that fixed it.',
+    '',
+    '-- ',
+    'Jane Doe',
+    'ACME Corp',
+    '',
+    'On Mon, 1 Apr 2024 at 10:00, Support <support@example.com> wrote:',
+    '> Please try restarting.',
+  ].join('\n');
+
+  const parsed = parseMessagePayload(leaf('text/plain', body));
+  assert.equal(parsed.body, body);
+  assert.equal(parsed.cleanBody, 'Thanks, that fixed it.');
+});
+
+test('strips Outlook-style original message headers', () => {
+  const text = 'Sounds good.\n\n________________________________\nFrom: Bob <bob@example.com>\nSent: Monday\nSubject: Plan';
+  assert.equal(stripQuotedText(text), 'Sounds good.');
+});
+
+test('keeps forwarded message content', () => {
+  const text = 'FYI\n\n---------- Forwarded message ---------\nFrom: Bob <bob@example.com>\nDate: Mon\n\nThe server is down.';
+  assert.equal(stripQuotedText(text), text);
+});
+
+test('decodes numeric HTML entities', () => {
+  assert.equal(htmlToText('caf&#233; &#x2764;'), 'café ❤');
+});
@@ -0,0 +1,167 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, TEST_RULES } from './helpers/harness.js';
+import { listTemplates, getTemplate, saveTemplate, deleteTemplate } from '../src/ai/promptTemplates.js';
+import { previewReplyPrompt } from '../src/ai/responseGenerator.js';
+import { updateRule } from '../src/filters/ruleStore.js';
+import { validateRulesConfig } from '../src/filters/schema.js';
+import { processUnreadEmails } from '../src/processor/emailProcessor.js';
+import { getHistory } from '../src/processor/processingHistory.js';
+
+const [support] = TEST_RULES.rules;
+
+const FORMAL = `Write a formal reply to {{senderName}} of {{company}} about "{{subject}}".
+Context: {{context}}
+Mention our business hours ({{businessHours}}) and end with:
+{{signature}}`;
+
+let mail;
+let llm;
+
+beforeEach(() => {
+  ({ mail, llm } = setupPipeline());
+});
+
+test('rules without a template use the built-in default prompt', async () => {
+  mail.addMessage({ subject: 'help' });
+  await processUnreadEmails();
+
+  const system = llm.requests[0].messages[0].content;
+  assert.match(system, /Address the sender by their name \(Alice\)/);
+  assert.match(system, /Keep the response concise \(2-3 sentences\)/);
+  assert.match(system, /Context: This is a support request$/);
+
+  const [entry] = getHistory({ type: 'email' });
+  assert.equal(entry.promptTemplate, 'default');
+  assert.equal(entry.promptVersion, 1);
+});
+
+test('saving a template adds a version and keeps the earlier ones', () => {
+  const first = saveTemplate({ id: 'formal', system: 'Reply formally to {{senderName}}.', description: 'Formal' });
+  const second = saveTemplate({ id: 'formal', system: FORMAL });
+
+  assert.equal(first.version, 1);
+  assert.equal(second.version, 2);
+  assert.equal(second.description, 'Formal');
+  assert.deepEqual(
+    second.versions.map((v) => v.version),
+    [1, 2]
+  );
+  assert.equal(getTemplate('formal', 1).system, 'Reply formally to {{senderName}}.');
+  assert.equal(getTemplate('formal').system, FORMAL);
+
+  const listed = listTemplates().find((template) => template.id === 'formal');
+  assert.equal(listed.latestVersion, 2);
+  assert.deepEqual(listed.usedBy, []);
+});
+
+test('saving the default template versions it on top of the built-in one', () => {
+  const saved = saveTemplate({ id: 'default', system: 'Reply in one sentence. {{context}}' });
+
+  assert.equal(saved.version, 2);
+  assert.match(getTemplate('default', 1).system, /2-3 sentences/);
+});
+
+test('templates with unknown variables or invalid ids are rejected', () => {
+  assert.throws(
+    () => saveTemplate({ id: 'bad', system: 'Hi {{firstName}} and {{ firstName }}' }),
+    (error) => error.statusCode === 400 && /Unknown template variables: \{\{firstName\}\} \(expected/.test(error.message)
+  );
+  assert.throws(() => saveTemplate({ id: 'no spaces', system: 'Hi' }), /Template id may only contain/);
+  assert.throws(() => saveTemplate({ id: 'empty', system: '  ' }), /Template text \(system\) is required/);
+  assert.throws(() => getTemplate('missing'), (error) => error.statusCode === 404);
+});
+
+test('a rule replies with its template, filled from the email and settings', async () => {
+  const settings = { signature: 'Best regards,\nThe Acme Team', businessHours: 'Mon-Fri 9:00-17:00' };
+  ({ mail, llm } = setupPipeline({ settings }));
+  saveTemplate({ id: 'formal', system: FORMAL });
+  updateRule('support', { prompt: { template: 'formal' } });
+  mail.addMessage({ from: 'Bob Smith <bob@globex.com>', subject: 'help with setup' });
+
+  await processUnreadEmails();
+
+  assert.equal(
+    llm.requests[0].messages[0].content,
+    `Write a formal reply to Bob Smith of globex about "help with setup".
+Context: This is a support request
+Mention our business hours (Mon-Fri 9:00-17:00) and end with:
+Best regards,
+The Acme Team`
+  );
+  const [entry] = getHistory({ type: 'email' });
+  assert.equal(entry.promptTemplate, 'formal');
+  assert.equal(entry.promptVersion, 1);
+});
+
+test('a rule can pin an earlier version', async () => {
+  saveTemplate({ id: 'formal', system: 'Version one for {{senderName}}' });
+  saveTemplate({ id: 'formal', system: FORMAL });
+  updateRule('support', { prompt: { template: 'formal', version: 1 } });
+  mail.addMessage({ subject: 'help' });
+
+  await processUnreadEmails();
+
+  assert.equal(llm.requests[0].messages[0].content, 'Version one for Alice');
+  assert.equal(getHistory({ type: 'email' })[0].promptVersion, 1);
+});
+
+test('rules must name an existing template and version', () => {
+  assert.throws(
+    () => updateRule('support', { prompt: { template: 'missing' } }),
+    (error) => error.statusCode === 400 && /Prompt template "missing" not found/.test(error.message)
+  );
+  assert.throws(
+    () => updateRule('support', { prompt: { template: 'default', version: 9 } }),
+    /has no version 9/
+  );
+  assert.throws(
+    () => validateRulesConfig({ rules: [{ ...support, prompt: { template: 'formal', tone: 'dry' } }] }),
+    /rules\[0\]\.prompt: Unrecognized key/
+  );
+  assert.throws(
+    () => validateRulesConfig({ rules: [{ ...support, prompt: { template: 'missing' } }] }),
+    /rules\[0\]\.prompt\.template: Prompt template "missing" not found/
+  );
+});
+
+test('templates in use and the default template cannot be deleted', () => {
+  saveTemplate({ id: 'formal', system: FORMAL });
+  updateRule('support', { prompt: { template: 'formal' } });
+
+  assert.deepEqual(listTemplates().find((template) => template.id === 'formal').usedBy, ['support']);
+  assert.throws(() => deleteTemplate('formal'), /used by rules: support/);
+  assert.throws(() => deleteTemplate('default'), /cannot be deleted/);
+  assert.throws(() => deleteTemplate('missing'), (error) => error.statusCode === 404);
+
+  updateRule('support', { prompt: { template: 'default' } });
+  deleteTemplate('formal');
+  assert.equal(
+    listTemplates().some((template) => template.id === 'formal'),
+    false
+  );
+});
+
+test('previews render the prompt without calling the LLM', async () => {
+  saveTemplate({ id: 'formal', system: FORMAL });
+  updateRule('sales', { prompt: { template: 'formal' } });
+  const id = mail.addMessage({ from: 'Dana <dana@initech.com>', subject: 'pricing please', text: 'Send a quote' });
+
+  const sample = await previewReplyPrompt({});
+  assert.equal(sample.rule, null);
+  assert.deepEqual(sample.template, { id: 'default', version: 1 });
+  assert.match(sample.system, /\(Jane Doe\)/);
+
+  const stored = await previewReplyPrompt({ message_id: id });
+  assert.equal(stored.rule, 'sales');
+  assert.deepEqual(stored.template, { id: 'formal', version: 1 });
+  assert.match(stored.system, /Dana of initech about "pricing please"/);
+  assert.match(stored.user, /Body: Send a quote/);
+
+  const byRule = await previewReplyPrompt({ rule_id: 'support', template_id: 'formal', context: 'Be brief' });
+  assert.equal(byRule.variables.context, 'Be brief');
+  assert.match(byRule.system, /Context: Be brief/);
+
+  await assert.rejects(previewReplyPrompt({ rule_id: 'missing' }), (error) => error.statusCode === 404);
+  assert.equal(llm.requests.length, 0);
+});
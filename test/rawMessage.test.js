@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRawMessage, getRawPartContent, decodeEncodedWords, getHeaderParam } from '../src/mail/rawMessage.js';
+import { parseMessagePayload } from '../src/mail/mimeParser.js';
+import { buildMimeMessage } from '../src/mail/mimeBuilder.js';
+
+const header = (payload, name) => payload.headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value;
+
+test('round-trips messages built by buildMimeMessage', () => {
+  const pdf = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff]);
+  const raw = buildMimeMessage({
+    from: 'me@example.com',
+    to: 'Zoë Müller <zoe@example.com>',
+    subject: 'Überprüfung – 注文',
+    text: 'Grüße aus Köln',
+    attachments: [
+      { filename: 'Übersicht.csv', contentType: 'text/csv', content: 'a,b\n1,2' },
+      { filename: 'invoice.pdf', contentType: 'application/pdf', content: pdf },
+    ],
+  });
+
+  const payload = parseRawMessage(raw);
+  assert.equal(header(payload, 'Subject'), 'Überprüfung – 注文');
+  assert.equal(header(payload, 'To'), 'Zoë Müller <zoe@example.com>');
+
+  const parsed = parseMessagePayload(payload);
+  assert.equal(parsed.body.replace(/\r\n/g, '\n'), 'Grüße aus Köln');
+  assert.deepEqual(
+    parsed.attachments.map(({ partId, filename, attachmentId, size }) => ({ partId, filename, attachmentId, size })),
+    [
+      { partId: '1', filename: 'Übersicht.csv', attachmentId: '1', size: 7 },
+      { partId: '2', filename: 'invoice.pdf', attachmentId: '2', size: 6 },
+    ]
+  );
+  assert.equal(getRawPartContent(raw, '1').toString('utf-8'), 'a,b\n1,2');
+  assert.deepEqual(getRawPartContent(raw, '2'), pdf);
+  assert.equal(getRawPartContent(raw, '9'), null);
+});
+
+test('decodes LF-only messages in legacy charsets', () => {
+  const raw = Buffer.concat([
+    Buffer.from('From: a@example.com\nSubject: =?ISO-8859-1?Q?Gr=FC=DFe?=\nContent-Type: text/plain; charset=ISO-8859-1\n\n'),
+    Buffer.from('Grüße', 'latin1'),
+  ]);
+
+  const payload = parseRawMessage(raw);
+  assert.equal(header(payload, 'Subject'), 'Grüße');
+  assert.equal(parseMessagePayload(payload).body, 'Grüße');
+});
+
+test('parses attached messages as nested parts', () => {
+  const raw = [
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: text/plain',
+    '',
+    'See below.',
+    '--outer',
+    'Content-Type: message/rfc822',
+    '',
+    'Subject: Original',
+    'Content-Type: text/plain',
+    '',
+    'Original question',
+    '--outer--',
+    '',
+  ].join('\r\n');
+
+  const payload = parseRawMessage(raw);
+  assert.equal(payload.parts[1].parts[0].partId, '1.0');
+  assert.equal(parseMessagePayload(payload).body, 'See below.\n\nOriginal question');
+});
+
+test('decodes adjacent encoded words without the space between them', () => {
+  assert.equal(decodeEncodedWords('=?UTF-8?B?w5xi?= =?UTF-8?Q?er_pr=C3=BCfung?= done'), 'Über prüfung done');
+});
+
+test('reads quoted, RFC 2231 extended and continued parameters', () => {
+  assert.equal(getHeaderParam('attachment; filename="a \\"b\\".txt"', 'filename'), 'a "b".txt');
+  assert.equal(getHeaderParam("attachment; filename*=UTF-8''%C3%9Cbersicht.csv", 'filename'), 'Übersicht.csv');
+  assert.equal(
+    getHeaderParam("attachment; filename*0*=UTF-8''Jahres; filename*1=bericht%20; filename*2*=%C3%BC.pdf", 'filename'),
+    'Jahresbericht%20ü.pdf'
+  );
+});
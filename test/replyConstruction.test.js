@@ -0,0 +1,131 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupPipeline, TEST_RULES } from './helpers/harness.js';
+import { processUnreadEmails } from '../src/processor/emailProcessor.js';
+import { listPendingReplies, approvePendingReply } from '../src/processor/approvalQueue.js';
+
+let mail;
+
+/**
+ * Install rules whose support rule replies with the given action fields
+ */
+function useReplyAction(fields, ruleFields = {}) {
+  const rules = [{ ...TEST_RULES.rules[0], ...ruleFields, actions: [{ type: 'ai_reply', ...fields }] }];
+  ({ mail } = setupPipeline({ rules: { rules } }));
+}
+
+beforeEach(() => {
+  ({ mail } = setupPipeline());
+});
+
+test('threads the reply under the original message', async () => {
+  mail.addMessage({
+    subject: 'Help with my order',
+    messageIdHeader: '<m2@example.com>',
+    references: '<m0@example.com> <m1@example.com>',
+    inReplyTo: '<m1@example.com>',
+  });
+
+  await processUnreadEmails();
+  const [reply] = mail.sent;
+
+  assert.equal(reply.subject, 'Re: Help with my order');
+  assert.equal(reply.from, 'me@example.com');
+  assert.equal(reply.to, 'Alice <alice@example.com>');
+  assert.equal(reply.inReplyTo, '<m2@example.com>');
+  assert.equal(reply.references, '<m0@example.com> <m1@example.com> <m2@example.com>');
+  assert.equal(reply.threadId, 'thread-msg-1');
+});
+
+test('does not stack Re: prefixes and answers Reply-To', async () => {
+  mail.addMessage({ subject: 'RE: help', replyTo: 'Support Desk <desk@example.com>' });
+
+  await processUnreadEmails();
+  const [reply] = mail.sent;
+
+  assert.equal(reply.subject, 'RE: help');
+  assert.equal(reply.to, 'Support Desk <desk@example.com>');
+});
+
+test('reply-all copies To and Cc without our own address', async () => {
+  useReplyAction({ replyAll: true });
+  mail.addMessage({
+    subject: 'help',
+    to: 'me@example.com, Bob <bob@example.com>',
+    cc: 'carol@example.com',
+  });
+
+  await processUnreadEmails();
+  const [reply] = mail.sent;
+
+  assert.equal(reply.to, 'Alice <alice@example.com>');
+  assert.equal(reply.cc, 'Bob <bob@example.com>, carol@example.com');
+});
+
+test('quotes the original message when the action asks for it', async () => {
+  useReplyAction({ quoteOriginal: true });
+  mail.addMessage({ subject: 'help', text: 'My printer is on fire.' });
+
+  await processUnreadEmails();
+  const [reply] = mail.sent;
+
+  assert.match(reply.text, /^Thanks for your email!/);
+  assert.match(reply.text, /Alice <alice@example.com> wrote:\n> My printer is on fire\.$/);
+  assert.match(reply.html, /<blockquote[^>]*><p>My printer is on fire\.<\/p><\/blockquote>/);
+});
+
+test('encodes non-ASCII names and subjects and decodes them back', async () => {
+  mail.addMessage({ from: 'Zoë Müller <zoe@example.com>', subject: 'Hilfe – help' });
+
+  await processUnreadEmails();
+  const [reply] = mail.sent;
+
+  assert.doesNotMatch(reply.raw.slice(0, reply.raw.indexOf('\r\n\r\n')), /[^\x00-\x7f]/);
+  assert.equal(reply.subject, 'Re: Hilfe – help');
+  assert.equal(reply.to, 'Zoë Müller <zoe@example.com>');
+});
+
+test('approved replies keep the threading and reply options of the draft', async () => {
+  useReplyAction({ replyAll: true }, { requireApproval: true });
+  mail.addMessage({ subject: 'help', cc: 'carol@example.com', messageIdHeader: '<orig@example.com>' });
+
+  await processUnreadEmails();
+  const [item] = listPendingReplies();
+  await approvePendingReply(item.id);
+
+  const [reply] = mail.sent;
+  assert.equal(reply.inReplyTo, '<orig@example.com>');
+  assert.equal(reply.cc, 'carol@example.com');
+  assert.equal(mail.drafts.size, 0);
+});
+
+test('approved replies stay approved when marking the email read fails', async () => {
+  useReplyAction({}, { requireApproval: true });
+  mail.addMessage({ subject: 'help' });
+
+  await processUnreadEmails();
+  const [item] = listPendingReplies();
+  mail.failNext('markAsRead');
+  await approvePendingReply(item.id);
+
+  assert.equal(mail.sent.length, 1);
+  assert.equal(listPendingReplies('approved')[0].id, item.id);
+  await assert.rejects(approvePendingReply(item.id), /already approved/);
+});
+
+test('approving is refused once the thread limits no longer allow the reply', async () => {
+  useReplyAction({}, { requireApproval: true });
+  mail.addMessage({ threadId: 't1', subject: 'help' });
+  mail.addMessage({ threadId: 't1', subject: 'Re: help' });
+
+  await processUnreadEmails();
+  const [first, second] = listPendingReplies();
+  await approvePendingReply(first.id);
+
+  await assert.rejects(
+    approvePendingReply(second.id),
+    (error) => error.statusCode === 409 && /thread_cooldown/.test(error.message)
+  );
+  assert.equal(mail.sent.length, 1);
+  assert.equal(listPendingReplies()[0].id, second.id);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReplyHeaders, buildReplySubject, parseAddressList } from '../src/mail/replyHeaders.js';
+
+const original = {
+  from: 'Alice <alice@example.com>',
+  to: 'Me <me@example.com>, bob@example.com',
+  cc: 'Carol <carol@example.com>',
+  subject: 'Order 1234',
+  messageIdHeader: '<m2@example.com>',
+  references: '<m1@example.com>',
+  replyTo: '',
+};
+
+test('adds a single Re: prefix', () => {
+  assert.equal(buildReplySubject('Order 1234'), 'Re: Order 1234');
+  assert.equal(buildReplySubject('RE: Order 1234'), 'RE: Order 1234');
+  assert.equal(buildReplySubject('Re[2]: Order 1234'), 'Re[2]: Order 1234');
+  assert.equal(buildReplySubject('Reply needed'), 'Re: Reply needed');
+});
+
+test('threads the reply under the original Message-ID', () => {
+  const headers = buildReplyHeaders(original, { ownAddress: 'me@example.com' });
+
+  assert.equal(headers.to, 'Alice <alice@example.com>');
+  assert.equal(headers.cc, undefined);
+  assert.equal(headers.inReplyTo, '<m2@example.com>');
+  assert.equal(headers.references, '<m1@example.com> <m2@example.com>');
+});
+
+test('replies to Reply-To when present', () => {
+  const headers = buildReplyHeaders({ ...original, replyTo: 'Support <help@example.com>' });
+  assert.equal(headers.to, 'Support <help@example.com>');
+});
+
+test('reply-all copies To and Cc without our own address or duplicates', () => {
+  const headers = buildReplyHeaders(
+    { ...original, cc: 'Carol <carol@example.com>, ALICE@example.com' },
+    { replyAll: true, ownAddress: 'me@example.com' }
+  );
+
+  assert.equal(headers.to, 'Alice <alice@example.com>');
+  assert.equal(headers.cc, 'bob@example.com, Carol <carol@example.com>');
+});
+
+test('splits address lists without breaking quoted names', () => {
+  assert.deepEqual(
+    parseAddressList('"Doe, Jane" <Jane@Example.com>, bob@example.com').map((entry) => entry.address),
+    ['jane@example.com', 'bob@example.com']
+  );
+});